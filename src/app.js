@@ -1,10 +1,19 @@
 const express = require("express");
 const cors = require("cors");
+const attachmentService = require("./services/attachment_service");
 const app = express();
 
+// Photos arrive base64 encoded (4/3 of their size) inside JSON, so the default
+// body limit leaves room for the largest image the attachment service accepts
+const DEFAULT_JSON_LIMIT = Math.max(
+  10 * 1024 * 1024,
+  Math.ceil((attachmentService.MAX_BYTES * 4) / 3) + 1024 * 1024
+);
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: "10mb" }));
+// Raise JSON_BODY_LIMIT for large ward / road network imports
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || DEFAULT_JSON_LIMIT }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Request logging middleware (clean, single-line per request)
@@ -27,6 +36,8 @@ app.use("/api/user", require("./routes/user_routes"));
 app.use("/api/contractor", require("./routes/contractor_routes"));
 app.use("/api/reports", require("./routes/report_routes"));
 app.use("/api/auth", require("./routes/auth_routes"));
+app.use("/api/attachments", require("./routes/attachment_routes"));
+app.use("/api/exports", require("./routes/export_routes"));
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
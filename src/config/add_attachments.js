@@ -0,0 +1,36 @@
+/**
+ * Migration: Add attachments table for photos and evidence
+ * Run: node src/config/add_attachments.js
+ */
+
+const { run } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      report_id INT,
+      detection_location_id VARCHAR(50),
+      aggregated_location_id INT,
+      category VARCHAR(30) DEFAULT 'photo',
+      uploaded_by INT,
+      storage_driver VARCHAR(20) NOT NULL,
+      storage_key VARCHAR(255) NOT NULL,
+      thumbnail_key VARCHAR(255),
+      content_type VARCHAR(50) NOT NULL,
+      size_bytes INT,
+      width INT,
+      height INT,
+      exif_latitude DECIMAL(10, 6),
+      exif_longitude DECIMAL(10, 6),
+      exif_taken_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE SET NULL,
+      FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_report (report_id),
+      INDEX idx_aggregated_location (aggregated_location_id)
+    )
+  `);
+  console.log("attachments table ready");
+});
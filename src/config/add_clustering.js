@@ -0,0 +1,49 @@
+/**
+ * Migration: Spatial clustering of detections
+ * Widens aggregated_locations coordinates for moving centroids, links
+ * detections to their cluster, adds the cell lock table and re-clusters
+ * existing data.
+ * Run: node src/config/add_clustering.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+const clustering = require("../services/clustering_service");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    `ALTER TABLE aggregated_locations
+     MODIFY latitude DECIMAL(10, 6) NOT NULL,
+     MODIFY longitude DECIMAL(10, 6) NOT NULL`,
+    "aggregated_locations centroid precision");
+
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE pothole_detections ADD COLUMN aggregated_location_id INT AFTER location_id",
+    "pothole_detections.aggregated_location_id");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE pothole_detections ADD INDEX idx_aggregated_location (aggregated_location_id)",
+    "pothole_detections idx_aggregated_location");
+
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE road_anomalies ADD COLUMN aggregated_location_id INT AFTER location_id",
+    "road_anomalies.aggregated_location_id");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE road_anomalies ADD INDEX idx_aggregated_location (aggregated_location_id)",
+    "road_anomalies idx_aggregated_location");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS cluster_cells (
+      cell VARCHAR(32) PRIMARY KEY
+    )
+  `);
+  console.log("cluster_cells table ready");
+
+  await connection.beginTransaction();
+  try {
+    const summary = await clustering.rebuildClusters(connection);
+    await connection.commit();
+    console.log("Re-clustered existing detections:", summary);
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  }
+});
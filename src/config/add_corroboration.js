@@ -0,0 +1,26 @@
+/**
+ * Migration: Distinct device/day corroboration on aggregated locations
+ * Run: node src/config/add_corroboration.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+const corroboration = require("../services/corroboration_service");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN distinct_devices INT DEFAULT 0 AFTER report_count",
+    "aggregated_locations.distinct_devices");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN distinct_days INT DEFAULT 0 AFTER distinct_devices",
+    "aggregated_locations.distinct_days");
+  await alterIgnoringExisting(connection,
+    `ALTER TABLE aggregated_locations
+     ADD COLUMN confidence_level ENUM('unconfirmed', 'low', 'medium', 'high') DEFAULT 'unconfirmed' AFTER distinct_days`,
+    "aggregated_locations.confidence_level");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD INDEX idx_confidence (confidence_level)",
+    "aggregated_locations idx_confidence");
+
+  await corroboration.refresh(connection);
+  console.log("Corroboration counts backfilled");
+});
@@ -0,0 +1,90 @@
+/**
+ * Migration: Rate cards, cost estimates, budgets and invoices
+ * Run: node src/config/add_costing.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE work_assignments ADD COLUMN estimated_cost DECIMAL(12, 2) NULL AFTER warranty_of",
+    "work_assignments.estimated_cost");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE work_assignments ADD COLUMN estimate_breakdown JSON NULL AFTER estimated_cost",
+    "work_assignments.estimate_breakdown");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS rate_cards (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      contractor_id INT NULL,
+      repair_type ENUM('pothole', 'patch') NOT NULL,
+      base_amount DECIMAL(12, 2) DEFAULT 0,
+      unit_rate DECIMAL(12, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_contractor_type (contractor_id, repair_type)
+    )
+  `);
+  console.log("rate_cards table ready");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope ENUM('ward', 'zone') NOT NULL,
+      ward_id INT,
+      zone VARCHAR(100),
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      amount DECIMAL(14, 2) NOT NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ward_id) REFERENCES wards(id) ON DELETE CASCADE,
+      INDEX idx_period (period_start, period_end)
+    )
+  `);
+  console.log("budgets table ready");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_number VARCHAR(40) UNIQUE,
+      contractor_id INT NOT NULL,
+      period_from DATE NOT NULL,
+      period_to DATE NOT NULL,
+      status ENUM('draft', 'issued', 'paid') DEFAULT 'draft',
+      total_amount DECIMAL(14, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      issued_at TIMESTAMP NULL,
+      paid_at TIMESTAMP NULL,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_contractor_status (contractor_id, status)
+    )
+  `);
+  console.log("invoices table ready");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS invoice_lines (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT NOT NULL,
+      assignment_id INT NOT NULL,
+      aggregated_location_id INT,
+      repair_type ENUM('pothole', 'patch') NOT NULL,
+      quantity DECIMAL(10, 2) NOT NULL,
+      unit VARCHAR(10),
+      unit_rate DECIMAL(12, 2),
+      base_amount DECIMAL(12, 2),
+      severity VARCHAR(10),
+      severity_multiplier DECIMAL(4, 2),
+      amount DECIMAL(12, 2) NOT NULL,
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+      FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE CASCADE,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_assignment (assignment_id)
+    )
+  `);
+  console.log("invoice_lines table ready");
+});
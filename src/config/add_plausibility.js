@@ -0,0 +1,45 @@
+/**
+ * Migration: Quarantine and review of implausible reports
+ * Run: node src/config/add_plausibility.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    `ALTER TABLE reports
+     ADD COLUMN review_status ENUM('clear', 'quarantined', 'approved', 'rejected') DEFAULT 'clear' AFTER status`,
+    "reports.review_status");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD COLUMN review_reasons JSON AFTER review_status",
+    "reports.review_reasons");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD COLUMN payload_hash CHAR(64) AFTER review_reasons",
+    "reports.payload_hash");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD COLUMN reviewed_by INT AFTER payload_hash",
+    "reports.reviewed_by");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD COLUMN reviewed_at TIMESTAMP NULL AFTER reviewed_by",
+    "reports.reviewed_at");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD CONSTRAINT fk_reports_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL",
+    "reports fk_reports_reviewed_by");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD INDEX idx_review_status (review_status)",
+    "reports idx_review_status");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD INDEX idx_payload_hash (payload_hash)",
+    "reports idx_payload_hash");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD INDEX idx_device_created (device_id, created_at)",
+    "reports idx_device_created");
+  // The device's previous detection is looked up for every incoming report
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE pothole_detections ADD INDEX idx_report_timestamp (report_id, timestamp)",
+    "pothole_detections idx_report_timestamp");
+
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE trip_traces ADD COLUMN coverage_applied BOOLEAN DEFAULT TRUE AFTER ended_at",
+    "trip_traces.coverage_applied");
+});
@@ -0,0 +1,41 @@
+/**
+ * Migration: Priority scores and sensitive sites
+ * Run: node src/config/add_priority.js
+ *
+ * Scores every existing location once; the server refreshes them afterwards.
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+const priority = require("../services/priority_service");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN priority_score DECIMAL(5, 2) DEFAULT 0 AFTER last_clean_pass_at",
+    "aggregated_locations.priority_score");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN priority_factors JSON AFTER priority_score",
+    "aggregated_locations.priority_factors");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN priority_updated_at TIMESTAMP NULL AFTER priority_factors",
+    "aggregated_locations.priority_updated_at");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD INDEX idx_priority (status, priority_score)",
+    "aggregated_locations idx_priority");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sensitive_sites (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      category VARCHAR(30) NOT NULL,
+      latitude DECIMAL(10, 6) NOT NULL,
+      longitude DECIMAL(10, 6) NOT NULL,
+      radius_m DECIMAL(8, 2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_location (latitude, longitude)
+    )
+  `);
+  console.log("sensitive_sites table ready");
+
+  const scored = await priority.refresh(connection);
+  console.log(`Priority scored for ${scored} locations`);
+});
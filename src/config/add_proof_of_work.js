@@ -0,0 +1,45 @@
+/**
+ * Migration: Contractor proof-of-work packages
+ * Run: node src/config/add_proof_of_work.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE attachments ADD COLUMN assignment_id INT AFTER aggregated_location_id",
+    "attachments.assignment_id");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE attachments ADD INDEX idx_assignment (assignment_id)",
+    "attachments idx_assignment");
+  await alterIgnoringExisting(connection,
+    `ALTER TABLE attachments
+     ADD CONSTRAINT fk_attachments_assignment FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL`,
+    "attachments fk_attachments_assignment");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS work_completions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assignment_id INT NOT NULL,
+      submitted_by INT,
+      latitude DECIMAL(10, 6) NOT NULL,
+      longitude DECIMAL(10, 6) NOT NULL,
+      accuracy_m DECIMAL(7, 2),
+      captured_at TIMESTAMP NOT NULL,
+      distance_m DECIMAL(9, 2) NOT NULL,
+      materials JSON NOT NULL,
+      repaired_area_m2 DECIMAL(9, 2) NOT NULL,
+      notes TEXT,
+      status ENUM('submitted', 'accepted', 'rejected') DEFAULT 'submitted',
+      reviewed_by INT,
+      reviewed_at TIMESTAMP NULL,
+      review_notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE CASCADE,
+      FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_assignment_status (assignment_id, status)
+    )
+  `);
+  console.log("work_completions table ready");
+});
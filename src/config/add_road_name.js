@@ -84,24 +84,10 @@ const migrate = async () => {
     }
   }
 
-  // Update road names if empty
-  for (const loc of locations) {
-    if (!loc.road_name) {
-      const roadNames = {
-        'Anna Nagar': 'Anna Salai',
-        'T. Nagar': 'Mount Road',
-        'Mylapore': 'Cathedral Road',
-        'Adyar': 'Gandhi Road',
-        'Beach Road': 'Beach Road'
-      };
-      // Use a generic name based on coordinates
-      const roadName = `Road at ${loc.latitude}, ${loc.longitude}`;
-      await connection.query(
-        "UPDATE aggregated_locations SET road_name = ? WHERE id = ?",
-        [roadName, loc.id]
-      );
-      console.log(`Updated road_name for location ${loc.id}`);
-    }
+  // Road names come from the imported road network (see add_road_network.js)
+  const unnamed = locations.filter(l => !l.road_name).length;
+  if (unnamed > 0) {
+    console.log(`\n${unnamed} locations have no road name - import a road network and run add_road_network.js`);
   }
 
   await connection.end();
@@ -0,0 +1,57 @@
+/**
+ * Migration: Imported road network for offline road names
+ * Run: node src/config/add_road_network.js
+ *
+ * Re-running after importing a network snaps every location that is not
+ * snapped yet and clears "Road at ..." placeholder names.
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+const roadNetwork = require("../services/road_network_service");
+
+run("Migration", async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS road_network (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      source_id VARCHAR(50),
+      name VARCHAR(255),
+      road_class VARCHAR(50),
+      geometry JSON NOT NULL,
+      length_m DECIMAL(10, 2),
+      bbox_min_lat DECIMAL(10, 6) NOT NULL,
+      bbox_max_lat DECIMAL(10, 6) NOT NULL,
+      bbox_min_lng DECIMAL(10, 6) NOT NULL,
+      bbox_max_lng DECIMAL(10, 6) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_bbox (bbox_min_lat, bbox_max_lat, bbox_min_lng, bbox_max_lng),
+      INDEX idx_name (name)
+    )
+  `);
+  console.log("road_network table ready");
+
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN road_class VARCHAR(50) AFTER road_name",
+    "aggregated_locations.road_class");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN road_network_id INT AFTER road_class",
+    "aggregated_locations.road_network_id");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN road_distance_m DECIMAL(8, 2) AFTER road_network_id",
+    "aggregated_locations.road_distance_m");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD INDEX idx_road_name (road_name)",
+    "aggregated_locations idx_road_name");
+  await alterIgnoringExisting(connection,
+    `ALTER TABLE aggregated_locations
+     ADD CONSTRAINT fk_aggregated_locations_road FOREIGN KEY (road_network_id) REFERENCES road_network(id) ON DELETE SET NULL`,
+    "aggregated_locations fk_aggregated_locations_road");
+
+  const [roads] = await connection.query("SELECT COUNT(*) as count FROM road_network");
+  if (roads[0].count === 0) {
+    console.log("No road network imported yet - POST it to /api/admin/roads/import, then re-run to backfill");
+    return;
+  }
+
+  const summary = await roadNetwork.snapAll(connection, { onlyMissing: true });
+  console.log(`Snapped ${summary.snapped} of ${summary.checked} locations; cleared ${summary.placeholdersCleared} placeholder names`);
+});
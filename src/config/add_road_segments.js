@@ -0,0 +1,29 @@
+/**
+ * Migration: Model patchy road stretches as polyline segments
+ * Run: node src/config/add_road_segments.js
+ * Then run `npm run db:recluster` to turn stored stretches into segments.
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN location_type ENUM('point', 'segment') DEFAULT 'point' AFTER grid_id",
+    "aggregated_locations.location_type");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN geometry JSON AFTER longitude",
+    "aggregated_locations.geometry");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN length_m DECIMAL(10, 2) AFTER geometry",
+    "aggregated_locations.length_m");
+
+  for (const column of ["bbox_min_lat", "bbox_max_lat", "bbox_min_lng", "bbox_max_lng"]) {
+    await alterIgnoringExisting(connection,
+      `ALTER TABLE aggregated_locations ADD COLUMN ${column} DECIMAL(10, 6) AFTER length_m`,
+      `aggregated_locations.${column}`);
+  }
+
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD INDEX idx_segment_bbox (location_type, bbox_min_lat, bbox_max_lat)",
+    "aggregated_locations idx_segment_bbox");
+});
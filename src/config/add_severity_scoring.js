@@ -0,0 +1,24 @@
+/**
+ * Migration: Keep device-reported and server-computed severity side by side
+ * Run: node src/config/add_severity_scoring.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE pothole_detections ADD COLUMN device_severity ENUM('Low', 'Medium', 'High') AFTER severity",
+    "pothole_detections.device_severity");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE pothole_detections ADD COLUMN computed_severity ENUM('Low', 'Medium', 'High') AFTER device_severity",
+    "pothole_detections.computed_severity");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE pothole_detections ADD COLUMN severity_confidence DECIMAL(4, 3) AFTER computed_severity",
+    "pothole_detections.severity_confidence");
+
+  // Everything stored so far came straight from the device
+  const [result] = await connection.query(
+    "UPDATE pothole_detections SET device_severity = severity WHERE device_severity IS NULL AND computed_severity IS NULL"
+  );
+  console.log(`Backfilled device_severity on ${result.affectedRows} detections`);
+});
@@ -0,0 +1,84 @@
+/**
+ * Migration: SLA deadlines, overdue flags and escalation
+ * Run: node src/config/add_sla.js
+ *
+ * Backfills sla_due_at for existing assignments and runs one SLA check.
+ * Escalations are unique per level within one SLA window (assigned_at).
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+const sla = require("../services/sla_service");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE work_assignments ADD COLUMN sla_due_at DATETIME NULL AFTER completed_at",
+    "work_assignments.sla_due_at");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE work_assignments ADD COLUMN sla_status ENUM('on_track', 'at_risk', 'overdue', 'met', 'missed') NULL AFTER sla_due_at",
+    "work_assignments.sla_status");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE work_assignments ADD COLUMN escalation_level TINYINT DEFAULT 0 AFTER sla_status",
+    "work_assignments.escalation_level");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE work_assignments ADD INDEX idx_sla (sla_status, sla_due_at)",
+    "work_assignments idx_sla");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS escalation_contacts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      role VARCHAR(30) NOT NULL,
+      ward_id INT,
+      zone VARCHAR(100),
+      user_id INT,
+      name VARCHAR(100),
+      email VARCHAR(255),
+      phone VARCHAR(30),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ward_id) REFERENCES wards(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_role (role)
+    )
+  `);
+  console.log("escalation_contacts table ready");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sla_escalations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assignment_id INT NOT NULL,
+      assigned_at DATETIME NOT NULL,
+      level TINYINT NOT NULL,
+      role VARCHAR(30) NOT NULL,
+      contact_id INT,
+      hours_overdue DECIMAL(8, 2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE CASCADE,
+      FOREIGN KEY (contact_id) REFERENCES escalation_contacts(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_assignment_window_level (assignment_id, assigned_at, level)
+    )
+  `);
+  console.log("sla_escalations table ready");
+
+  // Tables created with one escalation per level for the assignment's lifetime
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE sla_escalations ADD COLUMN assigned_at DATETIME NULL AFTER assignment_id",
+    "sla_escalations.assigned_at");
+  await connection.query(
+    `UPDATE sla_escalations e JOIN work_assignments wa ON e.assignment_id = wa.id
+     SET e.assigned_at = wa.assigned_at
+     WHERE e.assigned_at IS NULL`
+  );
+  await connection.query("ALTER TABLE sla_escalations MODIFY assigned_at DATETIME NOT NULL");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE sla_escalations ADD UNIQUE KEY uniq_assignment_window_level (assignment_id, assigned_at, level)",
+    "sla_escalations uniq_assignment_window_level");
+  try {
+    await connection.query("ALTER TABLE sla_escalations DROP INDEX uniq_assignment_level");
+    console.log("Applied: drop sla_escalations uniq_assignment_level");
+  } catch (err) {
+    if (err.code !== "ER_CANT_DROP_FIELD_OR_KEY") throw err;
+    console.log("Skipped (already applied): drop sla_escalations uniq_assignment_level");
+  }
+
+  const summary = await sla.check(connection);
+  console.log("SLA check:", summary);
+});
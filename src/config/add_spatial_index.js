@@ -0,0 +1,32 @@
+/**
+ * Migration: Geohash columns for index-backed nearby, bounding-box and route queries
+ * Run: node src/config/add_spatial_index.js
+ *
+ * The columns are stored generated columns, so adding them computes the
+ * geohash for every existing row and keeps it current on later writes.
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+const TABLES = [
+  { table: "pothole_detections", lat: "latitude", lng: "longitude", after: "longitude" },
+  { table: "road_anomalies", lat: "start_latitude", lng: "start_longitude", after: "end_longitude" },
+  { table: "aggregated_locations", lat: "latitude", lng: "longitude", after: "longitude" }
+];
+
+run("Migration", async (connection) => {
+  for (const { table, lat, lng, after } of TABLES) {
+    await alterIgnoringExisting(connection,
+      `ALTER TABLE ${table}
+       ADD COLUMN geohash CHAR(9) AS (ST_GeoHash(${lng}, ${lat}, 9)) STORED AFTER ${after}`,
+      `${table}.geohash`);
+    await alterIgnoringExisting(connection,
+      `ALTER TABLE ${table} ADD INDEX idx_geohash (geohash)`,
+      `${table} idx_geohash`);
+
+    const [rows] = await connection.query(
+      `SELECT COUNT(*) as total, SUM(geohash IS NOT NULL) as indexed FROM ${table}`
+    );
+    console.log(`  ${table}: ${Number(rows[0].indexed) || 0}/${rows[0].total} rows indexed`);
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * Migration: Append-only status event history
+ * Run: node src/config/add_status_events.js
+ *
+ * Creating the triggers needs the TRIGGER privilege (and, with binary
+ * logging on, log_bin_trust_function_creators); without them the table is
+ * still written append-only by the application.
+ */
+
+const { run } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS status_events (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      entity_type ENUM('location', 'assignment', 'report') NOT NULL,
+      entity_id INT NOT NULL,
+      aggregated_location_id INT,
+      assignment_id INT,
+      field VARCHAR(30) NOT NULL DEFAULT 'status',
+      action VARCHAR(30),
+      old_status VARCHAR(30),
+      new_status VARCHAR(30) NOT NULL,
+      actor_id INT,
+      actor_role VARCHAR(20) NOT NULL,
+      reason TEXT,
+      created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_entity (entity_type, entity_id, created_at),
+      INDEX idx_location (aggregated_location_id, created_at),
+      INDEX idx_actor (actor_id)
+    )
+  `);
+  console.log("status_events table ready");
+
+  try {
+    for (const operation of ["UPDATE", "DELETE"]) {
+      const trigger = `status_events_no_${operation.toLowerCase()}`;
+      await connection.query(`DROP TRIGGER IF EXISTS ${trigger}`);
+      await connection.query(
+        `CREATE TRIGGER ${trigger} BEFORE ${operation} ON status_events FOR EACH ROW
+         SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'status_events is append-only'`
+      );
+    }
+    console.log("status_events append-only triggers ready");
+  } catch (err) {
+    console.log("Could not create status_events triggers:", err.message);
+  }
+});
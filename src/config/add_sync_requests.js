@@ -0,0 +1,81 @@
+/**
+ * Migration: Add sync_requests table for idempotent offline sync
+ * Idempotency keys are unique per scope: "user:<id>", or "device:<id>" for
+ * anonymous syncs. A row is claimed before its batch is processed.
+ * Run: node src/config/add_sync_requests.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+// Run a DROP and treat "does not exist" errors as success
+const dropIgnoringMissing = async (connection, sql, label) => {
+  try {
+    await connection.query(sql);
+    console.log(`Applied: ${label}`);
+  } catch (err) {
+    if (err.code !== "ER_CANT_DROP_FIELD_OR_KEY") throw err;
+    console.log(`Skipped (already applied): ${label}`);
+  }
+};
+
+run("Migration", async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sync_requests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      idempotency_key VARCHAR(100) NOT NULL,
+      scope VARCHAR(120) NOT NULL,
+      payload_hash CHAR(64) NOT NULL,
+      response LONGTEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_key_scope (idempotency_key, scope)
+    )
+  `);
+  console.log("sync_requests table ready");
+
+  // Tables created with nullable user_id/device_id columns, which a unique key cannot enforce
+  const [columns] = await connection.query("SHOW COLUMNS FROM sync_requests");
+  const names = columns.map(c => c.Field);
+  if (names.includes("user_id")) {
+    await alterIgnoringExisting(connection,
+      "ALTER TABLE sync_requests ADD COLUMN scope VARCHAR(120) NULL AFTER idempotency_key",
+      "sync_requests.scope");
+    await connection.query(
+      "UPDATE sync_requests SET scope = CONCAT('user:', user_id) WHERE scope IS NULL AND user_id IS NOT NULL"
+    );
+    if (names.includes("device_id")) {
+      await connection.query(
+        "UPDATE sync_requests SET scope = CONCAT('device:', device_id) WHERE scope IS NULL AND device_id IS NOT NULL"
+      );
+    }
+    // Stored responses without an owner can no longer be replayed safely
+    await connection.query("DELETE FROM sync_requests WHERE scope IS NULL");
+    // Only the newest of any duplicates the old key let through is kept
+    await connection.query(
+      `DELETE older FROM sync_requests older
+       JOIN sync_requests newer
+         ON newer.idempotency_key = older.idempotency_key AND newer.scope = older.scope AND newer.id > older.id`
+    );
+    await connection.query("ALTER TABLE sync_requests MODIFY scope VARCHAR(120) NOT NULL, MODIFY response LONGTEXT NULL");
+    await alterIgnoringExisting(connection,
+      "ALTER TABLE sync_requests ADD UNIQUE KEY uniq_key_scope (idempotency_key, scope)",
+      "sync_requests uniq_key_scope");
+
+    const [foreignKeys] = await connection.query(
+      `SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sync_requests'
+         AND COLUMN_NAME = 'user_id' AND REFERENCED_TABLE_NAME IS NOT NULL`
+    );
+    for (const fk of foreignKeys) {
+      await dropIgnoringMissing(connection,
+        `ALTER TABLE sync_requests DROP FOREIGN KEY \`${fk.CONSTRAINT_NAME}\``,
+        `sync_requests foreign key ${fk.CONSTRAINT_NAME}`);
+    }
+    await dropIgnoringMissing(connection, "ALTER TABLE sync_requests DROP INDEX uniq_scope", "drop sync_requests uniq_scope");
+    await dropIgnoringMissing(connection, "ALTER TABLE sync_requests DROP INDEX idempotency_key",
+      "drop global sync_requests.idempotency_key unique index");
+    await dropIgnoringMissing(connection, "ALTER TABLE sync_requests DROP COLUMN user_id", "drop sync_requests.user_id");
+    if (names.includes("device_id")) {
+      await dropIgnoringMissing(connection, "ALTER TABLE sync_requests DROP COLUMN device_id", "drop sync_requests.device_id");
+    }
+  }
+});
@@ -0,0 +1,50 @@
+/**
+ * Migration: Trip traces and road coverage
+ * Run: node src/config/add_trip_traces.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS trip_traces (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      report_id INT NOT NULL,
+      device_id VARCHAR(100) NOT NULL,
+      polyline MEDIUMTEXT NOT NULL,
+      point_count INT NOT NULL,
+      distance_m INT NOT NULL,
+      cell_count INT NOT NULL,
+      started_at TIMESTAMP NULL,
+      ended_at TIMESTAMP NULL,
+      coverage_applied BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+      INDEX idx_device (device_id)
+    )
+  `);
+  console.log("trip_traces table ready");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS road_coverage (
+      cell_id VARCHAR(40) PRIMARY KEY,
+      center_latitude DECIMAL(10, 6) NOT NULL,
+      center_longitude DECIMAL(10, 6) NOT NULL,
+      pass_count INT DEFAULT 0,
+      first_driven_at TIMESTAMP NULL,
+      last_driven_at TIMESTAMP NULL,
+      INDEX idx_location (center_latitude, center_longitude)
+    )
+  `);
+  console.log("road_coverage table ready");
+
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE reports ADD COLUMN distance_km DECIMAL(8,3) AFTER health_score",
+    "reports.distance_km");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN clean_passes_since_repair INT DEFAULT 0 AFTER verified_at",
+    "aggregated_locations.clean_passes_since_repair");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN last_clean_pass_at TIMESTAMP NULL AFTER clean_passes_since_repair",
+    "aggregated_locations.last_clean_pass_at");
+});
@@ -0,0 +1,62 @@
+/**
+ * Migration: Ward boundary polygons and automatic ward assignment
+ * Run: node src/config/add_wards.js
+ *
+ * Re-running after importing boundaries backfills ward_id/ward for
+ * locations that have no ward link yet.
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+const wardService = require("../services/ward_service");
+
+run("Migration", async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS wards (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      code VARCHAR(50),
+      zone VARCHAR(100),
+      geometry JSON NOT NULL,
+      bbox_min_lat DECIMAL(10, 6) NOT NULL,
+      bbox_max_lat DECIMAL(10, 6) NOT NULL,
+      bbox_min_lng DECIMAL(10, 6) NOT NULL,
+      bbox_max_lng DECIMAL(10, 6) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_zone_name (zone, name),
+      INDEX idx_zone (zone),
+      INDEX idx_bbox (bbox_min_lat, bbox_max_lat)
+    )
+  `);
+  console.log("wards table ready");
+
+  // Ward names are unique per zone, not city-wide
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE wards ADD UNIQUE KEY uniq_zone_name (zone, name)",
+    "wards uniq_zone_name");
+  try {
+    await connection.query("ALTER TABLE wards DROP INDEX name");
+    console.log("Applied: drop city-wide wards.name unique index");
+  } catch (err) {
+    if (err.code !== "ER_CANT_DROP_FIELD_OR_KEY") throw err;
+    console.log("Skipped (already applied): drop city-wide wards.name unique index");
+  }
+
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD COLUMN ward_id INT AFTER ward",
+    "aggregated_locations.ward_id");
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE aggregated_locations ADD INDEX idx_ward (ward)",
+    "aggregated_locations idx_ward");
+  await alterIgnoringExisting(connection,
+    `ALTER TABLE aggregated_locations
+     ADD CONSTRAINT fk_aggregated_locations_ward FOREIGN KEY (ward_id) REFERENCES wards(id) ON DELETE SET NULL`,
+    "aggregated_locations fk_aggregated_locations_ward");
+
+  const summary = await wardService.assignAll(connection, { onlyMissing: true });
+  if (summary.wards === 0) {
+    console.log("No ward boundaries imported yet - POST them to /api/admin/wards/import, then re-run to backfill");
+  } else {
+    console.log(`Backfilled wards: ${summary.assigned} of ${summary.checked} unassigned locations matched`);
+  }
+});
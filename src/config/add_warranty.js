@@ -0,0 +1,40 @@
+/**
+ * Migration: Warranty rework and recurrence claims
+ * Run: node src/config/add_warranty.js
+ */
+
+const { run, alterIgnoringExisting } = require("./migrate_helpers");
+
+run("Migration", async (connection) => {
+  await alterIgnoringExisting(connection,
+    "ALTER TABLE work_assignments ADD COLUMN warranty_of INT NULL AFTER escalation_level",
+    "work_assignments.warranty_of");
+  await alterIgnoringExisting(connection,
+    `ALTER TABLE work_assignments
+     ADD CONSTRAINT fk_work_assignments_warranty FOREIGN KEY (warranty_of) REFERENCES work_assignments(id) ON DELETE SET NULL`,
+    "work_assignments fk_work_assignments_warranty");
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS warranty_claims (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      aggregated_location_id INT NOT NULL,
+      original_assignment_id INT,
+      rework_assignment_id INT,
+      contractor_id INT,
+      detections INT NOT NULL,
+      devices INT NOT NULL,
+      first_detected_at TIMESTAMP NULL,
+      verified_at TIMESTAMP NULL,
+      status ENUM('open', 'resolved') DEFAULT 'open',
+      resolved_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (original_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      FOREIGN KEY (rework_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE SET NULL,
+      INDEX idx_status (status),
+      INDEX idx_contractor (contractor_id)
+    )
+  `);
+  console.log("warranty_claims table ready");
+});
@@ -0,0 +1,13 @@
+/**
+ * Flag at-risk and overdue assignments and escalate overdue work once.
+ * For cron when the in-process scheduler is disabled (SLA_CHECK_INTERVAL_MIN=0).
+ * Run: npm run sla:check
+ */
+
+const { run } = require("./migrate_helpers");
+const sla = require("../services/sla_service");
+
+run("SLA check", async (connection) => {
+  const summary = await sla.check(connection);
+  console.log(summary);
+});
@@ -53,11 +53,21 @@ const initDatabase = async () => {
       total_potholes INT DEFAULT 0,
       total_patchy_roads INT DEFAULT 0,
       health_score DECIMAL(5,2),
+      distance_km DECIMAL(8,3),
       status ENUM('pending', 'reviewed', 'assigned', 'in_progress', 'resolved') DEFAULT 'pending',
+      review_status ENUM('clear', 'quarantined', 'approved', 'rejected') DEFAULT 'clear',
+      review_reasons JSON,
+      payload_hash CHAR(64),
+      reviewed_by INT,
+      reviewed_at TIMESTAMP NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
       INDEX idx_report_id (report_id),
+      INDEX idx_review_status (review_status),
+      INDEX idx_payload_hash (payload_hash),
+      INDEX idx_device_created (device_id, created_at),
       INDEX idx_status (status),
       INDEX idx_reported_at (reported_at)
     );
@@ -67,9 +77,14 @@ const initDatabase = async () => {
       id INT AUTO_INCREMENT PRIMARY KEY,
       report_id INT NOT NULL,
       location_id VARCHAR(50),
+      aggregated_location_id INT,
       latitude DECIMAL(10, 6) NOT NULL,
       longitude DECIMAL(10, 6) NOT NULL,
+      geohash CHAR(9) AS (ST_GeoHash(longitude, latitude, 9)) STORED,
       severity ENUM('Low', 'Medium', 'High') NOT NULL,
+      device_severity ENUM('Low', 'Medium', 'High'),
+      computed_severity ENUM('Low', 'Medium', 'High'),
+      severity_confidence DECIMAL(4, 3),
       z_axis_acceleration DECIMAL(6, 3),
       speed_kmh DECIMAL(5, 2),
       timestamp TIMESTAMP NOT NULL,
@@ -79,8 +94,11 @@ const initDatabase = async () => {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
       INDEX idx_location (latitude, longitude),
+      INDEX idx_geohash (geohash),
+      INDEX idx_aggregated_location (aggregated_location_id),
       INDEX idx_severity (severity),
-      INDEX idx_timestamp (timestamp)
+      INDEX idx_timestamp (timestamp),
+      INDEX idx_report_timestamp (report_id, timestamp)
     );
 
     -- Road anomalies (patchy roads) table
@@ -88,10 +106,12 @@ const initDatabase = async () => {
       id INT AUTO_INCREMENT PRIMARY KEY,
       report_id INT NOT NULL,
       location_id VARCHAR(50),
+      aggregated_location_id INT,
       start_latitude DECIMAL(10, 6) NOT NULL,
       start_longitude DECIMAL(10, 6) NOT NULL,
       end_latitude DECIMAL(10, 6),
       end_longitude DECIMAL(10, 6),
+      geohash CHAR(9) AS (ST_GeoHash(start_longitude, start_latitude, 9)) STORED,
       severity ENUM('Low', 'Medium', 'High') DEFAULT 'Medium',
       start_timestamp TIMESTAMP NOT NULL,
       end_timestamp TIMESTAMP,
@@ -99,31 +119,113 @@ const initDatabase = async () => {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
       INDEX idx_location (start_latitude, start_longitude),
+      INDEX idx_geohash (geohash),
+      INDEX idx_aggregated_location (aggregated_location_id),
       INDEX idx_duration (duration_seconds)
     );
 
+    -- Ward / zone boundaries (GeoJSON MultiPolygon coordinates)
+    CREATE TABLE IF NOT EXISTS wards (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      code VARCHAR(50),
+      zone VARCHAR(100),
+      geometry JSON NOT NULL,
+      bbox_min_lat DECIMAL(10, 6) NOT NULL,
+      bbox_max_lat DECIMAL(10, 6) NOT NULL,
+      bbox_min_lng DECIMAL(10, 6) NOT NULL,
+      bbox_max_lng DECIMAL(10, 6) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_zone_name (zone, name),
+      INDEX idx_zone (zone),
+      INDEX idx_bbox (bbox_min_lat, bbox_max_lat)
+    );
+
+    -- Imported road network lines ([[lng, lat], ...]) used to name locations
+    CREATE TABLE IF NOT EXISTS road_network (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      source_id VARCHAR(50),
+      name VARCHAR(255),
+      road_class VARCHAR(50),
+      geometry JSON NOT NULL,
+      length_m DECIMAL(10, 2),
+      bbox_min_lat DECIMAL(10, 6) NOT NULL,
+      bbox_max_lat DECIMAL(10, 6) NOT NULL,
+      bbox_min_lng DECIMAL(10, 6) NOT NULL,
+      bbox_max_lng DECIMAL(10, 6) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_bbox (bbox_min_lat, bbox_max_lat, bbox_min_lng, bbox_max_lng),
+      INDEX idx_name (name)
+    );
+
     -- Aggregated locations table
     CREATE TABLE IF NOT EXISTS aggregated_locations (
       id INT AUTO_INCREMENT PRIMARY KEY,
       grid_id VARCHAR(50) UNIQUE NOT NULL,
-      latitude DECIMAL(10, 4) NOT NULL,
-      longitude DECIMAL(10, 4) NOT NULL,
+      location_type ENUM('point', 'segment') DEFAULT 'point',
+      latitude DECIMAL(10, 6) NOT NULL,
+      longitude DECIMAL(10, 6) NOT NULL,
+      geohash CHAR(9) AS (ST_GeoHash(longitude, latitude, 9)) STORED,
+      geometry JSON,
+      length_m DECIMAL(10, 2),
+      bbox_min_lat DECIMAL(10, 6),
+      bbox_max_lat DECIMAL(10, 6),
+      bbox_min_lng DECIMAL(10, 6),
+      bbox_max_lng DECIMAL(10, 6),
       road_name VARCHAR(255),
+      road_class VARCHAR(50),
+      road_network_id INT,
+      road_distance_m DECIMAL(8, 2),
       total_potholes INT DEFAULT 0,
       total_patchy INT DEFAULT 0,
       highest_severity ENUM('Low', 'Medium', 'High') DEFAULT 'Low',
       report_count INT DEFAULT 1,
+      distinct_devices INT DEFAULT 0,
+      distinct_days INT DEFAULT 0,
+      confidence_level ENUM('unconfirmed', 'low', 'medium', 'high') DEFAULT 'unconfirmed',
       ward VARCHAR(100),
+      ward_id INT,
       first_reported_at TIMESTAMP,
       last_reported_at TIMESTAMP,
       status ENUM('pending', 'assigned', 'in_progress', 'pending_verification', 'verified', 'fixed') DEFAULT 'pending',
       verified_at TIMESTAMP,
+      clean_passes_since_repair INT DEFAULT 0,
+      last_clean_pass_at TIMESTAMP NULL,
+      priority_score DECIMAL(5, 2) DEFAULT 0,
+      priority_factors JSON,
+      priority_updated_at TIMESTAMP NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       INDEX idx_grid (grid_id),
       INDEX idx_severity (highest_severity),
       INDEX idx_location (latitude, longitude),
-      INDEX idx_status (status)
+      INDEX idx_geohash (geohash),
+      INDEX idx_status (status),
+      INDEX idx_confidence (confidence_level),
+      INDEX idx_segment_bbox (location_type, bbox_min_lat, bbox_max_lat),
+      INDEX idx_ward (ward),
+      INDEX idx_road_name (road_name),
+      INDEX idx_priority (status, priority_score),
+      FOREIGN KEY (ward_id) REFERENCES wards(id) ON DELETE SET NULL,
+      FOREIGN KEY (road_network_id) REFERENCES road_network(id) ON DELETE SET NULL
+    );
+
+    -- One row per coarse grid cell, locked while a detection is clustered there
+    CREATE TABLE IF NOT EXISTS cluster_cells (
+      cell VARCHAR(32) PRIMARY KEY
+    );
+
+    -- Schools, hospitals and other sites that raise the priority of nearby repairs
+    CREATE TABLE IF NOT EXISTS sensitive_sites (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      category VARCHAR(30) NOT NULL,
+      latitude DECIMAL(10, 6) NOT NULL,
+      longitude DECIMAL(10, 6) NOT NULL,
+      radius_m DECIMAL(8, 2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_location (latitude, longitude)
     );
 
     -- App settings table
@@ -165,19 +267,277 @@ const initDatabase = async () => {
       due_date DATE,
       status ENUM('assigned', 'in_progress', 'pending_verification', 'completed', 'verified') DEFAULT 'assigned',
       completed_at TIMESTAMP,
+      sla_due_at DATETIME NULL,
+      sla_status ENUM('on_track', 'at_risk', 'overdue', 'met', 'missed') NULL,
+      escalation_level TINYINT DEFAULT 0,
+      warranty_of INT NULL,
+      estimated_cost DECIMAL(12, 2) NULL,
+      -- Rate card breakdown behind estimated_cost, copied onto the invoice line
+      estimate_breakdown JSON NULL,
       admin_notes TEXT,
       notes TEXT,
       FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE CASCADE,
       FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE CASCADE,
       FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (warranty_of) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      INDEX idx_status (status),
+      INDEX idx_contractor (contractor_id),
+      INDEX idx_sla (sla_status, sla_due_at)
+    );
+
+    -- Repairs that failed within warranty and the rework opened for them
+    CREATE TABLE IF NOT EXISTS warranty_claims (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      aggregated_location_id INT NOT NULL,
+      original_assignment_id INT,
+      rework_assignment_id INT,
+      contractor_id INT,
+      detections INT NOT NULL,
+      devices INT NOT NULL,
+      first_detected_at TIMESTAMP NULL,
+      verified_at TIMESTAMP NULL,
+      status ENUM('open', 'resolved') DEFAULT 'open',
+      resolved_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (original_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      FOREIGN KEY (rework_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE SET NULL,
       INDEX idx_status (status),
       INDEX idx_contractor (contractor_id)
     );
+
+    -- Repair prices per contractor (NULL: city default) and repair type
+    CREATE TABLE IF NOT EXISTS rate_cards (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      contractor_id INT NULL,
+      repair_type ENUM('pothole', 'patch') NOT NULL,
+      base_amount DECIMAL(12, 2) DEFAULT 0,
+      unit_rate DECIMAL(12, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_contractor_type (contractor_id, repair_type)
+    );
+
+    -- Spending limits per ward or zone over a date range
+    CREATE TABLE IF NOT EXISTS budgets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope ENUM('ward', 'zone') NOT NULL,
+      ward_id INT,
+      zone VARCHAR(100),
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      amount DECIMAL(14, 2) NOT NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ward_id) REFERENCES wards(id) ON DELETE CASCADE,
+      INDEX idx_period (period_start, period_end)
+    );
+
+    -- Contractor invoices for verified work, one line per assignment
+    CREATE TABLE IF NOT EXISTS invoices (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_number VARCHAR(40) UNIQUE,
+      contractor_id INT NOT NULL,
+      period_from DATE NOT NULL,
+      period_to DATE NOT NULL,
+      status ENUM('draft', 'issued', 'paid') DEFAULT 'draft',
+      total_amount DECIMAL(14, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      issued_at TIMESTAMP NULL,
+      paid_at TIMESTAMP NULL,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_contractor_status (contractor_id, status)
+    );
+
+    CREATE TABLE IF NOT EXISTS invoice_lines (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT NOT NULL,
+      assignment_id INT NOT NULL,
+      aggregated_location_id INT,
+      repair_type ENUM('pothole', 'patch') NOT NULL,
+      quantity DECIMAL(10, 2) NOT NULL,
+      unit VARCHAR(10),
+      unit_rate DECIMAL(12, 2),
+      base_amount DECIMAL(12, 2),
+      severity VARCHAR(10),
+      severity_multiplier DECIMAL(4, 2),
+      amount DECIMAL(12, 2) NOT NULL,
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+      FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE CASCADE,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_assignment (assignment_id)
+    );
+
+    -- People overdue work is escalated to (per ward, per zone or city-wide)
+    CREATE TABLE IF NOT EXISTS escalation_contacts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      role VARCHAR(30) NOT NULL,
+      ward_id INT,
+      zone VARCHAR(100),
+      user_id INT,
+      name VARCHAR(100),
+      email VARCHAR(255),
+      phone VARCHAR(30),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ward_id) REFERENCES wards(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_role (role)
+    );
+
+    -- Escalations raised for overdue assignments, one per chain level
+    CREATE TABLE IF NOT EXISTS sla_escalations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assignment_id INT NOT NULL,
+      -- Start of the SLA window escalated; a reassignment starts a new one
+      assigned_at DATETIME NOT NULL,
+      level TINYINT NOT NULL,
+      role VARCHAR(30) NOT NULL,
+      contact_id INT,
+      hours_overdue DECIMAL(8, 2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE CASCADE,
+      FOREIGN KEY (contact_id) REFERENCES escalation_contacts(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_assignment_window_level (assignment_id, assigned_at, level)
+    );
+
+    -- Offline sync batches (idempotent retries)
+    CREATE TABLE IF NOT EXISTS sync_requests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      idempotency_key VARCHAR(100) NOT NULL,
+      -- "user:<id>" or, for anonymous syncs, "device:<id>"
+      scope VARCHAR(120) NOT NULL,
+      payload_hash CHAR(64) NOT NULL,
+      -- NULL while the batch is still being processed
+      response LONGTEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_key_scope (idempotency_key, scope)
+    );
+
+    -- Photo / evidence attachments
+    CREATE TABLE IF NOT EXISTS attachments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      report_id INT,
+      detection_location_id VARCHAR(50),
+      aggregated_location_id INT,
+      assignment_id INT,
+      category VARCHAR(30) DEFAULT 'photo',
+      uploaded_by INT,
+      storage_driver VARCHAR(20) NOT NULL,
+      storage_key VARCHAR(255) NOT NULL,
+      thumbnail_key VARCHAR(255),
+      content_type VARCHAR(50) NOT NULL,
+      size_bytes INT,
+      width INT,
+      height INT,
+      exif_latitude DECIMAL(10, 6),
+      exif_longitude DECIMAL(10, 6),
+      exif_taken_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE SET NULL,
+      FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_report (report_id),
+      INDEX idx_aggregated_location (aggregated_location_id),
+      INDEX idx_assignment (assignment_id)
+    );
+
+    -- Contractor proof-of-work packages submitted to complete a job
+    CREATE TABLE IF NOT EXISTS work_completions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assignment_id INT NOT NULL,
+      submitted_by INT,
+      latitude DECIMAL(10, 6) NOT NULL,
+      longitude DECIMAL(10, 6) NOT NULL,
+      accuracy_m DECIMAL(7, 2),
+      captured_at TIMESTAMP NOT NULL,
+      distance_m DECIMAL(9, 2) NOT NULL,
+      materials JSON NOT NULL,
+      repaired_area_m2 DECIMAL(9, 2) NOT NULL,
+      notes TEXT,
+      status ENUM('submitted', 'accepted', 'rejected') DEFAULT 'submitted',
+      reviewed_by INT,
+      reviewed_at TIMESTAMP NULL,
+      review_notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (assignment_id) REFERENCES work_assignments(id) ON DELETE CASCADE,
+      FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_assignment_status (assignment_id, status)
+    );
+
+    -- Trip GPS traces
+    CREATE TABLE IF NOT EXISTS trip_traces (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      report_id INT NOT NULL,
+      device_id VARCHAR(100) NOT NULL,
+      polyline MEDIUMTEXT NOT NULL,
+      point_count INT NOT NULL,
+      distance_m INT NOT NULL,
+      cell_count INT NOT NULL,
+      started_at TIMESTAMP NULL,
+      ended_at TIMESTAMP NULL,
+      coverage_applied BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+      INDEX idx_device (device_id)
+    );
+
+    -- Road coverage grid (how often each cell has been driven)
+    CREATE TABLE IF NOT EXISTS road_coverage (
+      cell_id VARCHAR(40) PRIMARY KEY,
+      center_latitude DECIMAL(10, 6) NOT NULL,
+      center_longitude DECIMAL(10, 6) NOT NULL,
+      pass_count INT DEFAULT 0,
+      first_driven_at TIMESTAMP NULL,
+      last_driven_at TIMESTAMP NULL,
+      INDEX idx_location (center_latitude, center_longitude)
+    );
+
+    -- Append-only status history of locations, assignments and reports
+    CREATE TABLE IF NOT EXISTS status_events (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      entity_type ENUM('location', 'assignment', 'report') NOT NULL,
+      entity_id INT NOT NULL,
+      aggregated_location_id INT,
+      assignment_id INT,
+      field VARCHAR(30) NOT NULL DEFAULT 'status',
+      action VARCHAR(30),
+      old_status VARCHAR(30),
+      new_status VARCHAR(30) NOT NULL,
+      actor_id INT,
+      actor_role VARCHAR(20) NOT NULL,
+      reason TEXT,
+      created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_entity (entity_type, entity_id, created_at),
+      INDEX idx_location (aggregated_location_id, created_at),
+      INDEX idx_actor (actor_id)
+    );
   `;
 
   await connection.query(createTables);
   console.log("All tables created successfully!");
 
+  // status_events is append-only
+  try {
+    for (const operation of ["UPDATE", "DELETE"]) {
+      const trigger = `status_events_no_${operation.toLowerCase()}`;
+      await connection.query(`DROP TRIGGER IF EXISTS ${trigger}`);
+      await connection.query(
+        `CREATE TRIGGER ${trigger} BEFORE ${operation} ON status_events FOR EACH ROW
+         SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'status_events is append-only'`
+      );
+    }
+    console.log("status_events append-only triggers ready");
+  } catch (err) {
+    console.log("Could not create status_events triggers:", err.message);
+  }
+
   // Create default admin user
   const bcrypt = require("bcryptjs");
   const hashedPassword = await bcrypt.hash("admin123", 10);
@@ -0,0 +1,52 @@
+/**
+ * Shared helpers for the standalone migration scripts in this folder
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+
+// Open a connection to the configured database
+exports.connect = async () => {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    multipleStatements: true
+  });
+  console.log("Connected to database...");
+  return connection;
+};
+
+// Run an ALTER TABLE and treat "already exists" errors as success
+exports.alterIgnoringExisting = async (connection, sql, label) => {
+  try {
+    await connection.query(sql);
+    console.log(`Applied: ${label}`);
+  } catch (err) {
+    if (["ER_DUP_FIELDNAME", "ER_DUP_KEYNAME", "ER_FK_DUP_NAME", "ER_TABLE_EXISTS_ERROR"].includes(err.code)) {
+      console.log(`Skipped (already applied): ${label}`);
+    } else {
+      throw err;
+    }
+  }
+};
+
+// Wrap a migration body with connect/close and uniform error reporting
+exports.run = (name, body) => {
+  const main = async () => {
+    const connection = await exports.connect();
+    try {
+      await body(connection);
+    } finally {
+      await connection.end();
+    }
+    console.log(`\n${name} complete!`);
+  };
+
+  main().catch((err) => {
+    console.error(`${name} failed:`, err);
+    process.exit(1);
+  });
+};
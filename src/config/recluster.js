@@ -0,0 +1,31 @@
+/**
+ * Rebuild aggregated_locations from all stored detections
+ * Run: npm run db:recluster [-- radiusMeters]
+ */
+
+const { run } = require("./migrate_helpers");
+const clustering = require("../services/clustering_service");
+
+const radius = process.argv[2] === undefined ? undefined : parseFloat(process.argv[2]);
+if (radius !== undefined && !clustering.isValidRadius(radius)) {
+  console.error("radiusMeters must be a number > 0");
+  process.exit(1);
+}
+// Refuse to fall back silently when the configured default is broken
+if (radius === undefined && process.env.CLUSTER_RADIUS_M !== undefined &&
+    !clustering.isValidRadius(parseFloat(process.env.CLUSTER_RADIUS_M))) {
+  console.error("CLUSTER_RADIUS_M must be a number > 0");
+  process.exit(1);
+}
+
+run("Re-cluster", async (connection) => {
+  await connection.beginTransaction();
+  try {
+    const summary = await clustering.rebuildClusters(connection, radius);
+    await connection.commit();
+    console.log(summary);
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  }
+});
@@ -1,4 +1,24 @@
 const db = require("../config/db");
+const clustering = require("../services/clustering_service");
+const corroboration = require("../services/corroboration_service");
+const attachmentService = require("../services/attachment_service");
+const segmentService = require("../services/segment_service");
+const reportService = require("../services/report_service");
+const spatial = require("../services/spatial_service");
+const mapService = require("../services/map_service");
+const wardService = require("../services/ward_service");
+const roadNetwork = require("../services/road_network_service");
+const heatmapService = require("../services/heatmap_service");
+const workflow = require("../services/workflow_service");
+const events = require("../services/event_service");
+const sla = require("../services/sla_service");
+const dispatch = require("../services/dispatch_service");
+const proof = require("../services/proof_service");
+const warranty = require("../services/warranty_service");
+const priority = require("../services/priority_service");
+const costing = require("../services/costing_service");
+const invoices = require("../services/invoice_service");
+const scorecards = require("../services/scorecard_service");
 
 // Helper function to convert ISO datetime to MySQL format
 const toMySQLDatetime = (isoString) => {
@@ -7,6 +27,8 @@ const toMySQLDatetime = (isoString) => {
   return date.toISOString().slice(0, 19).replace('T', ' ');
 };
 
+const actorOf = (req) => ({ id: req.user.id, role: req.user.role });
+
 // Admin dashboard data
 exports.dashboard = async (req, res) => {
   try {
@@ -40,15 +62,26 @@ exports.dashboard = async (req, res) => {
        LIMIT 10`
     );
 
-    // Hotspots (high severity areas with most reports)
+    // Hotspots (open locations with the highest priority), optionally only corroborated ones
+    // and optionally within one ward or zone
+    const confidence = corroboration.minConfidenceFilter(corroboration.levelFromQuery(req.query));
+    const ward = wardService.filterFromQuery(req.query);
     const [hotspots] = await db.promise().query(
-      `SELECT * FROM aggregated_locations 
-       WHERE status = 'pending' 
-       ORDER BY report_count DESC, 
+      `SELECT * FROM aggregated_locations al 
+       WHERE status = 'pending'${confidence.clause}${ward.clause} 
+       ORDER BY priority_score DESC,
                 FIELD(highest_severity, 'High', 'Medium', 'Low')
-       LIMIT 20`
+       LIMIT 20`,
+      [...confidence.params, ...ward.params]
     );
 
+    // Open and repaired work per ward
+    const wards = await wardService.rollup(db.promise(), { zone: req.query.zone });
+
+    // Overdue / at-risk work and SLA compliance over the default window
+    const overdueQueue = await sla.overdueQueue(db.promise(), { includeAtRisk: true, limit: 20, filter: ward });
+    const slaCompliance = await sla.compliance(db.promise(), sla.parseWindow({}), ward);
+
     res.json({
       overview: {
         totalReports: totalReports[0].count,
@@ -58,9 +91,17 @@ exports.dashboard = async (req, res) => {
         highSeverityAreas: highSeverity[0].count
       },
       recentReports,
-      hotspots
+      hotspots,
+      wards,
+      sla: {
+        overdueQueue,
+        compliance: slaCompliance
+      }
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Dashboard error:", error);
     res.status(500).json({ message: "Failed to get dashboard data", error: error.message });
   }
@@ -82,19 +123,10 @@ exports.getAllUsers = async (req, res) => {
 };
 
 // Assign location to contractor
+// Refused with 409 when it would exceed a ward / zone budget unless confirmOverBudget is true
 exports.assignToContractor = async (req, res) => {
   try {
-    const { locationId, contractorId, dueDate, notes } = req.body;
-
-    // Validate location exists
-    const [locations] = await db.promise().query(
-      "SELECT id FROM aggregated_locations WHERE id = ?",
-      [locationId]
-    );
-
-    if (locations.length === 0) {
-      return res.status(404).json({ message: "Location not found" });
-    }
+    const { locationId, contractorId, dueDate, notes, confirmOverBudget } = req.body;
 
     // Validate contractor exists
     const [contractors] = await db.promise().query(
@@ -106,29 +138,134 @@ exports.assignToContractor = async (req, res) => {
       return res.status(404).json({ message: "Contractor not found or inactive" });
     }
 
-    // Create assignment
-    const [result] = await db.promise().query(
-      `INSERT INTO work_assignments (aggregated_location_id, contractor_id, assigned_by, due_date, notes)
-       VALUES (?, ?, ?, ?, ?)`,
-      [locationId, contractorId, req.user.id, dueDate, notes]
-    );
+    const budget = await costing.checkAssignment(db.promise(), { locationIds: [locationId], contractorId });
+    if (budget.exceeds && confirmOverBudget !== true) {
+      return res.status(409).json(costing.overBudgetResponse(budget));
+    }
 
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-      [locationId]
-    );
+    const result = await workflow.run("assign", {
+      locationId,
+      actor: actorOf(req),
+      fields: { contractor_id: contractorId, due_date: dueDate, notes }
+    });
 
     res.status(201).json({
       message: "Assignment created successfully",
-      assignmentId: result.insertId
+      assignmentId: result.assignmentId,
+      estimate: budget.estimates[0] ? budget.estimates[0].estimate : null,
+      overBudget: budget.exceeds
     });
   } catch (error) {
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Assign error:", error);
     res.status(500).json({ message: "Failed to create assignment", error: error.message });
   }
 };
 
+// Get one aggregated location with its detections, assignments and photos
+exports.getLocationDetail = async (req, res) => {
+  try {
+    const { locationId } = req.params;
+
+    const [locations] = await db.promise().query(
+      "SELECT * FROM aggregated_locations WHERE id = ?",
+      [locationId]
+    );
+
+    if (locations.length === 0) {
+      return res.status(404).json({ message: "Location not found" });
+    }
+
+    const [potholes] = await db.promise().query(
+      `SELECT pd.*, r.report_id as report_code, r.device_id
+       FROM pothole_detections pd
+       JOIN reports r ON pd.report_id = r.id
+       WHERE pd.aggregated_location_id = ?
+       ORDER BY pd.timestamp DESC`,
+      [locationId]
+    );
+
+    const [roadAnomalies] = await db.promise().query(
+      `SELECT ra.*, r.report_id as report_code, r.device_id
+       FROM road_anomalies ra
+       JOIN reports r ON ra.report_id = r.id
+       WHERE ra.aggregated_location_id = ?
+       ORDER BY ra.start_timestamp DESC`,
+      [locationId]
+    );
+
+    const [assignments] = await db.promise().query(
+      `SELECT wa.*, c.company_name as contractor_name
+       FROM work_assignments wa
+       LEFT JOIN contractors c ON wa.contractor_id = c.id
+       WHERE wa.aggregated_location_id = ?
+       ORDER BY wa.assigned_at DESC`,
+      [locationId]
+    );
+
+    // Photos attached to the location directly or through one of its detections
+    const attachments = await attachmentService.listForLocations(db.promise(), [locations[0].id]);
+
+    // Latest completion package, so it can be reviewed before verifying or rejecting
+    const completion = await proof.packageForLocation(db.promise(), locations[0].id);
+
+    res.json({
+      location: locations[0],
+      potholes,
+      roadAnomalies,
+      assignments,
+      attachments: attachments[locations[0].id] || [],
+      completion
+    });
+  } catch (error) {
+    console.error("Get location detail error:", error);
+    res.status(500).json({ message: "Failed to get location", error: error.message });
+  }
+};
+
+// Everything that happened at a location, oldest first
+exports.getLocationTimeline = async (req, res) => {
+  try {
+    const [locations] = await db.promise().query(
+      "SELECT id, status FROM aggregated_locations WHERE id = ?",
+      [req.params.locationId]
+    );
+
+    if (locations.length === 0) {
+      return res.status(404).json({ message: "Location not found" });
+    }
+
+    const timeline = await events.timeline(db.promise(), locations[0].id);
+
+    res.json({ location: locations[0], timeline });
+  } catch (error) {
+    console.error("Get location timeline error:", error);
+    res.status(500).json({ message: "Failed to get timeline", error: error.message });
+  }
+};
+
+// Status history of one assignment
+exports.getAssignmentEvents = async (req, res) => {
+  try {
+    const [assignments] = await db.promise().query(
+      "SELECT id, aggregated_location_id, contractor_id, status FROM work_assignments WHERE id = ?",
+      [req.params.assignmentId]
+    );
+
+    if (assignments.length === 0) {
+      return res.status(404).json({ message: "Assignment not found" });
+    }
+
+    const history = await events.forEntity(db.promise(), "assignment", assignments[0].id);
+
+    res.json({ assignment: assignments[0], events: history });
+  } catch (error) {
+    console.error("Get assignment events error:", error);
+    res.status(500).json({ message: "Failed to get assignment events", error: error.message });
+  }
+};
+
 // Get all contractors
 exports.getContractors = async (req, res) => {
   try {
@@ -221,7 +358,9 @@ exports.getPotholesGrouped = async (req, res) => {
       `SELECT 
         al.*,
         (SELECT GROUP_CONCAT(pd.id) FROM pothole_detections pd 
-         WHERE CONCAT(ROUND(pd.latitude, 4), '_', ROUND(pd.longitude, 4)) = al.grid_id) as pothole_ids,
+         WHERE pd.aggregated_location_id = al.id) as pothole_ids,
+        (SELECT GROUP_CONCAT(ra.id) FROM road_anomalies ra 
+         WHERE ra.aggregated_location_id = al.id) as anomaly_ids,
         wa.contractor_id,
         c.company_name as contractor_name,
         c.contact_email as contractor_email
@@ -231,7 +370,11 @@ exports.getPotholesGrouped = async (req, res) => {
        ORDER BY al.last_reported_at DESC`
     );
 
-    res.json({ locations });
+    const attachments = await attachmentService.listForLocations(db.promise(), locations.map(l => l.id));
+
+    res.json({
+      locations: locations.map(l => ({ ...l, attachments: attachments[l.id] || [] }))
+    });
   } catch (error) {
     console.error("Get grouped potholes error:", error);
     res.status(500).json({ message: "Failed to get grouped potholes", error: error.message });
@@ -274,9 +417,10 @@ exports.batchAssign = async (req, res) => {
   try {
     await connection.beginTransaction();
     
-    const { locationIds, contractorId, dueDate, notes } = req.body;
+    const { locationIds, contractorId, dueDate, notes, confirmOverBudget } = req.body;
 
     if (!locationIds || !locationIds.length || !contractorId) {
+      await connection.rollback();
       return res.status(400).json({ message: "locationIds and contractorId are required" });
     }
 
@@ -287,34 +431,39 @@ exports.batchAssign = async (req, res) => {
     );
 
     if (contractors.length === 0) {
+      await connection.rollback();
       return res.status(404).json({ message: "Contractor not found or inactive" });
     }
 
+    const budget = await costing.checkAssignment(connection, { locationIds, contractorId });
+    if (budget.exceeds && confirmOverBudget !== true) {
+      await connection.rollback();
+      return res.status(409).json(costing.overBudgetResponse(budget));
+    }
+
     const assignmentIds = [];
     
     for (const locationId of locationIds) {
-      const [result] = await connection.query(
-        `INSERT INTO work_assignments (aggregated_location_id, contractor_id, assigned_by, due_date, notes)
-         VALUES (?, ?, ?, ?, ?)`,
-        [locationId, contractorId, req.user.id, dueDate ? toMySQLDatetime(dueDate) : null, notes]
-      );
-      assignmentIds.push(result.insertId);
-
-      // Update location status
-      await connection.query(
-        "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-        [locationId]
-      );
+      const result = await workflow.transition(connection, "assign", {
+        locationId,
+        actor: actorOf(req),
+        fields: { contractor_id: contractorId, due_date: dueDate ? toMySQLDatetime(dueDate) : null, notes }
+      });
+      assignmentIds.push(result.assignmentId);
     }
 
     await connection.commit();
 
     res.status(201).json({
       message: `${locationIds.length} locations assigned successfully`,
-      assignmentIds
+      assignmentIds,
+      estimate: budget.total,
+      overBudget: budget.exceeds
     });
   } catch (error) {
     await connection.rollback();
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Batch assign error:", error);
     res.status(500).json({ message: "Failed to batch assign", error: error.message });
   } finally {
@@ -322,28 +471,41 @@ exports.batchAssign = async (req, res) => {
   }
 };
 
+// Contractor's completion package (photos, GPS check, materials) for review
+exports.getCompletionPackage = async (req, res) => {
+  try {
+    const completion = await proof.packageForLocation(db.promise(), req.params.locationId);
+
+    if (!completion) {
+      return res.status(404).json({ message: "No completion package submitted for this location" });
+    }
+
+    res.json({ completion });
+  } catch (error) {
+    console.error("Get completion package error:", error);
+    res.status(500).json({ message: "Failed to get completion package", error: error.message });
+  }
+};
+
 // Verify completed work
 exports.verifyWork = async (req, res) => {
   try {
     const { locationId } = req.params;
     const { notes, rating } = req.body;
 
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-      [locationId]
-    );
+    await workflow.run("verify", {
+      locationId,
+      actor: actorOf(req),
+      fields: { admin_notes: notes },
+      reason: notes
+    });
 
-    // Update assignment status (match pending_verification, in_progress, or assigned)
-    await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = 'verified', completed_at = NOW(), admin_notes = ?
-       WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-      [notes, locationId]
-    );
+    const completion = await proof.packageForLocation(db.promise(), locationId);
 
-    res.json({ message: "Work verified successfully" });
+    res.json({ message: "Work verified successfully", completion });
   } catch (error) {
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Verify work error:", error);
     res.status(500).json({ message: "Failed to verify work", error: error.message });
   }
@@ -359,21 +521,17 @@ exports.batchVerify = async (req, res) => {
     const { locationIds, notes } = req.body;
 
     if (!locationIds || !locationIds.length) {
+      await connection.rollback();
       return res.status(400).json({ message: "locationIds are required" });
     }
 
     for (const locationId of locationIds) {
-      await connection.query(
-        "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-        [locationId]
-      );
-
-      await connection.query(
-        `UPDATE work_assignments 
-         SET status = 'verified', completed_at = NOW(), admin_notes = ?
-         WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-        [notes, locationId]
-      );
+      await workflow.transition(connection, "verify", {
+        locationId,
+        actor: actorOf(req),
+        fields: { admin_notes: notes },
+        reason: notes
+      });
     }
 
     await connection.commit();
@@ -381,6 +539,8 @@ exports.batchVerify = async (req, res) => {
     res.json({ message: `${locationIds.length} locations verified successfully` });
   } catch (error) {
     await connection.rollback();
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Batch verify error:", error);
     res.status(500).json({ message: "Failed to batch verify", error: error.message });
   } finally {
@@ -394,22 +554,20 @@ exports.rejectVerification = async (req, res) => {
     const { locationId } = req.params;
     const { reason } = req.body;
 
-    // Update assignment status back to in_progress
-    await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = 'in_progress', admin_notes = ?
-       WHERE aggregated_location_id = ? AND status = 'pending_verification'`,
-      [reason, locationId]
-    );
+    // Send the work back to the contractor
+    await workflow.run("reject", {
+      locationId,
+      actor: actorOf(req),
+      fields: { admin_notes: reason },
+      reason
+    });
 
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-      [locationId]
-    );
+    const completion = await proof.packageForLocation(db.promise(), locationId);
 
-    res.json({ message: "Verification rejected, sent back to contractor" });
+    res.json({ message: "Verification rejected, sent back to contractor", completion });
   } catch (error) {
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Reject verification error:", error);
     res.status(500).json({ message: "Failed to reject verification", error: error.message });
   }
@@ -454,38 +612,296 @@ exports.getAssignments = async (req, res) => {
   }
 };
 
-// Get map points for visualization
+// Get map points, optionally inside a viewport; capped at the map point limit
 exports.getMapPoints = async (req, res) => {
   try {
-    const [points] = await db.promise().query(
-      `SELECT 
-        al.id,
-        al.latitude as lat,
-        al.longitude as lng,
-        al.highest_severity as severity,
-        al.status,
-        al.total_potholes,
-        al.total_patchy,
-        al.last_reported_at as date,
-        COALESCE(al.ward, 'Unknown') as ward
-       FROM aggregated_locations al
-       ORDER BY al.last_reported_at DESC`
-    );
+    const bbox = spatial.parseBbox(req.query);
+    const filters = mapService.filtersFromQuery(req.query);
+
+    const { points, truncated } = await mapService.points(db.promise(), bbox, filters);
 
     // Map status to frontend format
-    const mappedPoints = points.map(p => ({
-      ...p,
-      severity: p.severity?.toLowerCase() || 'medium',
-      status: mapStatusForFrontend(p.status)
-    }));
+    const mappedPoints = points.map(toFrontendPoint);
 
-    res.json({ points: mappedPoints });
+    res.json({ points: mappedPoints, truncated });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Get map points error:", error);
     res.status(500).json({ message: "Failed to get map points", error: error.message });
   }
 };
 
+// Clusters (low zoom) or individual points (street level) for a viewport
+exports.getMapViewport = async (req, res) => {
+  try {
+    const bbox = spatial.parseBbox(req.query);
+    if (!bbox) {
+      return res.status(400).json({ message: "minLat, maxLat, minLng and maxLng are required" });
+    }
+    const zoom = mapService.parseZoom(req.query.zoom);
+    const filters = mapService.filtersFromQuery(req.query);
+
+    const view = await mapService.viewport(db.promise(), bbox, zoom, filters);
+
+    res.json(toFeatureCollection(view));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get map viewport error:", error);
+    res.status(500).json({ message: "Failed to get map viewport", error: error.message });
+  }
+};
+
+// Same as the viewport endpoint, addressed as a /z/x/y map tile
+exports.getMapTile = async (req, res) => {
+  try {
+    const zoom = mapService.parseZoom(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+    const bbox = mapService.tileBounds(zoom, x, y);
+    const filters = mapService.filtersFromQuery(req.query);
+
+    const view = await mapService.viewport(db.promise(), bbox, zoom, filters);
+
+    res.set("Cache-Control", "private, max-age=60");
+    res.json({ ...toFeatureCollection(view), tile: { z: zoom, x, y }, bbox });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get map tile error:", error);
+    res.status(500).json({ message: "Failed to get map tile", error: error.message });
+  }
+};
+
+// Import ward / zone boundaries from a GeoJSON FeatureCollection
+// Body: { boundaries, nameProperty?, zoneProperty?, replace? } or a bare FeatureCollection
+exports.importWards = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    const body = req.body || {};
+    const geojson = body.type === "FeatureCollection" ? body : body.boundaries;
+    const wards = wardService.parseBoundaries(geojson, {
+      nameProperty: body.nameProperty || req.query.nameProperty,
+      zoneProperty: body.zoneProperty || req.query.zoneProperty
+    });
+    const replace = body.replace === true || req.query.replace === "true";
+
+    await connection.beginTransaction();
+
+    const imported = await wardService.importBoundaries(connection, wards, { replace });
+    const assignment = await wardService.assignAll(connection);
+
+    await connection.commit();
+
+    res.json({ message: "Ward boundaries imported", ...imported, assignment });
+  } catch (error) {
+    await connection.rollback();
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Import wards error:", error);
+    res.status(500).json({ message: "Failed to import wards", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// Per-ward rollup of open and repaired locations
+exports.getWards = async (req, res) => {
+  try {
+    const wards = await wardService.rollup(db.promise(), { zone: req.query.zone });
+    res.json({ wards });
+  } catch (error) {
+    console.error("Get wards error:", error);
+    res.status(500).json({ message: "Failed to get wards", error: error.message });
+  }
+};
+
+// Ward boundaries with rollup counts, for a choropleth map layer
+exports.getMapWards = async (req, res) => {
+  try {
+    const collection = await wardService.boundariesWithRollup(db.promise(), { zone: req.query.zone });
+    res.json(collection);
+  } catch (error) {
+    console.error("Get map wards error:", error);
+    res.status(500).json({ message: "Failed to get ward boundaries", error: error.message });
+  }
+};
+
+// Re-run ward assignment for every location
+exports.assignWards = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const summary = await wardService.assignAll(connection, { onlyMissing: req.body?.onlyMissing === true });
+    await connection.commit();
+
+    res.json({ message: "Wards assigned", ...summary });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Assign wards error:", error);
+    res.status(500).json({ message: "Failed to assign wards", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// Import a road network extract (GeoJSON lines) used to name locations
+// Body: { network, nameProperty?, classProperty?, replace? } or a bare FeatureCollection
+exports.importRoadNetwork = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    const body = req.body || {};
+    const geojson = body.type === "FeatureCollection" ? body : body.network;
+    const { roads, skipped } = roadNetwork.parseNetwork(geojson, {
+      nameProperty: body.nameProperty || req.query.nameProperty,
+      classProperty: body.classProperty || req.query.classProperty
+    });
+    const replace = body.replace === true || req.query.replace === "true";
+
+    await connection.beginTransaction();
+
+    const imported = await roadNetwork.importNetwork(connection, roads, { replace });
+    const snapping = await roadNetwork.snapAll(connection, { onlyMissing: !replace });
+
+    await connection.commit();
+
+    res.json({ message: "Road network imported", ...imported, skipped, snapping });
+  } catch (error) {
+    await connection.rollback();
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Import road network error:", error);
+    res.status(500).json({ message: "Failed to import road network", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// Re-snap every location to the road network
+exports.snapRoads = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const summary = await roadNetwork.snapAll(connection, { onlyMissing: req.body?.onlyMissing === true });
+    await connection.commit();
+
+    res.json({ message: "Locations snapped to roads", ...summary });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Snap roads error:", error);
+    res.status(500).json({ message: "Failed to snap locations to roads", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// Road network size by class and snapping coverage
+exports.getRoadNetwork = async (req, res) => {
+  try {
+    const summary = await roadNetwork.summary(db.promise());
+    res.json(summary);
+  } catch (error) {
+    console.error("Get road network error:", error);
+    res.status(500).json({ message: "Failed to get road network", error: error.message });
+  }
+};
+
+// Time-decayed pothole density grid for a bounding box and time window
+// Query: bounding box, from, to, gridSize, halfLifeDays, plus ward / zone / severity filters
+exports.getHeatmap = async (req, res) => {
+  try {
+    const options = heatmapService.parseOptions(req.query);
+
+    const ward = wardService.filterFromQuery(req.query);
+    const filter = { clause: ward.clause, params: [...ward.params] };
+    if (req.query.severity) {
+      filter.clause += " AND al.highest_severity = ?";
+      filter.params.push(req.query.severity);
+    }
+
+    const heatmap = await heatmapService.build(db.promise(), options, filter);
+
+    res.json(heatmap);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get heatmap error:", error);
+    res.status(500).json({ message: "Failed to get heatmap", error: error.message });
+  }
+};
+
+// Get patchy road segments as a GeoJSON FeatureCollection
+exports.getMapSegments = async (req, res) => {
+  try {
+    const { status, minLat, maxLat, minLng, maxLng } = req.query;
+
+    let whereClause = "WHERE al.location_type = 'segment'";
+    const params = [];
+
+    if (status) {
+      whereClause += " AND al.status = ?";
+      params.push(status);
+    }
+
+    const ward = wardService.filterFromQuery(req.query);
+    whereClause += ward.clause;
+    params.push(...ward.params);
+
+    if (minLat && maxLat && minLng && maxLng) {
+      whereClause += " AND al.bbox_max_lat >= ? AND al.bbox_min_lat <= ? AND al.bbox_max_lng >= ? AND al.bbox_min_lng <= ?";
+      params.push(minLat, maxLat, minLng, maxLng);
+    }
+
+    const [segments] = await db.promise().query(
+      `SELECT al.*, wa.id as assignment_id, wa.contractor_id, c.company_name as contractor_name
+       FROM aggregated_locations al
+       LEFT JOIN work_assignments wa ON wa.aggregated_location_id = al.id
+         AND wa.status NOT IN ('completed', 'verified')
+       LEFT JOIN contractors c ON wa.contractor_id = c.id
+       ${whereClause}
+       ORDER BY al.last_reported_at DESC`,
+      params
+    );
+
+    res.json({
+      type: "FeatureCollection",
+      features: segments.map(seg => ({
+        type: "Feature",
+        id: seg.id,
+        geometry: segmentService.toGeoJSON(seg),
+        properties: {
+          id: seg.id,
+          lengthM: seg.length_m !== null ? parseFloat(seg.length_m) : null,
+          severity: seg.highest_severity?.toLowerCase() || 'medium',
+          status: mapStatusForFrontend(seg.status),
+          rawStatus: seg.status,
+          anomalyCount: seg.total_patchy,
+          roadName: seg.road_name,
+          ward: seg.ward || 'Unknown',
+          lastReportedAt: seg.last_reported_at,
+          assignmentId: seg.assignment_id,
+          contractorId: seg.contractor_id,
+          contractorName: seg.contractor_name
+        }
+      }))
+    });
+  } catch (error) {
+    console.error("Get map segments error:", error);
+    res.status(500).json({ message: "Failed to get map segments", error: error.message });
+  }
+};
+
 // Helper to map backend status to frontend status
 function mapStatusForFrontend(status) {
   const statusMap = {
@@ -499,14 +915,63 @@ function mapStatusForFrontend(status) {
   return statusMap[status] || 'open';
 }
 
+// Map point row in the format the dashboard expects
+function toFrontendPoint(p) {
+  return {
+    ...p,
+    geometry: segmentService.toGeoJSON(p),
+    severity: p.severity?.toLowerCase() || 'medium',
+    status: mapStatusForFrontend(p.status)
+  };
+}
+
+// Viewport result as a GeoJSON FeatureCollection of clusters or points
+function toFeatureCollection(view) {
+  const features = view.mode === "clusters"
+    ? view.clusters.map(({ lat, lng, ...cluster }) => ({
+      type: "Feature",
+      id: cluster.cell,
+      geometry: { type: "Point", coordinates: [lng, lat] },
+      properties: { cluster: true, ...cluster }
+    }))
+    : view.points.map(p => {
+      const { lat, lng, geometry, ...point } = toFrontendPoint(p);
+      return {
+        type: "Feature",
+        id: point.id,
+        geometry: geometry || { type: "Point", coordinates: [parseFloat(lng), parseFloat(lat)] },
+        properties: { cluster: false, ...point }
+      };
+    });
+
+  return {
+    type: "FeatureCollection",
+    zoom: view.zoom,
+    mode: view.mode,
+    precision: view.precision,
+    truncated: view.truncated,
+    features
+  };
+}
+
 // Get repair history (verified locations)
 exports.getHistory = async (req, res) => {
   try {
-    const { startDate, endDate, roadName } = req.query;
+    const { startDate, endDate, roadName, roadClass } = req.query;
 
     let whereClause = "WHERE al.status = 'verified'";
     const params = [];
 
+    if (roadName) {
+      whereClause += " AND al.road_name LIKE ?";
+      params.push(`%${roadName}%`);
+    }
+
+    if (roadClass) {
+      whereClause += " AND al.road_class = ?";
+      params.push(roadClass);
+    }
+
     if (startDate) {
       whereClause += " AND al.verified_at >= ?";
       params.push(toMySQLDatetime(startDate));
@@ -525,7 +990,7 @@ exports.getHistory = async (req, res) => {
         c.company_name as contractor_name,
         c.contact_email as contractor_email
        FROM aggregated_locations al
-       LEFT JOIN work_assignments wa ON wa.aggregated_location_id = al.id AND wa.status = 'completed'
+       LEFT JOIN work_assignments wa ON wa.aggregated_location_id = al.id AND wa.status IN ('completed', 'verified')
        LEFT JOIN contractors c ON wa.contractor_id = c.id
        ${whereClause}
        ORDER BY al.verified_at DESC`,
@@ -538,3 +1003,719 @@ exports.getHistory = async (req, res) => {
     res.status(500).json({ message: "Failed to get history", error: error.message });
   }
 };
+
+// Rebuild aggregated locations by re-clustering every stored detection
+exports.rebuildClusters = async (req, res) => {
+  const given = req.body?.radiusMeters;
+  const radius = given === undefined || given === null || given === "" ? undefined : parseFloat(given);
+  if (radius !== undefined && !clustering.isValidRadius(radius)) {
+    return res.status(400).json({ message: "radiusMeters must be a positive number" });
+  }
+
+  const connection = await db.promise().getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const summary = await clustering.rebuildClusters(connection, radius);
+
+    await connection.commit();
+
+    console.log(`Re-clustered ${summary.detections} detections into ${summary.clusters} clusters`);
+
+    res.json({ message: "Clusters rebuilt successfully", ...summary });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Rebuild clusters error:", error);
+    res.status(500).json({ message: "Failed to rebuild clusters", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// Compare device-reported severity with server-computed severity per app build
+exports.getSeverityAudit = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    let whereClause = "WHERE pd.computed_severity IS NOT NULL AND pd.device_severity IS NOT NULL";
+    const params = [];
+
+    if (startDate) {
+      whereClause += " AND pd.timestamp >= ?";
+      params.push(toMySQLDatetime(startDate));
+    }
+
+    if (endDate) {
+      whereClause += " AND pd.timestamp <= ?";
+      params.push(toMySQLDatetime(endDate));
+    }
+
+    const [builds] = await db.promise().query(
+      `SELECT 
+        COALESCE(u.app_version, 'unknown') as app_version,
+        COALESCE(u.device_platform, 'unknown') as device_platform,
+        COUNT(*) as scored_detections,
+        SUM(pd.device_severity = pd.computed_severity) as agreed,
+        SUM(FIELD(pd.device_severity, 'Low', 'Medium', 'High') > FIELD(pd.computed_severity, 'Low', 'Medium', 'High')) as device_higher,
+        SUM(FIELD(pd.device_severity, 'Low', 'Medium', 'High') < FIELD(pd.computed_severity, 'Low', 'Medium', 'High')) as device_lower,
+        AVG(pd.severity_confidence) as avg_confidence
+       FROM pothole_detections pd
+       JOIN reports r ON pd.report_id = r.id
+       LEFT JOIN users u ON r.user_id = u.id
+       ${whereClause}
+       GROUP BY COALESCE(u.app_version, 'unknown'), COALESCE(u.device_platform, 'unknown')
+       ORDER BY scored_detections DESC`,
+      params
+    );
+
+    res.json({
+      builds: builds.map(b => ({
+        ...b,
+        agreement_rate: b.scored_detections > 0 ? Number(b.agreed) / b.scored_detections : null
+      }))
+    });
+  } catch (error) {
+    console.error("Severity audit error:", error);
+    res.status(500).json({ message: "Failed to get severity audit", error: error.message });
+  }
+};
+
+// List reports held back by the plausibility checks
+exports.getQuarantinedReports = async (req, res) => {
+  try {
+    const status = req.query.status || "quarantined";
+
+    const [reports] = await db.promise().query(
+      `SELECT r.*, u.email as user_email,
+              (SELECT COUNT(*) FROM pothole_detections WHERE report_id = r.id) as pothole_count,
+              (SELECT COUNT(*) FROM road_anomalies WHERE report_id = r.id) as anomaly_count
+       FROM reports r
+       LEFT JOIN users u ON r.user_id = u.id
+       WHERE r.review_status = ?
+       ORDER BY r.created_at DESC`,
+      [status]
+    );
+
+    res.json({ reports });
+  } catch (error) {
+    console.error("Get quarantined reports error:", error);
+    res.status(500).json({ message: "Failed to get quarantined reports", error: error.message });
+  }
+};
+
+// Approve a quarantined report and release its detections into the aggregates
+exports.approveQuarantinedReport = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    await clustering.beginTransaction(connection);
+
+    const [reports] = await connection.query(
+      "SELECT id, review_status FROM reports WHERE report_id = ? FOR UPDATE",
+      [req.params.reportId]
+    );
+
+    if (reports.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (reports[0].review_status !== "quarantined") {
+      await connection.rollback();
+      return res.status(409).json({ message: `Report is ${reports[0].review_status}, not quarantined` });
+    }
+
+    const result = await reportService.approveQuarantined(connection, reports[0].id, req.user.id, req.body.reason);
+
+    await connection.commit();
+
+    res.json({ message: "Report approved", ...result });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Approve report error:", error);
+    res.status(500).json({ message: "Failed to approve report", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// Reject a quarantined report; its detections stay out of the aggregates
+exports.rejectQuarantinedReport = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [reports] = await connection.query(
+      "SELECT id, review_status FROM reports WHERE report_id = ? FOR UPDATE",
+      [req.params.reportId]
+    );
+
+    if (reports.length === 0 || reports[0].review_status !== "quarantined") {
+      await connection.rollback();
+      return res.status(404).json({ message: "Quarantined report not found" });
+    }
+
+    await connection.query(
+      "UPDATE reports SET review_status = 'rejected', reviewed_by = ?, reviewed_at = NOW() WHERE id = ?",
+      [req.user.id, reports[0].id]
+    );
+
+    await events.record(connection, {
+      entityType: "report",
+      entityId: reports[0].id,
+      field: "review_status",
+      from: "quarantined",
+      to: "rejected",
+      actor: actorOf(req),
+      reason: req.body.reason
+    });
+
+    await connection.commit();
+
+    res.json({ message: "Report rejected" });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Reject report error:", error);
+    res.status(500).json({ message: "Failed to reject report", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// SLA targets per severity and the escalation chain in force
+exports.getSlaPolicy = async (req, res) => {
+  res.json({
+    hours: sla.config.hours,
+    atRiskFraction: sla.config.atRiskFraction,
+    escalationChain: sla.config.escalationChain,
+    checkIntervalMinutes: sla.config.checkIntervalMinutes
+  });
+};
+
+// Open assignments past their SLA deadline (add atRisk=true for those close to it)
+// Query: atRisk, limit, ward / zone
+exports.getOverdueQueue = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const queue = await sla.overdueQueue(db.promise(), {
+      includeAtRisk: req.query.atRisk === "true",
+      limit,
+      filter: wardService.filterFromQuery(req.query)
+    });
+
+    res.json({ queue, count: queue.length });
+  } catch (error) {
+    console.error("Get overdue queue error:", error);
+    res.status(500).json({ message: "Failed to get overdue queue", error: error.message });
+  }
+};
+
+// SLA compliance per contractor and ward. Query: from, to, ward / zone
+exports.getSlaCompliance = async (req, res) => {
+  try {
+    const window = sla.parseWindow(req.query);
+    const compliance = await sla.compliance(db.promise(), window, wardService.filterFromQuery(req.query));
+    res.json(compliance);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get SLA compliance error:", error);
+    res.status(500).json({ message: "Failed to get SLA compliance", error: error.message });
+  }
+};
+
+// Run the SLA check now instead of waiting for the scheduler
+exports.runSlaCheck = async (req, res) => {
+  try {
+    const summary = await sla.check(db.promise());
+    res.json({ message: "SLA check complete", ...summary });
+  } catch (error) {
+    console.error("SLA check error:", error);
+    res.status(500).json({ message: "Failed to run SLA check", error: error.message });
+  }
+};
+
+// Escalations raised for overdue work, newest first
+exports.getSlaEscalations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const escalations = await sla.escalations(db.promise(), { limit });
+    res.json({ escalations });
+  } catch (error) {
+    console.error("Get escalations error:", error);
+    res.status(500).json({ message: "Failed to get escalations", error: error.message });
+  }
+};
+
+// Escalation contacts (ward officers, zone heads, ...)
+exports.getEscalationContacts = async (req, res) => {
+  try {
+    const [contacts] = await db.promise().query(
+      `SELECT ec.*, w.name as ward_name
+       FROM escalation_contacts ec
+       LEFT JOIN wards w ON ec.ward_id = w.id
+       ORDER BY ec.role, w.name, ec.zone`
+    );
+    res.json({ contacts });
+  } catch (error) {
+    console.error("Get escalation contacts error:", error);
+    res.status(500).json({ message: "Failed to get escalation contacts", error: error.message });
+  }
+};
+
+// Body: { role, wardId?, zone?, userId?, name?, email?, phone? }
+exports.createEscalationContact = async (req, res) => {
+  try {
+    const contact = sla.parseContact(req.body);
+    const [result] = await db.promise().query(
+      `INSERT INTO escalation_contacts (role, ward_id, zone, user_id, name, email, phone)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [contact.role, contact.wardId, contact.zone, contact.userId, contact.name, contact.email, contact.phone]
+    );
+
+    res.status(201).json({ message: "Escalation contact created", contactId: result.insertId });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Create escalation contact error:", error);
+    res.status(500).json({ message: "Failed to create escalation contact", error: error.message });
+  }
+};
+
+exports.deleteEscalationContact = async (req, res) => {
+  try {
+    const [result] = await db.promise().query(
+      "DELETE FROM escalation_contacts WHERE id = ?",
+      [req.params.contactId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Escalation contact not found" });
+    }
+
+    res.json({ message: "Escalation contact deleted" });
+  } catch (error) {
+    console.error("Delete escalation contact error:", error);
+    res.status(500).json({ message: "Failed to delete escalation contact", error: error.message });
+  }
+};
+
+// Rank contractors for pending locations and, unless dryRun is false, assign them
+// Body: { dryRun = true, locationIds?, limit?, minScore?, dueDate?, allowOverBudget?, ward?, zone? }
+exports.autoDispatch = async (req, res) => {
+  try {
+    const options = dispatch.parseOptions(req.body);
+    const candidates = await dispatch.loadCandidates(db.promise(), options, wardService.filterFromQuery(req.body));
+    const contractors = await dispatch.loadContractors(db.promise());
+    const plan = dispatch.plan(candidates, contractors, options);
+
+    if (options.dryRun) {
+      return res.json({ dryRun: true, count: plan.length, plan });
+    }
+
+    const results = await dispatch.apply(plan, actorOf(req), {
+      dueDate: options.dueDate,
+      allowOverBudget: options.allowOverBudget
+    });
+
+    res.json({
+      dryRun: false,
+      count: plan.length,
+      assigned: results.filter(r => r.status === "assigned").length,
+      failed: results.filter(r => r.status === "failed").length,
+      results,
+      plan
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Auto-dispatch error:", error);
+    res.status(500).json({ message: "Failed to dispatch", error: error.message });
+  }
+};
+
+// Warranty claims for repairs that recurred, newest first
+// Query: status (open | resolved), contractorId, limit
+exports.getWarrantyClaims = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const claims = await warranty.claims(db.promise(), {
+      status: req.query.status || null,
+      contractorId: req.query.contractorId || null,
+      limit
+    });
+
+    res.json({ warrantyDays: warranty.config.warrantyDays, claims, count: claims.length });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get warranty claims error:", error);
+    res.status(500).json({ message: "Failed to get warranty claims", error: error.message });
+  }
+};
+
+// Ranked work queue: open locations by priority with the breakdown behind each score
+// Query: limit, offset, includeAssigned, ward / zone, minConfidence / confirmedOnly
+exports.getPriorityQueue = async (req, res) => {
+  try {
+    const options = priority.parseQueueOptions(req.query);
+    const confidence = corroboration.minConfidenceFilter(corroboration.levelFromQuery(req.query));
+    const ward = wardService.filterFromQuery(req.query);
+    const queue = await priority.queue(db.promise(), options, {
+      clause: confidence.clause + ward.clause,
+      params: [...confidence.params, ...ward.params]
+    });
+
+    res.json({ queue, count: queue.length, offset: options.offset });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get priority queue error:", error);
+    res.status(500).json({ message: "Failed to get priority queue", error: error.message });
+  }
+};
+
+// Weights and factor scales of the priority model
+exports.getPriorityModel = async (req, res) => {
+  res.json(priority.model());
+};
+
+// Recompute every location's priority now instead of waiting for the scheduler
+exports.refreshPriority = async (req, res) => {
+  try {
+    const scored = await priority.refresh(db.promise());
+    res.json({ message: "Priority refreshed", scored });
+  } catch (error) {
+    console.error("Priority refresh error:", error);
+    res.status(500).json({ message: "Failed to refresh priority", error: error.message });
+  }
+};
+
+exports.getSensitiveSites = async (req, res) => {
+  try {
+    const [sites] = await db.promise().query(
+      "SELECT * FROM sensitive_sites ORDER BY category, name"
+    );
+    res.json({ sites });
+  } catch (error) {
+    console.error("Get sensitive sites error:", error);
+    res.status(500).json({ message: "Failed to get sensitive sites", error: error.message });
+  }
+};
+
+// Body: { name, category, latitude, longitude, radiusM? }
+exports.createSensitiveSite = async (req, res) => {
+  try {
+    const site = priority.parseSite(req.body);
+    const [result] = await db.promise().query(
+      `INSERT INTO sensitive_sites (name, category, latitude, longitude, radius_m)
+       VALUES (?, ?, ?, ?, ?)`,
+      [site.name, site.category, site.latitude, site.longitude, site.radiusM]
+    );
+    const scored = await priority.refresh(db.promise());
+
+    res.status(201).json({ message: "Sensitive site created", siteId: result.insertId, scored });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Create sensitive site error:", error);
+    res.status(500).json({ message: "Failed to create sensitive site", error: error.message });
+  }
+};
+
+exports.deleteSensitiveSite = async (req, res) => {
+  try {
+    const [result] = await db.promise().query(
+      "DELETE FROM sensitive_sites WHERE id = ?",
+      [req.params.siteId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Sensitive site not found" });
+    }
+    const scored = await priority.refresh(db.promise());
+
+    res.json({ message: "Sensitive site deleted", scored });
+  } catch (error) {
+    console.error("Delete sensitive site error:", error);
+    res.status(500).json({ message: "Failed to delete sensitive site", error: error.message });
+  }
+};
+
+// Rate cards: per contractor and repair type, plus city defaults (no contractor)
+exports.getRateCards = async (req, res) => {
+  try {
+    const [cards] = await db.promise().query(
+      `SELECT rc.*, c.company_name as contractor_name
+       FROM rate_cards rc
+       LEFT JOIN contractors c ON rc.contractor_id = c.id
+       ORDER BY rc.contractor_id IS NOT NULL, c.company_name, rc.repair_type`
+    );
+    res.json({
+      currency: costing.config.currency,
+      severityMultiplier: costing.config.severityMultiplier,
+      units: costing.REPAIR_TYPES,
+      cards
+    });
+  } catch (error) {
+    console.error("Get rate cards error:", error);
+    res.status(500).json({ message: "Failed to get rate cards", error: error.message });
+  }
+};
+
+// Create or replace a rate card
+// Body: { contractorId?, repairType: pothole | patch, baseAmount?, unitRate }
+exports.saveRateCard = async (req, res) => {
+  try {
+    const card = costing.parseRateCard(req.body);
+    const cardId = await costing.saveRateCard(db.promise(), card);
+    res.json({ message: "Rate card saved", cardId });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Save rate card error:", error);
+    res.status(500).json({ message: "Failed to save rate card", error: error.message });
+  }
+};
+
+exports.deleteRateCard = async (req, res) => {
+  try {
+    const [result] = await db.promise().query(
+      "DELETE FROM rate_cards WHERE id = ?",
+      [req.params.cardId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Rate card not found" });
+    }
+
+    res.json({ message: "Rate card deleted" });
+  } catch (error) {
+    console.error("Delete rate card error:", error);
+    res.status(500).json({ message: "Failed to delete rate card", error: error.message });
+  }
+};
+
+// Cost of assigning locations to a contractor and its effect on budgets
+// Query: contractorId, locationIds (comma separated)
+exports.getCostEstimate = async (req, res) => {
+  try {
+    const locationIds = String(req.query.locationIds || "")
+      .split(",")
+      .map(id => parseInt(id))
+      .filter(Number.isInteger);
+
+    if (!req.query.contractorId || locationIds.length === 0) {
+      return res.status(400).json({ message: "contractorId and locationIds are required" });
+    }
+
+    const check = await costing.checkAssignment(db.promise(), {
+      locationIds,
+      contractorId: req.query.contractorId
+    });
+    res.json(check);
+  } catch (error) {
+    console.error("Cost estimate error:", error);
+    res.status(500).json({ message: "Failed to estimate cost", error: error.message });
+  }
+};
+
+// Ward / zone budgets with committed and spent amounts. Query: activeOn (YYYY-MM-DD)
+exports.getBudgets = async (req, res) => {
+  try {
+    const budgets = await costing.budgets(db.promise(), { on: req.query.activeOn || null });
+    const statuses = await costing.budgetStatus(db.promise(), budgets);
+    res.json({ currency: costing.config.currency, budgets: statuses });
+  } catch (error) {
+    console.error("Get budgets error:", error);
+    res.status(500).json({ message: "Failed to get budgets", error: error.message });
+  }
+};
+
+// Body: { scope: ward | zone, wardId?, zone?, periodStart, periodEnd, amount, notes? }
+exports.createBudget = async (req, res) => {
+  try {
+    const budget = costing.parseBudget(req.body);
+    const [result] = await db.promise().query(
+      `INSERT INTO budgets (scope, ward_id, zone, period_start, period_end, amount, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [budget.scope, budget.wardId, budget.zone, budget.periodStart, budget.periodEnd, budget.amount, budget.notes]
+    );
+
+    res.status(201).json({ message: "Budget created", budgetId: result.insertId });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Create budget error:", error);
+    res.status(500).json({ message: "Failed to create budget", error: error.message });
+  }
+};
+
+exports.deleteBudget = async (req, res) => {
+  try {
+    const [result] = await db.promise().query(
+      "DELETE FROM budgets WHERE id = ?",
+      [req.params.budgetId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Budget not found" });
+    }
+
+    res.json({ message: "Budget deleted" });
+  } catch (error) {
+    console.error("Delete budget error:", error);
+    res.status(500).json({ message: "Failed to delete budget", error: error.message });
+  }
+};
+
+// Invoices, newest first. Query: contractorId, status, limit
+exports.getInvoices = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const list = await invoices.list(db.promise(), {
+      contractorId: req.query.contractorId || null,
+      status: req.query.status || null,
+      limit
+    });
+    res.json({ invoices: list });
+  } catch (error) {
+    console.error("Get invoices error:", error);
+    res.status(500).json({ message: "Failed to get invoices", error: error.message });
+  }
+};
+
+exports.getInvoice = async (req, res) => {
+  try {
+    const invoice = await invoices.get(db.promise(), req.params.invoiceId);
+
+    if (!invoice) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    res.json({ invoice });
+  } catch (error) {
+    console.error("Get invoice error:", error);
+    res.status(500).json({ message: "Failed to get invoice", error: error.message });
+  }
+};
+
+// Draft an invoice for a contractor's verified, uninvoiced work
+// Body: { contractorId, from, to } (dates, by completion)
+exports.createInvoice = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    const request = invoices.parseRequest(req.body);
+
+    await connection.beginTransaction();
+    const invoiceId = await invoices.generate(connection, request, req.user.id);
+    await connection.commit();
+
+    const invoice = await invoices.get(db.promise(), invoiceId);
+    res.status(201).json({ message: "Invoice created", invoice });
+  } catch (error) {
+    await connection.rollback();
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Create invoice error:", error);
+    res.status(500).json({ message: "Failed to create invoice", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+// Body: { status: issued | paid }
+exports.updateInvoiceStatus = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const change = await invoices.setStatus(connection, req.params.invoiceId, req.body.status);
+    await connection.commit();
+
+    if (!change) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    res.json({ message: `Invoice ${change.to}`, ...change });
+  } catch (error) {
+    await connection.rollback();
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Update invoice status error:", error);
+    res.status(500).json({ message: "Failed to update invoice", error: error.message });
+  } finally {
+    connection.release();
+  }
+};
+
+exports.deleteInvoice = async (req, res) => {
+  try {
+    const deleted = await invoices.remove(db.promise(), req.params.invoiceId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    res.json({ message: "Invoice deleted" });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error("Delete invoice error:", error);
+    res.status(500).json({ message: "Failed to delete invoice", error: error.message });
+  }
+};
+
+// Contractors ranked by scorecard. Query: from, to, sortBy
+exports.getScorecards = async (req, res) => {
+  try {
+    const options = scorecards.parseOptions(req.query);
+    const cards = await scorecards.compute(db.promise(), options);
+
+    res.json({
+      ...scorecards.describe(options),
+      sortBy: options.sortBy,
+      scorecards: scorecards.rank(cards, options.sortBy)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get scorecards error:", error);
+    res.status(500).json({ message: "Failed to get scorecards", error: error.message });
+  }
+};
+
+// One contractor's scorecard. Query: from, to
+exports.getContractorScorecard = async (req, res) => {
+  try {
+    const options = scorecards.parseOptions(req.query);
+    const cards = await scorecards.compute(db.promise(), options, req.params.contractorId);
+
+    if (cards.length === 0) {
+      return res.status(404).json({ message: "Contractor not found" });
+    }
+
+    res.json({ ...scorecards.describe(options), scorecard: cards[0] });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get contractor scorecard error:", error);
+    res.status(500).json({ message: "Failed to get scorecard", error: error.message });
+  }
+};
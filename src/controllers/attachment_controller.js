@@ -0,0 +1,144 @@
+const db = require("../config/db");
+const attachmentService = require("../services/attachment_service");
+
+// Upload a photo for one detection (location_id) of a report
+exports.uploadReportPhoto = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { location_id, image } = req.body;
+
+    if (!location_id || !image) {
+      return res.status(400).json({ message: "location_id and image are required" });
+    }
+
+    const [reports] = await db.promise().query(
+      "SELECT id, user_id FROM reports WHERE report_id = ?",
+      [reportId]
+    );
+
+    if (reports.length === 0) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const report = reports[0];
+    if (req.user.role !== "admin" && report.user_id !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    // The detection tells us which aggregated location the photo belongs to
+    const [detections] = await db.promise().query(
+      `SELECT aggregated_location_id FROM pothole_detections WHERE report_id = ? AND location_id = ?
+       UNION ALL
+       SELECT aggregated_location_id FROM road_anomalies WHERE report_id = ? AND location_id = ?
+       LIMIT 1`,
+      [report.id, location_id, report.id, location_id]
+    );
+
+    if (detections.length === 0) {
+      return res.status(404).json({ message: "location_id not found in this report" });
+    }
+
+    const buffer = attachmentService.decodeImage(image);
+    const attachment = await attachmentService.saveImage(db.promise(), buffer, {
+      reportId: report.id,
+      detectionLocationId: location_id,
+      aggregatedLocationId: detections[0].aggregated_location_id,
+      category: "detection",
+      uploadedBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: "Photo uploaded successfully",
+      attachment: attachmentService.toResponse(attachment)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Upload report photo error:", error);
+    res.status(500).json({ message: "Failed to upload photo", error: error.message });
+  }
+};
+
+// Upload a photo directly against an aggregated location (admin)
+exports.uploadLocationPhoto = async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    const { image } = req.body;
+
+    if (!image) {
+      return res.status(400).json({ message: "image is required" });
+    }
+
+    const [locations] = await db.promise().query(
+      "SELECT id FROM aggregated_locations WHERE id = ?",
+      [locationId]
+    );
+
+    if (locations.length === 0) {
+      return res.status(404).json({ message: "Location not found" });
+    }
+
+    const buffer = attachmentService.decodeImage(image);
+    const attachment = await attachmentService.saveImage(db.promise(), buffer, {
+      aggregatedLocationId: locations[0].id,
+      category: "location",
+      uploadedBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: "Photo uploaded successfully",
+      attachment: attachmentService.toResponse(attachment)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Upload location photo error:", error);
+    res.status(500).json({ message: "Failed to upload photo", error: error.message });
+  }
+};
+
+// Stream the stored original or thumbnail to its uploader, the owner of the
+// report it belongs to, or an admin (photos can carry EXIF GPS)
+const sendStored = (variant) => async (req, res) => {
+  try {
+    const [rows] = await db.promise().query(
+      `SELECT a.storage_key, a.thumbnail_key, a.content_type, a.uploaded_by, r.user_id as report_owner
+       FROM attachments a
+       LEFT JOIN reports r ON a.report_id = r.id
+       WHERE a.id = ?`,
+      [req.params.attachmentId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    const row = rows[0];
+    if (req.user.role !== "admin" && row.uploaded_by !== req.user.id && row.report_owner !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    const key = variant === "thumbnail" ? row.thumbnail_key : row.storage_key;
+
+    if (!key || !(await attachmentService.storage.exists(key))) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    res.type(variant === "thumbnail" ? "image/jpeg" : row.content_type);
+    res.set("Cache-Control", "private, max-age=86400");
+    attachmentService.storage.createReadStream(key)
+      .on("error", (err) => {
+        console.error("Attachment stream error:", err);
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error("Get attachment error:", error);
+    res.status(500).json({ message: "Failed to get attachment", error: error.message });
+  }
+};
+
+exports.getFile = sendStored("file");
+exports.getThumbnail = sendStored("thumbnail");
@@ -1,4 +1,24 @@
 const db = require("../config/db");
+const workflow = require("../services/workflow_service");
+const proof = require("../services/proof_service");
+const attachmentService = require("../services/attachment_service");
+const workPlan = require("../services/work_plan_service");
+const scorecards = require("../services/scorecard_service");
+
+// The contractor profile of the logged-in user and one of its jobs
+const findOwnJob = async (connection, userId, jobId) => {
+  const [contractors] = await connection.query(
+    "SELECT id FROM contractors WHERE user_id = ?",
+    [userId]
+  );
+  if (contractors.length === 0) return { contractor: null, job: null };
+
+  const [jobs] = await connection.query(
+    "SELECT * FROM work_assignments WHERE id = ? AND contractor_id = ?",
+    [jobId, contractors[0].id]
+  );
+  return { contractor: contractors[0], job: jobs[0] || null };
+};
 
 // Get contractor's assigned jobs
 exports.jobs = async (req, res) => {
@@ -17,7 +37,8 @@ exports.jobs = async (req, res) => {
 
     // Get assignments
     const [jobs] = await db.promise().query(
-      `SELECT wa.*, al.grid_id, al.latitude, al.longitude, al.total_potholes, al.total_patchy, al.highest_severity
+      `SELECT wa.*, al.grid_id, al.location_type, al.latitude, al.longitude, al.geometry, al.length_m,
+              al.total_potholes, al.total_patchy, al.highest_severity
        FROM work_assignments wa
        JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
        WHERE wa.contractor_id = ?
@@ -32,58 +53,162 @@ exports.jobs = async (req, res) => {
   }
 };
 
+// Open jobs ordered into daily visiting routes from a depot
+// Query: depotLat, depotLng (default: service area centre), capacity (jobs per day), startDate, returnToDepot
+exports.getWorkPlan = async (req, res) => {
+  try {
+    const [contractors] = await db.promise().query(
+      "SELECT id, service_area_lat, service_area_lng FROM contractors WHERE user_id = ?",
+      [req.user.id]
+    );
+
+    if (contractors.length === 0) {
+      return res.status(404).json({ message: "Contractor profile not found" });
+    }
+
+    const contractor = contractors[0];
+    const serviceCentre = contractor.service_area_lat !== null && contractor.service_area_lng !== null
+      ? { lat: parseFloat(contractor.service_area_lat), lng: parseFloat(contractor.service_area_lng) }
+      : null;
+    const options = workPlan.parseOptions(req.query, serviceCentre);
+    const jobs = await workPlan.loadJobs(db.promise(), contractor.id);
+
+    res.json({ plan: workPlan.plan(jobs, options) });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get work plan error:", error);
+    res.status(500).json({ message: "Failed to build work plan", error: error.message });
+  }
+};
+
 // Update job status
 exports.updateJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
     const { status, notes } = req.body;
 
-    const validStatuses = ["assigned", "in_progress", "completed", "verified"];
-    if (!validStatuses.includes(status)) {
+    const action = workflow.actionForStatus(status);
+    if (!action) {
       return res.status(400).json({ message: "Invalid status" });
     }
 
     // Verify contractor owns this job
-    const [contractors] = await db.promise().query(
-      "SELECT id FROM contractors WHERE user_id = ?",
-      [req.user.id]
-    );
+    const { contractor, job } = await findOwnJob(db.promise(), req.user.id, jobId);
 
-    if (contractors.length === 0) {
+    if (!contractor) {
       return res.status(404).json({ message: "Contractor profile not found" });
     }
 
-    const [jobs] = await db.promise().query(
-      "SELECT * FROM work_assignments WHERE id = ? AND contractor_id = ?",
-      [jobId, contractors[0].id]
-    );
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    // The contractor's note is kept with the status event, not appended to the job
+    const result = await workflow.run(action, {
+      assignmentId: job.id,
+      actor: { id: req.user.id, role: req.user.role, contractorId: contractor.id },
+      reason: notes
+    });
 
-    if (jobs.length === 0) {
+    res.json({ message: "Job status updated successfully", status: result.assignment.to });
+  } catch (error) {
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
+    console.error("Update job error:", error);
+    res.status(500).json({ message: "Failed to update job", error: error.message });
+  }
+};
+
+// Upload a before or after photo for a job. Body: { image, stage: "before" | "after" }
+exports.uploadJobPhoto = async (req, res) => {
+  try {
+    const { image, stage } = req.body;
+    const category = proof.photoCategory(stage);
+
+    if (!image) {
+      return res.status(400).json({ message: "image is required" });
+    }
+
+    const { contractor, job } = await findOwnJob(db.promise(), req.user.id, req.params.jobId);
+    if (!contractor) {
+      return res.status(404).json({ message: "Contractor profile not found" });
+    }
+    if (!job) {
       return res.status(404).json({ message: "Job not found" });
     }
+    if (!["assigned", "in_progress"].includes(job.status)) {
+      return res.status(409).json({ message: `Photos cannot be added while the job is '${job.status}'` });
+    }
 
-    // Update job
-    const completionDate = status === "completed" ? new Date() : null;
+    const buffer = attachmentService.decodeImage(image);
+    const attachment = await attachmentService.saveImage(db.promise(), buffer, {
+      aggregatedLocationId: job.aggregated_location_id,
+      assignmentId: job.id,
+      category,
+      uploadedBy: req.user.id
+    });
 
-    await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = ?, notes = CONCAT(COALESCE(notes, ''), '\n', ?), completion_date = ?
-       WHERE id = ?`,
-      [status, notes || "", completionDate, jobId]
-    );
+    res.status(201).json({
+      message: "Photo uploaded successfully",
+      attachment: attachmentService.toResponse(attachment)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Upload job photo error:", error);
+    res.status(500).json({ message: "Failed to upload photo", error: error.message });
+  }
+};
 
-    // If completed, update aggregated location
-    if (status === "completed") {
-      await db.promise().query(
-        "UPDATE aggregated_locations SET status = 'fixed' WHERE id = ?",
-        [jobs[0].aggregated_location_id]
-      );
+// Complete a job with its proof-of-work package
+// Body: { latitude, longitude, accuracyM?, capturedAt, materials: [{ name, quantity, unit }], repairedAreaM2, notes? }
+exports.completeJob = async (req, res) => {
+  const connection = await db.promise().getConnection();
+
+  try {
+    const submission = proof.parseSubmission(req.body);
+
+    await connection.beginTransaction();
+
+    const { contractor, job } = await findOwnJob(connection, req.user.id, req.params.jobId);
+    if (!contractor || !job) {
+      await connection.rollback();
+      return res.status(404).json({ message: contractor ? "Job not found" : "Contractor profile not found" });
     }
 
-    res.json({ message: "Job status updated successfully" });
+    const [locations] = await connection.query(
+      "SELECT id, location_type, latitude, longitude, geometry FROM aggregated_locations WHERE id = ?",
+      [job.aggregated_location_id]
+    );
+
+    const completionId = await proof.submit(connection, job, locations[0], submission, req.user.id);
+    const result = await workflow.transition(connection, "complete", {
+      assignmentId: job.id,
+      actor: { id: req.user.id, role: req.user.role, contractorId: contractor.id },
+      reason: submission.notes
+    });
+
+    await connection.commit();
+
+    res.status(201).json({
+      message: "Completion submitted for verification",
+      completionId,
+      status: result.assignment.to
+    });
   } catch (error) {
-    console.error("Update job error:", error);
-    res.status(500).json({ message: "Failed to update job", error: error.message });
+    await connection.rollback();
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message, reasons: error.reasons });
+    }
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
+    console.error("Complete job error:", error);
+    res.status(500).json({ message: "Failed to complete job", error: error.message });
+  } finally {
+    connection.release();
   }
 };
 
@@ -128,7 +253,7 @@ exports.getStats = async (req, res) => {
         COUNT(*) as total_jobs,
         SUM(CASE WHEN status = 'assigned' THEN 1 ELSE 0 END) as assigned,
         SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
-        SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
+        SUM(CASE WHEN status IN ('pending_verification', 'completed') THEN 1 ELSE 0 END) as completed,
         SUM(CASE WHEN status = 'verified' THEN 1 ELSE 0 END) as verified
        FROM work_assignments 
        WHERE contractor_id = ?`,
@@ -141,3 +266,28 @@ exports.getStats = async (req, res) => {
     res.status(500).json({ message: "Failed to get stats", error: error.message });
   }
 };
+
+// The logged-in contractor's scorecard. Query: from, to
+exports.getScorecard = async (req, res) => {
+  try {
+    const [contractors] = await db.promise().query(
+      "SELECT id FROM contractors WHERE user_id = ?",
+      [req.user.id]
+    );
+
+    if (contractors.length === 0) {
+      return res.status(404).json({ message: "Contractor profile not found" });
+    }
+
+    const options = scorecards.parseOptions(req.query);
+    const cards = await scorecards.compute(db.promise(), options, contractors[0].id);
+
+    res.json({ ...scorecards.describe(options), scorecard: cards[0] });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get scorecard error:", error);
+    res.status(500).json({ message: "Failed to get scorecard", error: error.message });
+  }
+};
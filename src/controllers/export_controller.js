@@ -0,0 +1,29 @@
+const exportService = require("../services/export_service");
+
+/**
+ * Stream a dataset as GeoJSON, KML or CSV
+ * GET /api/exports/:dataset?format=geojson|kml|csv plus the dataset's filters
+ * (status, severity, ward, zone, startDate, endDate, bounding box, minConfidence)
+ */
+exports.exportData = async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const format = (req.query.format || "geojson").toLowerCase();
+
+    if (!exportService.resolve(dataset, format)) {
+      return res.status(400).json({
+        message: "Unknown dataset or format",
+        datasets: exportService.DATASETS,
+        formats: exportService.FORMATS
+      });
+    }
+
+    await exportService.streamExport(res, dataset, format, req.query);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Export error:", error);
+    res.status(500).json({ message: "Failed to export data", error: error.message });
+  }
+};
@@ -0,0 +1,69 @@
+const db = require("../config/db");
+const hazardService = require("../services/hazard_service");
+const spatial = require("../services/spatial_service");
+
+/**
+ * Unresolved hazards ahead of the driver
+ * Body: { route?: { polyline } | { points }, position?: { latitude, longitude, heading, speed_kmh },
+ *         sensitivity?, corridorMeters? }
+ * Needs a route, or a position with heading. Responses carry an ETag so the
+ * app can revalidate a cached route with If-None-Match.
+ */
+exports.getHazardsAhead = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const line = spatial.parseRoute(body.route);
+    const position = hazardService.parsePosition(body.position, { requireHeading: !line });
+
+    if (!line && !position) {
+      return res.status(400).json({ message: "route or position is required" });
+    }
+
+    const corridorM = body.corridorMeters === undefined
+      ? hazardService.config.corridorM
+      : parseFloat(body.corridorMeters);
+    if (!(corridorM > 0) || corridorM > 200) {
+      return res.status(400).json({ message: "corridorMeters must be between 0 and 200" });
+    }
+
+    const settings = await hazardService.alertSettings(db.promise(), req.user?.id, body.sensitivity);
+    const severities = hazardService.SENSITIVITY_SEVERITIES[settings.sensitivity];
+
+    let hazards = [];
+    let lookaheadM;
+    if (settings.alertsEnabled) {
+      if (line) {
+        hazards = await hazardService.alongRoute(db.promise(), line, position, severities, corridorM);
+      } else {
+        ({ hazards, lookaheadM } = await hazardService.aheadOfPosition(db.promise(), position, severities, corridorM));
+      }
+    }
+
+    const { etag, body: response } = hazardService.toResponse(hazards, {
+      key: line ? hazardService.routeKey(line, settings.sensitivity, corridorM) : null,
+      sensitivity: settings.sensitivity,
+      alerts: {
+        enabled: settings.alertsEnabled,
+        sound: settings.alertSound,
+        vibration: settings.alertVibration
+      },
+      corridorM,
+      lookaheadM
+    });
+
+    // A whole route is worth caching; results relative to a moving position are not
+    res.set("Cache-Control", line && !position ? `private, max-age=${hazardService.config.cacheSeconds}` : "no-store");
+    res.set("ETag", etag);
+    if (req.headers["if-none-match"] === etag) {
+      return res.status(304).end();
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get hazards ahead error:", error);
+    res.status(500).json({ message: "Failed to get hazards ahead", error: error.message });
+  }
+};
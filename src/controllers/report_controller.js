@@ -1,11 +1,21 @@
+const crypto = require("crypto");
 const db = require("../config/db");
-
-// Helper function to convert ISO datetime to MySQL format
-const toMySQLDatetime = (isoString) => {
-  if (!isoString) return new Date().toISOString().slice(0, 19).replace('T', ' ');
-  const date = new Date(isoString);
-  return date.toISOString().slice(0, 19).replace('T', ' ');
-};
+const reportService = require("../services/report_service");
+const corroboration = require("../services/corroboration_service");
+const attachmentService = require("../services/attachment_service");
+const traceService = require("../services/trace_service");
+const spatial = require("../services/spatial_service");
+const mapService = require("../services/map_service");
+const wardService = require("../services/ward_service");
+const workflow = require("../services/workflow_service");
+const clustering = require("../services/clustering_service");
+const costing = require("../services/costing_service");
+const events = require("../services/event_service");
+const geo = require("../utils/geo");
+
+const SYNC_MAX_BATCH = parseInt(process.env.SYNC_MAX_BATCH) || 100;
+// An unfinished sync claim older than this is treated as abandoned
+const SYNC_CLAIM_STALE_MINUTES = parseInt(process.env.SYNC_CLAIM_STALE_MINUTES) || 10;
 
 /**
  * Submit a new road audit report from mobile app
@@ -15,115 +25,22 @@ exports.submitReport = async (req, res) => {
   const connection = await db.promise().getConnection();
   
   try {
-    await connection.beginTransaction();
-
-    const { report_id, device_id, reported_at, anomalies } = req.body;
-
     // Validate required fields
-    if (!report_id || !device_id || !anomalies) {
-      return res.status(400).json({ 
-        message: "Missing required fields: report_id, device_id, anomalies" 
-      });
+    const reasons = reportService.validateReport(req.body);
+    if (reasons.length > 0) {
+      return res.status(400).json({ message: reasons[0], errors: reasons });
     }
 
-    // Get user_id from device_id if available
-    let userId = null;
-    if (req.user?.id) {
-      userId = req.user.id;
-    } else {
-      const [users] = await connection.query(
-        "SELECT id FROM users WHERE device_id = ?",
-        [device_id]
-      );
-      if (users.length > 0) userId = users[0].id;
-    }
-
-    // Calculate totals
-    const potholes = anomalies.filter(a => a.type === "pothole");
-    const patchyRoads = anomalies.filter(a => a.type === "road_anomaly");
-    
-    // Calculate health score (100 - penalties)
-    const penalty = (potholes.length * 15) + (patchyRoads.length * 5);
-    const healthScore = Math.max(0, 100 - penalty);
-
-    // Insert main report
-    const [reportResult] = await connection.query(
-      `INSERT INTO reports (report_id, user_id, device_id, reported_at, total_potholes, total_patchy_roads, health_score, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`,
-      [
-        report_id,
-        userId,
-        device_id,
-        toMySQLDatetime(reported_at),
-        potholes.length,
-        patchyRoads.length,
-        healthScore
-      ]
-    );
+    await clustering.beginTransaction(connection);
 
-    const dbReportId = reportResult.insertId;
-
-    // Insert pothole detections
-    for (const pothole of potholes) {
-      await connection.query(
-        `INSERT INTO pothole_detections 
-         (report_id, location_id, latitude, longitude, severity, timestamp, synced)
-         VALUES (?, ?, ?, ?, ?, ?, TRUE)`,
-        [
-          dbReportId,
-          pothole.location_id,
-          pothole.latitude,
-          pothole.longitude,
-          pothole.severity || "Medium",
-          toMySQLDatetime(pothole.timestamp)
-        ]
-      );
-
-      // Update aggregated locations
-      await updateAggregatedLocation(connection, pothole, "pothole");
-    }
-
-    // Insert road anomalies (patchy roads)
-    for (const patchy of patchyRoads) {
-      await connection.query(
-        `INSERT INTO road_anomalies 
-         (report_id, location_id, start_latitude, start_longitude, end_latitude, end_longitude, severity, start_timestamp, end_timestamp, duration_seconds)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          dbReportId,
-          patchy.location_id,
-          patchy.start_latitude || patchy.latitude,
-          patchy.start_longitude || patchy.longitude,
-          patchy.end_latitude,
-          patchy.end_longitude,
-          patchy.severity || "Medium",
-          toMySQLDatetime(patchy.start_timestamp),
-          toMySQLDatetime(patchy.end_timestamp),
-          patchy.duration_seconds
-        ]
-      );
-
-      // Update aggregated locations
-      await updateAggregatedLocation(connection, {
-        latitude: patchy.start_latitude || patchy.latitude,
-        longitude: patchy.start_longitude || patchy.longitude,
-        severity: patchy.severity
-      }, "patchy");
-    }
+    const data = await reportService.ingestReport(connection, req.body, req.user?.id);
 
     await connection.commit();
 
     res.status(201).json({
       success: true,
       message: "Report submitted successfully",
-      data: {
-        reportId: report_id,
-        dbId: dbReportId,
-        totalPotholes: potholes.length,
-        totalPatchy: patchyRoads.length,
-        healthScore: healthScore,
-        status: "pending"
-      }
+      data
     });
 
   } catch (error) {
@@ -131,12 +48,16 @@ exports.submitReport = async (req, res) => {
     console.error("Submit report error:", error);
     
     // Handle duplicate report
-    if (error.code === "ER_DUP_ENTRY") {
+    if (reportService.isDuplicateReport(error)) {
       return res.status(409).json({ 
         message: "Report already submitted",
         error: "Duplicate report_id"
       });
     }
+
+    if (error.code === "QUOTA_EXCEEDED") {
+      return res.status(429).json({ message: error.message });
+    }
     
     res.status(500).json({ 
       message: "Failed to submit report", 
@@ -147,60 +68,141 @@ exports.submitReport = async (req, res) => {
   }
 };
 
+// Give up a claimed idempotency key so the batch can be retried
+const releaseSyncClaim = (connection, idempotencyKey, scope) => connection.query(
+  "DELETE FROM sync_requests WHERE idempotency_key = ? AND scope = ? AND response IS NULL",
+  [idempotencyKey, scope]
+);
+
 /**
- * Helper function to update aggregated locations
+ * Bulk offline sync: many queued reports in one call
+ * Each report is stored in its own transaction and gets its own result.
+ * An Idempotency-Key header (or idempotency_key field) makes retries replay
+ * the stored response instead of re-processing the batch; a retry that
+ * arrives while the first call is still running gets 409.
  */
-async function updateAggregatedLocation(connection, data, type) {
-  const lat = parseFloat(data.latitude).toFixed(4);
-  const lng = parseFloat(data.longitude).toFixed(4);
-  const gridId = `${lat}_${lng}`;
-  
-  const severityOrder = { "Low": 1, "Medium": 2, "High": 3 };
-  const severity = data.severity || "Medium";
+exports.syncReports = async (req, res) => {
+  const { reports } = req.body;
+  const idempotencyKey = req.get("Idempotency-Key") || req.body.idempotency_key || null;
 
-  // Check if grid exists
-  const [existing] = await connection.query(
-    "SELECT * FROM aggregated_locations WHERE grid_id = ?",
-    [gridId]
-  );
+  if (!Array.isArray(reports) || reports.length === 0) {
+    return res.status(400).json({ message: "reports must be a non-empty array" });
+  }
 
-  if (existing.length > 0) {
-    const current = existing[0];
-    const newHighest = severityOrder[severity] > severityOrder[current.highest_severity] 
-      ? severity 
-      : current.highest_severity;
+  if (reports.length > SYNC_MAX_BATCH) {
+    return res.status(413).json({ message: `At most ${SYNC_MAX_BATCH} reports per sync call` });
+  }
 
-    await connection.query(
-      `UPDATE aggregated_locations 
-       SET total_potholes = total_potholes + ?,
-           total_patchy = total_patchy + ?,
-           highest_severity = ?,
-           report_count = report_count + 1,
-           last_reported_at = NOW()
-       WHERE grid_id = ?`,
-      [
-        type === "pothole" ? 1 : 0,
-        type === "patchy" ? 1 : 0,
-        newHighest,
-        gridId
-      ]
-    );
-  } else {
-    await connection.query(
-      `INSERT INTO aggregated_locations 
-       (grid_id, latitude, longitude, total_potholes, total_patchy, highest_severity, first_reported_at, last_reported_at)
-       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [
-        gridId,
-        lat,
-        lng,
-        type === "pothole" ? 1 : 0,
-        type === "patchy" ? 1 : 0,
-        severity
-      ]
+  if (idempotencyKey && idempotencyKey.length > 100) {
+    return res.status(400).json({ message: "Idempotency key must be at most 100 characters" });
+  }
+
+  const payloadHash = crypto.createHash("sha256").update(JSON.stringify(reports)).digest("hex");
+  // Keys are only unique per caller: the signed-in user, or else the device
+  const deviceId = String(reports[0]?.device_id || "").slice(0, 100);
+  const scope = req.user?.id ? `user:${req.user.id}` : deviceId ? `device:${deviceId}` : null;
+  if (idempotencyKey && !scope) {
+    return res.status(400).json({ message: "Anonymous syncs need a device_id to use an idempotency key" });
+  }
+  const connection = await db.promise().getConnection();
+  let claimed = false;
+
+  try {
+    // Claim the key before processing, so a concurrent retry of the same batch
+    // fails on the unique key instead of ingesting it a second time
+    if (idempotencyKey) {
+      try {
+        await connection.query(
+          "INSERT INTO sync_requests (idempotency_key, scope, payload_hash) VALUES (?, ?, ?)",
+          [idempotencyKey, scope, payloadHash]
+        );
+        claimed = true;
+      } catch (error) {
+        if (error.code !== "ER_DUP_ENTRY") throw error;
+
+        const [previous] = await connection.query(
+          "SELECT payload_hash, response FROM sync_requests WHERE idempotency_key = ? AND scope = ?",
+          [idempotencyKey, scope]
+        );
+        if (previous.length > 0 && previous[0].payload_hash !== payloadHash) {
+          return res.status(409).json({ message: "Idempotency key already used with a different payload" });
+        }
+        if (previous.length === 0 || previous[0].response === null) {
+          // A claim left behind by a crashed request may be taken over once it is stale
+          const [takeover] = await connection.query(
+            `UPDATE sync_requests SET created_at = NOW()
+             WHERE idempotency_key = ? AND scope = ? AND response IS NULL
+               AND created_at < NOW() - INTERVAL ? MINUTE`,
+            [idempotencyKey, scope, SYNC_CLAIM_STALE_MINUTES]
+          );
+          if (takeover.affectedRows === 0) {
+            return res.status(409).json({ message: "A sync with this idempotency key is still in progress; retry later" });
+          }
+          claimed = true;
+        } else {
+          // Replay a previously completed batch
+          return res.json({ ...JSON.parse(previous[0].response), replayed: true });
+        }
+      }
+    }
+
+    const results = [];
+
+    for (const report of reports) {
+      const reportId = report?.report_id ?? null;
+      const reasons = reportService.validateReport(report);
+
+      if (reasons.length > 0) {
+        results.push({ reportId, status: "invalid", reasons });
+        continue;
+      }
+
+      try {
+        await clustering.beginTransaction(connection);
+        const data = await reportService.ingestReport(connection, report, req.user?.id);
+        await connection.commit();
+        results.push({ reportId, status: data.reviewStatus === "quarantined" ? "quarantined" : "created", data });
+      } catch (error) {
+        await connection.rollback();
+        if (reportService.isDuplicateReport(error)) {
+          results.push({ reportId, status: "duplicate", reasons: ["Duplicate report_id"] });
+        } else if (error.code === "QUOTA_EXCEEDED") {
+          results.push({ reportId, status: "rate_limited", reasons: [error.message] });
+        } else {
+          console.error(`Sync report ${reportId} error:`, error);
+          results.push({ reportId, status: "failed", reasons: [error.message] });
+        }
+      }
+    }
+
+    const summary = results.reduce(
+      (acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }),
+      { created: 0, quarantined: 0, duplicate: 0, invalid: 0, rate_limited: 0, failed: 0 }
     );
+    const response = { success: summary.failed === 0, summary, results };
+
+    // Only remember fully processed batches so transient failures can be retried
+    if (claimed) {
+      if (summary.failed === 0 && summary.rate_limited === 0) {
+        await connection.query(
+          "UPDATE sync_requests SET response = ? WHERE idempotency_key = ? AND scope = ?",
+          [JSON.stringify(response), idempotencyKey, scope]
+        );
+      } else {
+        await releaseSyncClaim(connection, idempotencyKey, scope);
+      }
+      claimed = false;
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (claimed) await releaseSyncClaim(connection, idempotencyKey, scope).catch(() => {});
+    console.error("Sync reports error:", error);
+    res.status(500).json({ message: "Failed to sync reports", error: error.message });
+  } finally {
+    connection.release();
   }
-}
+};
 
 /**
  * Get all reports with pagination
@@ -285,10 +287,20 @@ exports.getReportById = async (req, res) => {
       [report.id]
     );
 
+    // Photos carry EXIF GPS: like the downloads, only the report owner and
+    // admins see all of them; anyone else only what they uploaded
+    const seesAll = req.user.role === "admin" || report.user_id === req.user.id;
+    const attachments = await attachmentService.listForReport(
+      db.promise(),
+      report.id,
+      seesAll ? {} : { uploadedBy: req.user.id }
+    );
+
     res.json({
       ...report,
       potholes,
-      roadAnomalies: anomalies
+      roadAnomalies: anomalies,
+      attachments
     });
   } catch (error) {
     console.error("Get report error:", error);
@@ -296,41 +308,149 @@ exports.getReportById = async (req, res) => {
   }
 };
 
+const DETECTION_COLUMNS = { lat: "pd.latitude", lng: "pd.longitude", geohash: "pd.geohash" };
+
+// Paginated detections from clear or approved reports matching a spatial filter
+const findDetections = async (filter, distance, { limit, offset }) => {
+  const [potholes] = await db.promise().query(
+    `SELECT pd.*, r.report_id, r.device_id, r.reported_at${distance ? `, ${distance.sql} AS distance` : ""}
+     FROM pothole_detections pd
+     JOIN reports r ON pd.report_id = r.id
+     WHERE r.review_status IN ('clear', 'approved')${filter.clause}
+     ORDER BY ${distance ? "distance" : "pd.timestamp DESC"}
+     LIMIT ? OFFSET ?`,
+    [...(distance ? distance.params : []), ...filter.params, limit, offset]
+  );
+  const [countResult] = await db.promise().query(
+    `SELECT COUNT(*) as total
+     FROM pothole_detections pd
+     JOIN reports r ON pd.report_id = r.id
+     WHERE r.review_status IN ('clear', 'approved')${filter.clause}`,
+    filter.params
+  );
+  return { potholes, total: countResult[0].total };
+};
+
 /**
  * Get reports by location (within radius in km)
  */
 exports.getReportsByLocation = async (req, res) => {
   try {
-    const { lat, lng, radius = 5 } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = req.query.radius === undefined ? 5 : parseFloat(req.query.radius);
 
-    if (!lat || !lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
       return res.status(400).json({ message: "Latitude and longitude are required" });
     }
 
-    // Haversine formula to find reports within radius
-    const [potholes] = await db.promise().query(
-      `SELECT pd.*, r.report_id, r.device_id, r.reported_at,
-       (6371 * acos(cos(radians(?)) * cos(radians(latitude)) * cos(radians(longitude) - radians(?)) + sin(radians(?)) * sin(radians(latitude)))) AS distance
-       FROM pothole_detections pd
-       JOIN reports r ON pd.report_id = r.id
-       HAVING distance < ?
-       ORDER BY distance`,
-      [lat, lng, lat, radius]
+    if (!(radius > 0) || radius > spatial.config.maxRadiusKm) {
+      return res.status(400).json({ message: `radius must be between 0 and ${spatial.config.maxRadiusKm} km` });
+    }
+
+    const paging = spatial.pagination(req.query);
+    const { potholes, total } = await findDetections(
+      spatial.radiusFilter(DETECTION_COLUMNS, lat, lng, radius),
+      spatial.distanceSql(DETECTION_COLUMNS, lat, lng),
+      paging
     );
 
-    res.json({ potholes, count: potholes.length });
+    res.json({ potholes, count: potholes.length, total, page: paging.page, limit: paging.limit });
   } catch (error) {
     console.error("Get by location error:", error);
     res.status(500).json({ message: "Failed to get reports by location", error: error.message });
   }
 };
 
+/**
+ * Get reports inside a bounding box
+ */
+exports.getReportsInBounds = async (req, res) => {
+  try {
+    const bbox = spatial.parseBbox(req.query, spatial.config.maxBboxDeg);
+    if (!bbox) {
+      return res.status(400).json({ message: "minLat, maxLat, minLng and maxLng are required" });
+    }
+
+    const paging = spatial.pagination(req.query);
+    const { potholes, total } = await findDetections(
+      spatial.bboxFilter(DETECTION_COLUMNS, bbox),
+      null,
+      paging
+    );
+
+    res.json({ potholes, count: potholes.length, total, page: paging.page, limit: paging.limit });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get by bounds error:", error);
+    res.status(500).json({ message: "Failed to get reports in bounds", error: error.message });
+  }
+};
+
+/**
+ * Get reports along a route
+ * Body: { route: { polyline } | { points }, widthMeters }
+ * Returns detections within widthMeters of the route, nearest first
+ */
+exports.getReportsAlongRoute = async (req, res) => {
+  try {
+    const line = spatial.parseRoute(req.body.route);
+    if (!line) {
+      return res.status(400).json({ message: "route is required" });
+    }
+
+    const widthM = req.body.widthMeters === undefined ? 25 : parseFloat(req.body.widthMeters);
+    if (!(widthM > 0) || widthM > spatial.config.maxCorridorM) {
+      return res.status(400).json({ message: `widthMeters must be between 0 and ${spatial.config.maxCorridorM}` });
+    }
+
+    const filter = spatial.corridorFilter(DETECTION_COLUMNS, line, widthM);
+    const [candidates] = await db.promise().query(
+      `SELECT pd.*, r.report_id, r.device_id, r.reported_at
+       FROM pothole_detections pd
+       JOIN reports r ON pd.report_id = r.id
+       WHERE r.review_status IN ('clear', 'approved')${filter.clause}
+       LIMIT ?`,
+      [...filter.params, spatial.config.maxCandidates]
+    );
+
+    const matches = candidates
+      .map(p => ({
+        ...p,
+        distance_m: Math.round(geo.pointToPolylineMeters([parseFloat(p.longitude), parseFloat(p.latitude)], line) * 10) / 10
+      }))
+      .filter(p => p.distance_m <= widthM)
+      .sort((a, b) => a.distance_m - b.distance_m);
+
+    const paging = spatial.pagination(req.query);
+    const potholes = matches.slice(paging.offset, paging.offset + paging.limit);
+
+    res.json({
+      potholes,
+      count: potholes.length,
+      total: matches.length,
+      page: paging.page,
+      limit: paging.limit,
+      // More detections lie along the route than were read; use a shorter route
+      truncated: candidates.length >= spatial.config.maxCandidates
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Get along route error:", error);
+    res.status(500).json({ message: "Failed to get reports along route", error: error.message });
+  }
+};
+
 /**
  * Get aggregated locations for map display
  */
 exports.getAggregatedLocations = async (req, res) => {
   try {
-    const { status, severity, minLat, maxLat, minLng, maxLng } = req.query;
+    const { status, severity } = req.query;
 
     let query = `
       SELECT 
@@ -360,48 +480,123 @@ exports.getAggregatedLocations = async (req, res) => {
       params.push(severity);
     }
 
-    if (minLat && maxLat && minLng && maxLng) {
-      query += " AND al.latitude BETWEEN ? AND ? AND al.longitude BETWEEN ? AND ?";
-      params.push(minLat, maxLat, minLng, maxLng);
+    const ward = wardService.filterFromQuery(req.query);
+    query += ward.clause;
+    params.push(...ward.params);
+
+    const bbox = spatial.parseBbox(req.query);
+    if (bbox) {
+      const inBox = spatial.bboxFilter({ lat: "al.latitude", lng: "al.longitude", geohash: "al.geohash" }, bbox);
+      query += inBox.clause;
+      params.push(...inBox.params);
     }
 
-    query += " ORDER BY al.report_count DESC LIMIT 500";
+    // Optionally hide single-device noise
+    const confidence = corroboration.minConfidenceFilter(corroboration.levelFromQuery(req.query));
+    query += confidence.clause;
+    params.push(...confidence.params);
+
+    const [countResult] = await db.promise().query(`SELECT COUNT(*) as total FROM (${query}) matched`, params);
+    const total = countResult[0].total;
+
+    const paging = spatial.pagination(req.query, { defaultLimit: 500, maxLimit: mapService.config.maxPoints });
+    query += " ORDER BY al.report_count DESC LIMIT ? OFFSET ?";
+    params.push(paging.limit, paging.offset);
 
     const [locations] = await db.promise().query(query, params);
 
-    res.json({ locations, count: locations.length });
+    res.json({
+      locations,
+      count: locations.length,
+      total,
+      page: paging.page,
+      limit: paging.limit,
+      truncated: paging.offset + locations.length < total
+    });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Get aggregated locations error:", error);
     res.status(500).json({ message: "Failed to get locations", error: error.message });
   }
 };
 
 /**
- * Update report status
+ * Road health by coverage cell for a bounding box
+ * Separates clean, frequently driven roads from roads with issues and from
+ * roads driven too rarely to judge
  */
-exports.updateReportStatus = async (req, res) => {
+exports.getRoadHealth = async (req, res) => {
   try {
-    const { reportId } = req.params;
-    const { status } = req.body;
+    const bbox = spatial.parseBbox(req.query, traceService.config.healthMaxBboxDeg);
+    if (!bbox) {
+      return res.status(400).json({ message: "minLat, maxLat, minLng and maxLng are required" });
+    }
 
-    const validStatuses = ["pending", "reviewed", "assigned", "in_progress", "resolved"];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: "Invalid status" });
+    const health = await traceService.roadHealth(db.promise(), bbox);
+
+    res.json(health);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
     }
+    console.error("Get road health error:", error);
+    res.status(500).json({ message: "Failed to get road health", error: error.message });
+  }
+};
+
+/**
+ * Update report status
+ */
+exports.updateReportStatus = async (req, res) => {
+  const { reportId } = req.params;
+  const { status } = req.body;
+
+  const validStatuses = ["pending", "reviewed", "assigned", "in_progress", "resolved"];
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({ message: "Invalid status" });
+  }
 
-    const [result] = await db.promise().query(
-      "UPDATE reports SET status = ? WHERE report_id = ?",
-      [status, reportId]
+  const connection = await db.promise().getConnection();
+
+  try {
+    // Lock the row so the logged old status is the one actually replaced
+    await connection.beginTransaction();
+
+    const [reports] = await connection.query(
+      "SELECT id, status FROM reports WHERE report_id = ? FOR UPDATE",
+      [reportId]
     );
 
-    if (result.affectedRows === 0) {
+    if (reports.length === 0) {
+      await connection.rollback();
       return res.status(404).json({ message: "Report not found" });
     }
 
+    await connection.query(
+      "UPDATE reports SET status = ? WHERE id = ?",
+      [status, reports[0].id]
+    );
+
+    await events.record(connection, {
+      entityType: "report",
+      entityId: reports[0].id,
+      from: reports[0].status,
+      to: status,
+      actor: req.user,
+      reason: req.body.reason
+    });
+
+    await connection.commit();
+
     res.json({ message: "Status updated successfully", status });
   } catch (error) {
+    await connection.rollback();
     console.error("Update status error:", error);
     res.status(500).json({ message: "Failed to update status", error: error.message });
+  } finally {
+    connection.release();
   }
 };
 
@@ -437,11 +632,13 @@ exports.getStatistics = async (req, res) => {
        LIMIT 10`
     );
 
+    const confidence = corroboration.minConfidenceFilter(corroboration.levelFromQuery(req.query));
     const [hotspots] = await db.promise().query(
-      `SELECT * FROM aggregated_locations 
-       WHERE highest_severity = 'High' 
+      `SELECT * FROM aggregated_locations al 
+       WHERE highest_severity = 'High'${confidence.clause} 
        ORDER BY report_count DESC 
-       LIMIT 10`
+       LIMIT 10`,
+      confidence.params
     );
 
     res.json({
@@ -456,6 +653,9 @@ exports.getStatistics = async (req, res) => {
       hotspots
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Get statistics error:", error);
     res.status(500).json({ message: "Failed to get statistics", error: error.message });
   }
@@ -538,26 +738,17 @@ exports.getWorkAssignments = async (req, res) => {
 };
 
 /**
- * Create work assignment (public endpoint for demo - without strict auth)
+ * Create work assignment from the dashboard (admin).
+ * Refused with 409 when it would exceed a budget, unless confirmOverBudget is true.
  */
 exports.createWorkAssignment = async (req, res) => {
   try {
-    const { locationId, contractorId, dueDate, notes } = req.body;
+    const { locationId, contractorId, dueDate, notes, confirmOverBudget } = req.body;
 
     if (!locationId || !contractorId) {
       return res.status(400).json({ message: "locationId and contractorId are required" });
     }
 
-    // Validate location exists
-    const [locations] = await db.promise().query(
-      "SELECT id FROM aggregated_locations WHERE id = ?",
-      [locationId]
-    );
-
-    if (locations.length === 0) {
-      return res.status(404).json({ message: "Location not found" });
-    }
-
     // Validate contractor exists
     const [contractors] = await db.promise().query(
       "SELECT id FROM contractors WHERE id = ? AND is_active = TRUE",
@@ -568,122 +759,87 @@ exports.createWorkAssignment = async (req, res) => {
       return res.status(404).json({ message: "Contractor not found or inactive" });
     }
 
-    // Check if assignment already exists
+    // An open assignment is handed to the new contractor instead of duplicated
     const [existing] = await db.promise().query(
       "SELECT id FROM work_assignments WHERE aggregated_location_id = ? AND status NOT IN ('completed', 'verified')",
       [locationId]
     );
+    const action = existing.length > 0 ? "reassign" : "assign";
 
-    if (existing.length > 0) {
-      // Update existing assignment
-      await db.promise().query(
-        `UPDATE work_assignments 
-         SET contractor_id = ?, due_date = ?, notes = ?, status = 'assigned'
-         WHERE id = ?`,
-        [contractorId, dueDate || null, notes || null, existing[0].id]
-      );
-
-      // Update location status
-      await db.promise().query(
-        "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-        [locationId]
-      );
-
-      return res.json({
-        message: "Assignment updated successfully",
-        assignmentId: existing[0].id
-      });
+    const budget = await costing.checkAssignment(db.promise(), {
+      locationIds: [locationId],
+      contractorId,
+      reassign: action === "reassign"
+    });
+    if (budget.exceeds && confirmOverBudget !== true) {
+      return res.status(409).json(costing.overBudgetResponse(budget));
     }
 
-    // Create new assignment
-    const [result] = await db.promise().query(
-      `INSERT INTO work_assignments (aggregated_location_id, contractor_id, due_date, notes)
-       VALUES (?, ?, ?, ?)`,
-      [locationId, contractorId, dueDate || null, notes || null]
-    );
-
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-      [locationId]
-    );
+    const result = await workflow.run(action, {
+      locationId,
+      actor: req.user,
+      fields: { contractor_id: contractorId, due_date: dueDate || null, notes: notes || null }
+    });
 
-    res.status(201).json({
-      message: "Assignment created successfully",
-      assignmentId: result.insertId
+    res.status(action === "assign" ? 201 : 200).json({
+      message: action === "assign" ? "Assignment created successfully" : "Assignment updated successfully",
+      assignmentId: result.assignmentId,
+      estimate: budget.estimates[0] ? budget.estimates[0].estimate : null,
+      overBudget: budget.exceeds
     });
   } catch (error) {
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Create work assignment error:", error);
     res.status(500).json({ message: "Failed to create assignment", error: error.message });
   }
 };
 
 /**
- * Update work assignment status (public endpoint for demo)
+ * Update work assignment status from the dashboard (admin)
  */
 exports.updateWorkAssignment = async (req, res) => {
   try {
     const { assignmentId } = req.params;
     const { status, notes } = req.body;
 
-    const validStatuses = ['assigned', 'in_progress', 'pending_verification', 'completed', 'verified'];
-    if (status && !validStatuses.includes(status)) {
+    const action = status ? workflow.actionForStatus(status) : null;
+    if (status && !action) {
       return res.status(400).json({ message: "Invalid status" });
     }
 
-    const updates = [];
-    const params = [];
-
-    if (status) {
-      updates.push("status = ?");
-      params.push(status);
-      
-      if (status === 'completed' || status === 'verified') {
-        updates.push("completed_at = NOW()");
-      }
-    }
-
-    if (notes !== undefined) {
-      updates.push("notes = ?");
-      params.push(notes);
-    }
-
-    if (updates.length === 0) {
+    if (!status && notes === undefined) {
       return res.status(400).json({ message: "No updates provided" });
     }
 
-    params.push(assignmentId);
-
-    const [result] = await db.promise().query(
-      `UPDATE work_assignments SET ${updates.join(", ")} WHERE id = ?`,
-      params
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: "Assignment not found" });
-    }
-
-    // If status is being updated, also update the location status
-    if (status) {
-      const [assignment] = await db.promise().query(
-        "SELECT aggregated_location_id FROM work_assignments WHERE id = ?",
-        [assignmentId]
+    if (!action) {
+      const [result] = await db.promise().query(
+        "UPDATE work_assignments SET notes = ? WHERE id = ?",
+        [notes, assignmentId]
       );
 
-      if (assignment.length > 0) {
-        let locationStatus = status;
-        if (status === 'completed') locationStatus = 'pending_verification';
-        if (status === 'verified') locationStatus = 'verified';
-        
-        await db.promise().query(
-          "UPDATE aggregated_locations SET status = ? WHERE id = ?",
-          [locationStatus, assignment[0].aggregated_location_id]
-        );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "Assignment not found" });
       }
+
+      return res.json({ message: "Assignment updated successfully" });
     }
 
-    res.json({ message: "Assignment updated successfully" });
+    const result = await workflow.run(action, {
+      assignmentId,
+      actor: req.user,
+      fields: notes !== undefined ? { notes } : {},
+      reason: notes
+    });
+
+    res.json({
+      message: "Assignment updated successfully",
+      status: result.assignment.to,
+      locationStatus: result.location.to
+    });
   } catch (error) {
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Update work assignment error:", error);
     res.status(500).json({ message: "Failed to update assignment", error: error.message });
   }
@@ -742,7 +898,7 @@ exports.getVerifiedHistory = async (req, res) => {
 };
 
 /**
- * Verify work completion (public endpoint for dashboard)
+ * Verify work completion from the dashboard (admin)
  * Updates both aggregated_locations and work_assignments to 'verified'
  */
 exports.verifyLocation = async (req, res) => {
@@ -750,39 +906,28 @@ exports.verifyLocation = async (req, res) => {
     const { locationId } = req.params;
     const { notes } = req.body;
 
-    // Update location status
-    const [locationResult] = await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-      [locationId]
-    );
-
-    if (locationResult.affectedRows === 0) {
-      return res.status(404).json({ message: "Location not found" });
-    }
-
-    // Update assignment status (match pending_verification, in_progress, or assigned)
-    const [assignmentResult] = await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = 'verified', completed_at = NOW(), admin_notes = ?
-       WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-      [notes || 'Verified from dashboard', locationId]
-    );
-
-    console.log(`Verified location ${locationId}: location updated=${locationResult.affectedRows}, assignment updated=${assignmentResult.affectedRows}`);
+    await workflow.run("verify", {
+      locationId,
+      actor: req.user,
+      fields: { admin_notes: notes || 'Verified from dashboard' },
+      reason: notes || 'Verified from dashboard'
+    });
 
     res.json({ 
       message: "Work verified successfully",
-      locationUpdated: locationResult.affectedRows > 0,
-      assignmentUpdated: assignmentResult.affectedRows > 0
+      locationUpdated: true,
+      assignmentUpdated: true
     });
   } catch (error) {
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Verify location error:", error);
     res.status(500).json({ message: "Failed to verify work", error: error.message });
   }
 };
 
 /**
- * Batch verify multiple locations (public endpoint)
+ * Batch verify multiple locations (admin)
  */
 exports.batchVerifyLocations = async (req, res) => {
   const connection = await db.promise().getConnection();
@@ -793,39 +938,30 @@ exports.batchVerifyLocations = async (req, res) => {
     const { locationIds, notes } = req.body;
 
     if (!locationIds || !locationIds.length) {
+      await connection.rollback();
       return res.status(400).json({ message: "locationIds are required" });
     }
 
-    let locationsUpdated = 0;
-    let assignmentsUpdated = 0;
-
     for (const locationId of locationIds) {
-      const [locResult] = await connection.query(
-        "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-        [locationId]
-      );
-      locationsUpdated += locResult.affectedRows;
-
-      const [assignResult] = await connection.query(
-        `UPDATE work_assignments 
-         SET status = 'verified', completed_at = NOW(), admin_notes = ?
-         WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-        [notes || 'Batch verified from dashboard', locationId]
-      );
-      assignmentsUpdated += assignResult.affectedRows;
+      await workflow.transition(connection, "verify", {
+        locationId,
+        actor: req.user,
+        fields: { admin_notes: notes || 'Batch verified from dashboard' },
+        reason: notes || 'Batch verified from dashboard'
+      });
     }
 
     await connection.commit();
 
-    console.log(`Batch verified ${locationIds.length} locations: locations updated=${locationsUpdated}, assignments updated=${assignmentsUpdated}`);
-
     res.json({ 
       message: `${locationIds.length} locations verified successfully`,
-      locationsUpdated,
-      assignmentsUpdated
+      locationsUpdated: locationIds.length,
+      assignmentsUpdated: locationIds.length
     });
   } catch (error) {
     await connection.rollback();
+    const failure = workflow.errorResponse(error);
+    if (failure) return res.status(failure.status).json(failure.body);
     console.error("Batch verify error:", error);
     res.status(500).json({ message: "Failed to batch verify", error: error.message });
   } finally {
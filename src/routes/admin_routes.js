@@ -2,6 +2,7 @@ const router = require("express").Router();
 const auth = require("../middlewares/authMiddleware");
 const role = require("../middlewares/roleMiddleware");
 const controller = require("../controllers/admin_controller");
+const attachmentController = require("../controllers/attachment_controller");
 
 // Dashboard
 router.get("/dashboard", auth, role("admin"), controller.dashboard);
@@ -12,26 +13,93 @@ router.get("/users", auth, role("admin"), controller.getAllUsers);
 // Reports management
 router.get("/reports", auth, role("admin"), controller.getAllReports);
 
+// Quarantined (implausible) reports
+router.get("/quarantine", auth, role("admin"), controller.getQuarantinedReports);
+router.post("/quarantine/:reportId/approve", auth, role("admin"), controller.approveQuarantinedReport);
+router.post("/quarantine/:reportId/reject", auth, role("admin"), controller.rejectQuarantinedReport);
+
 // Potholes management
 router.get("/potholes", auth, role("admin"), controller.getPotholeDetections);
 router.get("/potholes/grouped", auth, role("admin"), controller.getPotholesGrouped);
+router.get("/potholes/severity-audit", auth, role("admin"), controller.getSeverityAudit);
+
+// Location detail and photos
+router.get("/locations/:locationId", auth, role("admin"), controller.getLocationDetail);
+router.get("/locations/:locationId/timeline", auth, role("admin"), controller.getLocationTimeline);
+router.post("/locations/:locationId/attachments", auth, role("admin"), attachmentController.uploadLocationPhoto);
 
 // Contractors management
 router.get("/contractors", auth, role("admin"), controller.getContractors);
 router.post("/contractors", auth, role("admin"), controller.createContractor);
+router.get("/contractors/scorecards", auth, role("admin"), controller.getScorecards);
+router.get("/contractors/:contractorId/scorecard", auth, role("admin"), controller.getContractorScorecard);
 
 // Assignment
 router.post("/assign", auth, role("admin"), controller.assignToContractor);
 router.post("/assign/batch", auth, role("admin"), controller.batchAssign);
 router.get("/assignments", auth, role("admin"), controller.getAssignments);
+router.get("/assignments/:assignmentId/events", auth, role("admin"), controller.getAssignmentEvents);
+router.post("/dispatch", auth, role("admin"), controller.autoDispatch);
+router.get("/warranty/claims", auth, role("admin"), controller.getWarrantyClaims);
 
 // Verification
-router.post("/verify/:locationId", auth, role("admin"), controller.verifyWork);
+router.get("/verify/:locationId", auth, role("admin"), controller.getCompletionPackage);
 router.post("/verify/batch", auth, role("admin"), controller.batchVerify);
+router.post("/verify/:locationId", auth, role("admin"), controller.verifyWork);
 router.post("/verify/:locationId/reject", auth, role("admin"), controller.rejectVerification);
 
+// Clustering
+router.post("/clusters/rebuild", auth, role("admin"), controller.rebuildClusters);
+
 // Map data
 router.get("/map/points", auth, role("admin"), controller.getMapPoints);
+router.get("/map/viewport", auth, role("admin"), controller.getMapViewport);
+router.get("/map/tiles/:z/:x/:y", auth, role("admin"), controller.getMapTile);
+router.get("/map/segments", auth, role("admin"), controller.getMapSegments);
+
+// Ward boundaries
+router.post("/wards/import", auth, role("admin"), controller.importWards);
+router.post("/wards/assign", auth, role("admin"), controller.assignWards);
+router.get("/wards", auth, role("admin"), controller.getWards);
+router.get("/map/wards", auth, role("admin"), controller.getMapWards);
+router.get("/map/heatmap", auth, role("admin"), controller.getHeatmap);
+
+// Road network
+router.post("/roads/import", auth, role("admin"), controller.importRoadNetwork);
+router.post("/roads/snap", auth, role("admin"), controller.snapRoads);
+router.get("/roads", auth, role("admin"), controller.getRoadNetwork);
+
+// SLA tracking and escalation
+router.get("/sla/policy", auth, role("admin"), controller.getSlaPolicy);
+router.get("/sla/overdue", auth, role("admin"), controller.getOverdueQueue);
+router.get("/sla/compliance", auth, role("admin"), controller.getSlaCompliance);
+router.post("/sla/check", auth, role("admin"), controller.runSlaCheck);
+router.get("/sla/escalations", auth, role("admin"), controller.getSlaEscalations);
+router.get("/sla/contacts", auth, role("admin"), controller.getEscalationContacts);
+router.post("/sla/contacts", auth, role("admin"), controller.createEscalationContact);
+router.delete("/sla/contacts/:contactId", auth, role("admin"), controller.deleteEscalationContact);
+
+// Priority queue and the sensitive sites it weighs
+router.get("/priority/queue", auth, role("admin"), controller.getPriorityQueue);
+router.get("/priority/model", auth, role("admin"), controller.getPriorityModel);
+router.post("/priority/refresh", auth, role("admin"), controller.refreshPriority);
+router.get("/priority/sites", auth, role("admin"), controller.getSensitiveSites);
+router.post("/priority/sites", auth, role("admin"), controller.createSensitiveSite);
+router.delete("/priority/sites/:siteId", auth, role("admin"), controller.deleteSensitiveSite);
+
+// Costs: rate cards, estimates, budgets and invoices
+router.get("/costing/rate-cards", auth, role("admin"), controller.getRateCards);
+router.post("/costing/rate-cards", auth, role("admin"), controller.saveRateCard);
+router.delete("/costing/rate-cards/:cardId", auth, role("admin"), controller.deleteRateCard);
+router.get("/costing/estimate", auth, role("admin"), controller.getCostEstimate);
+router.get("/budgets", auth, role("admin"), controller.getBudgets);
+router.post("/budgets", auth, role("admin"), controller.createBudget);
+router.delete("/budgets/:budgetId", auth, role("admin"), controller.deleteBudget);
+router.get("/invoices", auth, role("admin"), controller.getInvoices);
+router.post("/invoices", auth, role("admin"), controller.createInvoice);
+router.get("/invoices/:invoiceId", auth, role("admin"), controller.getInvoice);
+router.patch("/invoices/:invoiceId/status", auth, role("admin"), controller.updateInvoiceStatus);
+router.delete("/invoices/:invoiceId", auth, role("admin"), controller.deleteInvoice);
 
 // History
 router.get("/history", auth, role("admin"), controller.getHistory);
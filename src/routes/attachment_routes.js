@@ -0,0 +1,11 @@
+const router = require("express").Router();
+const auth = require("../middlewares/authMiddleware");
+const controller = require("../controllers/attachment_controller");
+
+// Original image
+router.get("/:attachmentId/file", auth, controller.getFile);
+
+// Thumbnail
+router.get("/:attachmentId/thumbnail", auth, controller.getThumbnail);
+
+module.exports = router;
@@ -6,13 +6,23 @@ const controller = require("../controllers/contractor_controller");
 // Get assigned jobs
 router.get("/jobs", auth, role("contractor"), controller.jobs);
 
+// Route-optimised daily work plan
+router.get("/work-plan", auth, role("contractor"), controller.getWorkPlan);
+
 // Update job status
 router.patch("/jobs/:jobId/status", auth, role("contractor"), controller.updateJobStatus);
 
+// Proof of work: before/after photos, then the completion package
+router.post("/jobs/:jobId/photos", auth, role("contractor"), controller.uploadJobPhoto);
+router.post("/jobs/:jobId/complete", auth, role("contractor"), controller.completeJob);
+
 // Contractor profile
 router.get("/profile", auth, role("contractor"), controller.getProfile);
 
 // Job statistics
 router.get("/stats", auth, role("contractor"), controller.getStats);
 
+// Performance scorecard
+router.get("/scorecard", auth, role("contractor"), controller.getScorecard);
+
 module.exports = router;
@@ -0,0 +1,9 @@
+const router = require("express").Router();
+const auth = require("../middlewares/authMiddleware");
+const role = require("../middlewares/roleMiddleware");
+const controller = require("../controllers/export_controller");
+
+// Streamed GIS exports: locations, detections, history
+router.get("/:dataset", auth, role("admin"), controller.exportData);
+
+module.exports = router;
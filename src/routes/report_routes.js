@@ -2,36 +2,57 @@ const router = require("express").Router();
 const reportController = require("../controllers/report_controller");
 const auth = require("../middlewares/authMiddleware");
 const optionalAuth = require("../middlewares/optionalAuthMiddleware");
+const role = require("../middlewares/roleMiddleware");
+const attachmentController = require("../controllers/attachment_controller");
+const hazardController = require("../controllers/hazard_controller");
 
 // Submit a new report (from mobile app) - optional auth for anonymous reports
 router.post("/submit", optionalAuth, reportController.submitReport);
 
+// Bulk sync of reports queued offline - per-report results, idempotent retries
+router.post("/sync", optionalAuth, reportController.syncReports);
+
 // Get all reports (admin)
 router.get("/", auth, reportController.getAllReports);
 
 // Get report by ID
 router.get("/:reportId", auth, reportController.getReportById);
 
+// Upload a photo for one of the report's detections
+router.post("/:reportId/attachments", auth, attachmentController.uploadReportPhoto);
+
 // Get reports by location (within radius)
 router.get("/location/nearby", reportController.getReportsByLocation);
 
+// Get reports inside a bounding box
+router.get("/location/bounds", reportController.getReportsInBounds);
+
+// Get reports along a route (within a corridor)
+router.post("/location/route", reportController.getReportsAlongRoute);
+
+// Unresolved hazards ahead on a route or heading (navigation alerts) - optional auth for user settings
+router.post("/hazards/ahead", optionalAuth, hazardController.getHazardsAhead);
+
 // Get aggregated locations (for map display)
 router.get("/aggregated/locations", reportController.getAggregatedLocations);
 
+// Road health from trip coverage (clean / issues / unverified per cell)
+router.get("/coverage/health", reportController.getRoadHealth);
+
 // Get contractors list (public - for dropdown)
 router.get("/contractors/list", reportController.getContractorsList);
 
-// Work assignments (public - for dashboard)
+// Work assignments (list is public - for dashboard; changes need an admin)
 router.get("/assignments", reportController.getWorkAssignments);
-router.post("/assignments", reportController.createWorkAssignment);
-router.patch("/assignments/:assignmentId", reportController.updateWorkAssignment);
+router.post("/assignments", auth, role("admin"), reportController.createWorkAssignment);
+router.patch("/assignments/:assignmentId", auth, role("admin"), reportController.updateWorkAssignment);
 
 // Verified history (public - for history page)
 router.get("/history/verified", reportController.getVerifiedHistory);
 
-// Verify location (public - for dashboard without auth)
-router.post("/verify/:locationId", reportController.verifyLocation);
-router.post("/verify/batch", reportController.batchVerifyLocations);
+// Verify locations from the dashboard (admin); batch first so it is not taken for a location id
+router.post("/verify/batch", auth, role("admin"), reportController.batchVerifyLocations);
+router.post("/verify/:locationId", auth, role("admin"), reportController.verifyLocation);
 
 // Update report status (admin)
 router.patch("/:reportId/status", auth, reportController.updateReportStatus);
@@ -1,8 +1,14 @@
 require("dotenv").config();
 const app = require("./app");
+const sla = require("./services/sla_service");
+const priority = require("./services/priority_service");
 
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Periodic overdue / at-risk check and escalation
+  sla.startScheduler();
+  // Periodic priority refresh (days open keeps growing)
+  priority.startScheduler();
 });
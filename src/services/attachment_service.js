@@ -0,0 +1,179 @@
+const sharp = require("sharp");
+const exifr = require("exifr");
+const { v4: uuidv4 } = require("uuid");
+const storage = require("./storage");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+const MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 8 * 1024 * 1024;
+const THUMBNAIL_SIZE = parseInt(process.env.ATTACHMENT_THUMBNAIL_SIZE) || 320;
+
+const FORMATS = {
+  jpeg: { ext: "jpg", contentType: "image/jpeg" },
+  png: { ext: "png", contentType: "image/png" },
+  webp: { ext: "webp", contentType: "image/webp" },
+  heif: { ext: "heic", contentType: "image/heic" },
+  avif: { ext: "avif", contentType: "image/avif" }
+};
+
+// sharp reports both HEIC and AVIF as "heif"; the compression tells them apart
+const formatOf = (metadata) => metadata.format === "heif" && metadata.compression === "av1"
+  ? FORMATS.avif
+  : FORMATS[metadata.format];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Decode an image sent as a data URL or bare base64 string
+ */
+exports.decodeImage = (image) => {
+  if (typeof image !== "string" || image.length === 0) {
+    throw badRequest("image must be a base64 string or data URL");
+  }
+  const base64 = image.startsWith("data:") ? image.slice(image.indexOf(",") + 1) : image;
+  const buffer = Buffer.from(base64, "base64");
+  if (buffer.length === 0) throw badRequest("image is empty");
+  if (buffer.length > MAX_BYTES) throw badRequest(`image exceeds ${MAX_BYTES} bytes`);
+  return buffer;
+};
+
+// GPS position and capture time from EXIF, when the camera recorded them
+const readExif = async (buffer) => {
+  try {
+    const exif = await exifr.parse(buffer, { gps: true, pick: ["DateTimeOriginal", "CreateDate"] });
+    if (!exif) return {};
+    const takenAt = exif.DateTimeOriginal || exif.CreateDate;
+    return {
+      latitude: Number.isFinite(exif.latitude) ? exif.latitude : null,
+      longitude: Number.isFinite(exif.longitude) ? exif.longitude : null,
+      takenAt: takenAt instanceof Date && !isNaN(takenAt) ? takenAt : null
+    };
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Validate, store and record an uploaded image with its thumbnail.
+ * target: { reportId, detectionLocationId, aggregatedLocationId, assignmentId, category, uploadedBy }
+ * Returns the inserted attachments row.
+ */
+exports.saveImage = async (connection, buffer, target) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw badRequest("image is not a supported picture format");
+  }
+
+  const format = formatOf(metadata);
+  if (!format) throw badRequest(`Unsupported image format: ${metadata.format}`);
+
+  const exif = await readExif(buffer);
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+
+  const now = new Date();
+  const prefix = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, "0")}`;
+  const id = uuidv4();
+  const storageKey = await storage.save(`${prefix}/${id}.${format.ext}`, buffer);
+  const thumbnailKey = await storage.save(`${prefix}/${id}_thumb.jpg`, thumbnail);
+
+  try {
+    const [result] = await connection.query(
+      `INSERT INTO attachments
+       (report_id, detection_location_id, aggregated_location_id, assignment_id, category, uploaded_by, storage_driver,
+        storage_key, thumbnail_key, content_type, size_bytes, width, height, exif_latitude, exif_longitude, exif_taken_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        target.reportId || null,
+        target.detectionLocationId || null,
+        target.aggregatedLocationId || null,
+        target.assignmentId || null,
+        target.category || "photo",
+        target.uploadedBy || null,
+        storage.driver,
+        storageKey,
+        thumbnailKey,
+        format.contentType,
+        buffer.length,
+        metadata.width || null,
+        metadata.height || null,
+        exif.latitude ?? null,
+        exif.longitude ?? null,
+        exif.takenAt ? toMySQLDatetime(exif.takenAt.toISOString()) : null
+      ]
+    );
+
+    const [rows] = await connection.query("SELECT * FROM attachments WHERE id = ?", [result.insertId]);
+    return rows[0];
+  } catch (error) {
+    // Do not leave orphaned files behind when the row could not be written
+    await storage.remove(storageKey);
+    await storage.remove(thumbnailKey);
+    throw error;
+  }
+};
+
+/**
+ * Public representation of an attachments row
+ */
+exports.toResponse = (row) => ({
+  id: row.id,
+  category: row.category,
+  reportId: row.report_id,
+  locationId: row.detection_location_id,
+  aggregatedLocationId: row.aggregated_location_id,
+  assignmentId: row.assignment_id,
+  contentType: row.content_type,
+  sizeBytes: row.size_bytes,
+  width: row.width,
+  height: row.height,
+  exif: {
+    latitude: row.exif_latitude !== null ? parseFloat(row.exif_latitude) : null,
+    longitude: row.exif_longitude !== null ? parseFloat(row.exif_longitude) : null,
+    takenAt: row.exif_taken_at
+  },
+  uploadedBy: row.uploaded_by,
+  createdAt: row.created_at,
+  url: `/api/attachments/${row.id}/file`,
+  thumbnailUrl: `/api/attachments/${row.id}/thumbnail`
+});
+
+/**
+ * Attachments uploaded against a report. With uploadedBy, only that user's
+ * uploads are listed (for callers who may not see everyone's EXIF GPS).
+ */
+exports.listForReport = async (connection, reportDbId, { uploadedBy = null } = {}) => {
+  const [rows] = await connection.query(
+    `SELECT * FROM attachments WHERE report_id = ?${uploadedBy ? " AND uploaded_by = ?" : ""} ORDER BY created_at`,
+    uploadedBy ? [reportDbId, uploadedBy] : [reportDbId]
+  );
+  return rows.map(exports.toResponse);
+};
+
+/**
+ * Attachments for a set of aggregated locations, keyed by location id
+ */
+exports.listForLocations = async (connection, locationIds) => {
+  const byLocation = {};
+  if (!locationIds.length) return byLocation;
+
+  const [rows] = await connection.query(
+    "SELECT * FROM attachments WHERE aggregated_location_id IN (?) ORDER BY created_at",
+    [locationIds]
+  );
+  for (const row of rows) {
+    (byLocation[row.aggregated_location_id] = byLocation[row.aggregated_location_id] || []).push(exports.toResponse(row));
+  }
+  return byLocation;
+};
+
+exports.storage = storage;
+exports.MAX_BYTES = MAX_BYTES;
@@ -0,0 +1,400 @@
+const { haversineMeters, boundingBox } = require("../utils/geo");
+const { higherSeverity } = require("../utils/severity");
+const corroboration = require("./corroboration_service");
+const segments = require("./segment_service");
+const wards = require("./ward_service");
+const roads = require("./road_network_service");
+const priority = require("./priority_service");
+
+/**
+ * Spatial clustering of detections into aggregated_locations.
+ *
+ * Each detection joins the nearest existing cluster whose centroid lies within
+ * CLUSTER_RADIUS_M, otherwise it founds a new one. Cluster centroids are the
+ * running mean of all member detections.
+ *
+ * Concurrent submissions near the same spot are serialized by locking the
+ * coarse grid cells (rows of cluster_cells) around each point until the
+ * transaction ends, so two of them cannot both found a cluster there.
+ * Transactions that add detections are started with beginTransaction.
+ */
+
+// A radius the grid and distance checks can work with
+const isValidRadius = (radiusM) => Number.isFinite(radiusM) && radiusM > 0;
+
+const envRadius = process.env.CLUSTER_RADIUS_M === undefined ? 15 : parseFloat(process.env.CLUSTER_RADIUS_M);
+if (!isValidRadius(envRadius)) {
+  console.error("[CLUSTERING] Ignoring invalid CLUSTER_RADIUS_M; it must be a number > 0");
+}
+const CLUSTER_RADIUS_M = isValidRadius(envRadius) ? envRadius : 15;
+
+// Lock cells are far larger than the cluster radius, so a point touches few
+const LOCK_CELL_DEG = 0.01;
+
+/**
+ * Start a transaction that may add detections. READ COMMITTED lets the
+ * nearest-cluster lookup see clusters committed by whoever held a cell lock
+ * before, without the gap locks that would make unrelated areas deadlock.
+ */
+async function beginTransaction(connection) {
+  await connection.query("SET TRANSACTION ISOLATION LEVEL READ COMMITTED");
+  await connection.beginTransaction();
+}
+
+/**
+ * Lock the grid cells within radiusM of every point ({ latitude, longitude })
+ * for the rest of the transaction. Cells are locked in sorted order so
+ * transactions locking several cells cannot deadlock each other.
+ */
+async function lockCells(connection, points, radiusM = CLUSTER_RADIUS_M) {
+  const cells = new Set();
+  for (const point of points) {
+    const lat = parseFloat(point.latitude);
+    const lng = parseFloat(point.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const box = boundingBox(lat, lng, radiusM / 1000);
+    for (let i = Math.floor(box.minLat / LOCK_CELL_DEG); i <= Math.floor(box.maxLat / LOCK_CELL_DEG); i++) {
+      for (let j = Math.floor(box.minLng / LOCK_CELL_DEG); j <= Math.floor(box.maxLng / LOCK_CELL_DEG); j++) {
+        cells.add(`${i}:${j}`);
+      }
+    }
+  }
+  if (cells.size === 0) return;
+
+  await connection.query(
+    "INSERT INTO cluster_cells (cell) VALUES ? ON DUPLICATE KEY UPDATE cell = cell",
+    [[...cells].sort().map(cell => [cell])]
+  );
+}
+
+/**
+ * Give a new location its unique grid_id. Centroids drift after a cluster is
+ * founded, so coordinates alone can repeat an older key; the id suffix keeps
+ * keys distinct. Rows are inserted with a UUID() placeholder first.
+ */
+async function setClusterKey(connection, locationId, lat, lng) {
+  await connection.query(
+    "UPDATE aggregated_locations SET grid_id = CONCAT(?, '_', id) WHERE id = ?",
+    [`${lat.toFixed(6)}_${lng.toFixed(6)}`, locationId]
+  );
+}
+
+/**
+ * Find the nearest aggregated location within the cluster radius
+ * Returns the row or null. Callers hold the cell locks (see lockCells).
+ */
+async function findNearestCluster(connection, lat, lng, radiusM = CLUSTER_RADIUS_M) {
+  const box = boundingBox(lat, lng, radiusM / 1000);
+  const [candidates] = await connection.query(
+    `SELECT * FROM aggregated_locations
+     WHERE location_type = 'point' AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+     FOR UPDATE`,
+    [box.minLat, box.maxLat, box.minLng, box.maxLng]
+  );
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = haversineMeters(lat, lng, parseFloat(candidate.latitude), parseFloat(candidate.longitude));
+    if (distance <= radiusM && distance < nearestDistance) {
+      nearest = candidate;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Add one detection to its cluster, creating the cluster if needed
+ * type is "pothole" or "patchy". Returns the aggregated_locations id.
+ * Must run inside a transaction, which holds the cell locks until it ends.
+ */
+async function addDetection(connection, data, type) {
+  const lat = parseFloat(data.latitude);
+  const lng = parseFloat(data.longitude);
+  const severity = data.severity || "Medium";
+  const potholeInc = type === "pothole" ? 1 : 0;
+  const patchyInc = type === "patchy" ? 1 : 0;
+
+  await lockCells(connection, [{ latitude: lat, longitude: lng }]);
+  const existing = await findNearestCluster(connection, lat, lng);
+
+  if (existing) {
+    // latitude/longitude are assigned before the totals so the running mean
+    // is weighted by the member count prior to this detection
+    await connection.query(
+      `UPDATE aggregated_locations
+       SET latitude = (latitude * (total_potholes + total_patchy) + ?) / (total_potholes + total_patchy + 1),
+           longitude = (longitude * (total_potholes + total_patchy) + ?) / (total_potholes + total_patchy + 1),
+           total_potholes = total_potholes + ?,
+           total_patchy = total_patchy + ?,
+           highest_severity = ?,
+           report_count = report_count + 1,
+           clean_passes_since_repair = 0,
+           last_reported_at = NOW()
+       WHERE id = ?`,
+      [lat, lng, potholeInc, patchyInc, higherSeverity(existing.highest_severity, severity), existing.id]
+    );
+    return existing.id;
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO aggregated_locations
+     (grid_id, latitude, longitude, total_potholes, total_patchy, highest_severity, first_reported_at, last_reported_at)
+     VALUES (UUID(), ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [lat, lng, potholeInc, patchyInc, severity]
+  );
+  await setClusterKey(connection, result.insertId, lat, lng);
+  await wards.assignLocation(connection, result.insertId, lat, lng);
+  await roads.snapLocation(connection, result.insertId, lat, lng);
+  return result.insertId;
+}
+
+/**
+ * In-memory incremental clustering over a list of points.
+ * Uses a uniform grid index so each point only checks neighbouring cells.
+ */
+function clusterPoints(points, radiusM = CLUSTER_RADIUS_M) {
+  const cellDeg = radiusM / 111320;
+  const cells = new Map();
+  const clusters = [];
+
+  const cellOf = (lat, lng) => [Math.floor(lat / cellDeg), Math.floor(lng / cellDeg)];
+  const index = (cluster) => {
+    const [i, j] = cellOf(cluster.latitude, cluster.longitude);
+    cluster.cell = `${i}:${j}`;
+    if (!cells.has(cluster.cell)) cells.set(cluster.cell, new Set());
+    cells.get(cluster.cell).add(cluster);
+  };
+  const unindex = (cluster) => cells.get(cluster.cell).delete(cluster);
+
+  for (const point of points) {
+    const [ci, cj] = cellOf(point.latitude, point.longitude);
+    const lngSpan = Math.ceil(1 / Math.max(Math.cos((point.latitude * Math.PI) / 180), 0.01));
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -lngSpan; dj <= lngSpan; dj++) {
+        const bucket = cells.get(`${ci + di}:${cj + dj}`);
+        if (!bucket) continue;
+        for (const cluster of bucket) {
+          const distance = haversineMeters(point.latitude, point.longitude, cluster.latitude, cluster.longitude);
+          if (distance <= radiusM && distance < nearestDistance) {
+            nearest = cluster;
+            nearestDistance = distance;
+          }
+        }
+      }
+    }
+
+    if (nearest) {
+      const n = nearest.members.length;
+      unindex(nearest);
+      nearest.latitude = (nearest.latitude * n + point.latitude) / (n + 1);
+      nearest.longitude = (nearest.longitude * n + point.longitude) / (n + 1);
+      nearest.members.push(point);
+      index(nearest);
+    } else {
+      const cluster = { latitude: point.latitude, longitude: point.longitude, members: [point] };
+      clusters.push(cluster);
+      index(cluster);
+    }
+  }
+
+  return clusters;
+}
+
+/**
+ * Rebuild aggregated_locations from every stored detection.
+ *
+ * Existing locations closest to a rebuilt cluster keep their id, status,
+ * ward, road name and assignments. Locations left without detections are
+ * deleted unless work has been assigned or photos attached to them, in which
+ * case their counts are zeroed.
+ * Must run inside a transaction. Callers validate radiusM with isValidRadius
+ * first; an invalid radius throws before anything is changed.
+ */
+async function rebuildClusters(connection, radiusM = CLUSTER_RADIUS_M) {
+  if (!isValidRadius(radiusM)) {
+    throw new Error(`Invalid cluster radius: ${radiusM}`);
+  }
+
+  // Quarantined reports stay out of the aggregates
+  const [potholes] = await connection.query(
+    `SELECT pd.id, pd.latitude, pd.longitude, pd.severity, pd.timestamp
+     FROM pothole_detections pd
+     JOIN reports r ON pd.report_id = r.id
+     WHERE r.review_status IN ('clear', 'approved')`
+  );
+  const [anomalies] = await connection.query(
+    `SELECT ra.id, ra.start_latitude AS latitude, ra.start_longitude AS longitude, ra.severity, ra.start_timestamp AS timestamp
+     FROM road_anomalies ra
+     JOIN reports r ON ra.report_id = r.id
+     WHERE r.review_status IN ('clear', 'approved')
+       AND (ra.end_latitude IS NULL OR ra.end_longitude IS NULL)`
+  );
+
+  const points = [
+    ...potholes.map(p => ({ ...p, type: "pothole" })),
+    ...anomalies.map(a => ({ ...a, type: "patchy" }))
+  ]
+    .map(p => ({ ...p, latitude: parseFloat(p.latitude), longitude: parseFloat(p.longitude) }))
+    .filter(p => Number.isFinite(p.latitude) && Number.isFinite(p.longitude))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const clusters = clusterPoints(points, radiusM)
+    .sort((a, b) => b.members.length - a.members.length);
+
+  const [locations] = await connection.query(
+    `SELECT al.id, al.latitude, al.longitude,
+            (SELECT COUNT(*) FROM work_assignments wa WHERE wa.aggregated_location_id = al.id) AS assignment_count,
+            (SELECT COUNT(*) FROM attachments att
+             WHERE att.aggregated_location_id = al.id AND att.report_id IS NULL) AS attachment_count
+     FROM aggregated_locations al
+     WHERE al.location_type = 'point'`
+  );
+  const unclaimed = new Set(locations);
+
+  await connection.query("UPDATE pothole_detections SET aggregated_location_id = NULL");
+  await connection.query("UPDATE road_anomalies SET aggregated_location_id = NULL");
+
+  let reused = 0;
+  let created = 0;
+
+  for (const cluster of clusters) {
+    // Match the cluster to the nearest unclaimed existing location
+    let match = null;
+    let matchDistance = Infinity;
+    for (const location of unclaimed) {
+      const distance = haversineMeters(
+        cluster.latitude, cluster.longitude,
+        parseFloat(location.latitude), parseFloat(location.longitude)
+      );
+      if (distance <= radiusM && distance < matchDistance) {
+        match = location;
+        matchDistance = distance;
+      }
+    }
+
+    const stats = {
+      totalPotholes: cluster.members.filter(m => m.type === "pothole").length,
+      totalPatchy: cluster.members.filter(m => m.type === "patchy").length,
+      highestSeverity: cluster.members.reduce((acc, m) => higherSeverity(acc, m.severity), null) || "Medium",
+      first: cluster.members[0].timestamp,
+      last: cluster.members[cluster.members.length - 1].timestamp
+    };
+
+    let locationId;
+    if (match) {
+      unclaimed.delete(match);
+      locationId = match.id;
+      reused++;
+      await connection.query(
+        `UPDATE aggregated_locations
+         SET latitude = ?, longitude = ?, total_potholes = ?, total_patchy = ?,
+             highest_severity = ?, report_count = ?, first_reported_at = ?, last_reported_at = ?
+         WHERE id = ?`,
+        [
+          cluster.latitude, cluster.longitude, stats.totalPotholes, stats.totalPatchy,
+          stats.highestSeverity, cluster.members.length, stats.first, stats.last, locationId
+        ]
+      );
+    } else {
+      created++;
+      const [result] = await connection.query(
+        `INSERT INTO aggregated_locations
+         (grid_id, latitude, longitude, total_potholes, total_patchy, highest_severity, report_count, first_reported_at, last_reported_at)
+         VALUES (UUID(), ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          cluster.latitude, cluster.longitude,
+          stats.totalPotholes, stats.totalPatchy, stats.highestSeverity, cluster.members.length,
+          stats.first, stats.last
+        ]
+      );
+      locationId = result.insertId;
+      await setClusterKey(connection, locationId, cluster.latitude, cluster.longitude);
+    }
+
+    const potholeIds = cluster.members.filter(m => m.type === "pothole").map(m => m.id);
+    const anomalyIds = cluster.members.filter(m => m.type === "patchy").map(m => m.id);
+    if (potholeIds.length) {
+      await connection.query(
+        "UPDATE pothole_detections SET aggregated_location_id = ? WHERE id IN (?)",
+        [locationId, potholeIds]
+      );
+    }
+    if (anomalyIds.length) {
+      await connection.query(
+        "UPDATE road_anomalies SET aggregated_location_id = ? WHERE id IN (?)",
+        [locationId, anomalyIds]
+      );
+    }
+  }
+
+  // Patchy stretches with an end point are rebuilt as road segments
+  const segmentSummary = await segments.rebuildSegments(connection);
+
+  await corroboration.refresh(connection);
+
+  // Detection photos follow their detection into its new cluster
+  await connection.query(
+    `UPDATE attachments a
+     JOIN pothole_detections pd ON pd.report_id = a.report_id AND pd.location_id = a.detection_location_id
+     SET a.aggregated_location_id = pd.aggregated_location_id`
+  );
+  await connection.query(
+    `UPDATE attachments a
+     JOIN road_anomalies ra ON ra.report_id = a.report_id AND ra.location_id = a.detection_location_id
+     SET a.aggregated_location_id = ra.aggregated_location_id`
+  );
+
+  // Drop empty clusters nobody has been assigned to or photographed
+  const removable = [...unclaimed]
+    .filter(l => Number(l.assignment_count) === 0 && Number(l.attachment_count) === 0)
+    .map(l => l.id);
+  if (removable.length) {
+    await connection.query("DELETE FROM aggregated_locations WHERE id IN (?)", [removable]);
+  }
+
+  // Empty clusters kept for their work or photos must not keep their old
+  // counts: corroboration only refreshes locations that still have detections
+  const kept = [...unclaimed].map(l => l.id).filter(id => !removable.includes(id));
+  if (kept.length) {
+    await connection.query(
+      `UPDATE aggregated_locations
+       SET total_potholes = 0, total_patchy = 0, highest_severity = 'Low', report_count = 0,
+           distinct_devices = 0, distinct_days = 0, confidence_level = 'unconfirmed'
+       WHERE id IN (?)`,
+      [kept]
+    );
+  }
+
+  // New clusters and segments get their ward and road
+  await wards.assignAll(connection, { onlyMissing: true });
+  await roads.snapAll(connection, { onlyMissing: true });
+
+  await priority.refresh(connection);
+
+  return {
+    radiusMeters: radiusM,
+    detections: points.length,
+    clusters: clusters.length,
+    reused,
+    created,
+    removed: removable.length,
+    keptWithoutDetections: kept.length,
+    segments: segmentSummary
+  };
+}
+
+module.exports = {
+  CLUSTER_RADIUS_M,
+  isValidRadius,
+  beginTransaction,
+  lockCells,
+  findNearestCluster,
+  addDetection,
+  clusterPoints,
+  rebuildClusters
+};
@@ -0,0 +1,111 @@
+/**
+ * Multi-device corroboration for aggregated locations.
+ *
+ * A location seen by several devices on several days is far more likely to be
+ * a real pothole than repeated hits from one phone on one trip. Counts are
+ * recomputed from the linked detections so they stay correct after re-clustering.
+ */
+
+// unconfirmed: one device only, however many trips
+// low:         at least two devices
+// medium:      mediumDevices devices across mediumDays days
+// high:        highDevices devices across highDays days
+const config = {
+  mediumDevices: parseInt(process.env.CORROBORATION_MEDIUM_DEVICES) || 2,
+  mediumDays: parseInt(process.env.CORROBORATION_MEDIUM_DAYS) || 2,
+  highDevices: parseInt(process.env.CORROBORATION_HIGH_DEVICES) || 3,
+  highDays: parseInt(process.env.CORROBORATION_HIGH_DAYS) || 2
+};
+
+// Ordered weakest to strongest
+const CONFIDENCE_LEVELS = ["unconfirmed", "low", "medium", "high"];
+
+/**
+ * Recompute distinct devices/days/reports and confidence for locations.
+ * Pass an array of location ids, or nothing to refresh every location.
+ */
+exports.refresh = async (connection, locationIds = null) => {
+  if (Array.isArray(locationIds) && locationIds.length === 0) return;
+
+  const scoped = Array.isArray(locationIds);
+  // Filter inside each branch so a scoped refresh only reads its own detections
+  const potholeFilter = scoped ? "WHERE pd.aggregated_location_id IN (?)" : "WHERE pd.aggregated_location_id IS NOT NULL";
+  const anomalyFilter = scoped ? "WHERE ra.aggregated_location_id IN (?)" : "WHERE ra.aggregated_location_id IS NOT NULL";
+  const params = [
+    ...(scoped ? [locationIds, locationIds] : []),
+    config.highDevices, config.highDays, config.mediumDevices, config.mediumDays
+  ];
+
+  await connection.query(
+    `UPDATE aggregated_locations al
+     JOIN (
+       SELECT d.aggregated_location_id,
+              COUNT(DISTINCT d.device_id) as devices,
+              COUNT(DISTINCT d.day) as days,
+              COUNT(DISTINCT d.report_id) as reports
+       FROM (
+         SELECT pd.aggregated_location_id, r.device_id, DATE(pd.timestamp) as day, pd.report_id
+         FROM pothole_detections pd JOIN reports r ON pd.report_id = r.id
+         ${potholeFilter}
+         UNION ALL
+         SELECT ra.aggregated_location_id, r.device_id, DATE(ra.start_timestamp) as day, ra.report_id
+         FROM road_anomalies ra JOIN reports r ON ra.report_id = r.id
+         ${anomalyFilter}
+       ) d
+       GROUP BY d.aggregated_location_id
+     ) s ON s.aggregated_location_id = al.id
+     SET al.distinct_devices = s.devices,
+         al.distinct_days = s.days,
+         al.report_count = s.reports,
+         al.confidence_level = CASE
+           WHEN s.devices >= ? AND s.days >= ? THEN 'high'
+           WHEN s.devices >= ? AND s.days >= ? THEN 'medium'
+           WHEN s.devices >= 2 THEN 'low'
+           ELSE 'unconfirmed'
+         END`,
+    params
+  );
+
+  // Each detection is confirmed by every other device that hit the same location
+  await connection.query(
+    `UPDATE pothole_detections pd
+     JOIN aggregated_locations al ON pd.aggregated_location_id = al.id
+     SET pd.confirmation_count = GREATEST(al.distinct_devices - 1, 0)
+     ${scoped ? "WHERE al.id IN (?)" : ""}`,
+    scoped ? [locationIds] : []
+  );
+};
+
+/**
+ * SQL fragment restricting aggregated locations (aliased `alias`) to a minimum
+ * confidence level. Returns { clause, params } with an empty clause when no
+ * filter applies. Throws on an unknown level.
+ */
+exports.minConfidenceFilter = (level, alias = "al") => {
+  if (!level) return { clause: "", params: [] };
+
+  const index = CONFIDENCE_LEVELS.indexOf(level);
+  if (index === -1) {
+    const error = new Error(`minConfidence must be one of: ${CONFIDENCE_LEVELS.join(", ")}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    clause: ` AND FIELD(${alias}.confidence_level, ${CONFIDENCE_LEVELS.map(() => "?").join(", ")}) >= ?`,
+    params: [...CONFIDENCE_LEVELS, index + 1]
+  };
+};
+
+/**
+ * Read the confidence filter from query params.
+ * confirmedOnly=true is shorthand for minConfidence=low.
+ */
+exports.levelFromQuery = (query) => {
+  if (query.minConfidence) return query.minConfidence;
+  if (query.confirmedOnly === "true") return "low";
+  return null;
+};
+
+exports.config = config;
+exports.CONFIDENCE_LEVELS = CONFIDENCE_LEVELS;
@@ -0,0 +1,346 @@
+/**
+ * Repair costs and budgets.
+ *
+ * A rate card prices one repair type for one contractor (or, with no
+ * contractor, the city default): a fixed base amount per job plus a unit rate
+ * per pothole ('pothole') or per metre of patched stretch ('patch'). The
+ * estimate for a location is (base + unit rate x quantity) x the severity
+ * multiplier. Each assignment keeps its estimate in estimated_cost, with the
+ * breakdown in estimate_breakdown; warranty rework is not paid and is
+ * estimated at 0.
+ *
+ * Budgets cap spending per ward or zone over a date range. Work assigned in
+ * the range counts as committed while open and as spent once verified (at its
+ * invoiced amount when invoiced).
+ */
+
+// Non-negative number from the environment; 0 is a valid setting
+const multiplierFrom = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const config = {
+  currency: process.env.COST_CURRENCY || "INR",
+  severityMultiplier: {
+    High: multiplierFrom("COST_SEVERITY_HIGH", 1.25),
+    Medium: multiplierFrom("COST_SEVERITY_MEDIUM", 1),
+    Low: multiplierFrom("COST_SEVERITY_LOW", 0.85)
+  },
+  // Shortest stretch billed for a patch repair
+  minPatchM: 1
+};
+
+const REPAIR_TYPES = { pothole: "pothole", patch: "m" };
+const BUDGET_SCOPES = ["ward", "zone"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const money = (value) => Math.round(value * 100) / 100;
+
+const isDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * Repair type and billable quantity of a location: potholes for point
+ * clusters, metres for patchy segments
+ */
+exports.quantityOf = (location) => {
+  if (location.location_type === "segment") {
+    return { repairType: "patch", quantity: Math.max(config.minPatchM, parseFloat(location.length_m) || 0) };
+  }
+  const count = (Number(location.total_potholes) || 0) + (Number(location.total_patchy) || 0);
+  return { repairType: "pothole", quantity: Math.max(1, count) };
+};
+
+/**
+ * Price a location with a rate card. Returns the breakdown, or null when
+ * there is no card for the repair type.
+ */
+exports.estimate = (location, card) => {
+  const { repairType, quantity } = exports.quantityOf(location);
+  if (!card) return null;
+
+  const baseAmount = parseFloat(card.base_amount) || 0;
+  const unitRate = parseFloat(card.unit_rate);
+  const severityMultiplier = config.severityMultiplier[location.highest_severity] ?? 1;
+
+  return {
+    repairType,
+    quantity: money(quantity),
+    unit: REPAIR_TYPES[repairType],
+    baseAmount,
+    unitRate,
+    severity: location.highest_severity,
+    severityMultiplier,
+    rateCardId: card.id,
+    amount: money((baseAmount + unitRate * quantity) * severityMultiplier)
+  };
+};
+
+/**
+ * Rate cards that apply to a contractor, by repair type: its own card, else
+ * the city default
+ */
+exports.cardsFor = async (connection, contractorId) => {
+  const [cards] = await connection.query(
+    `SELECT * FROM rate_cards
+     WHERE contractor_id = ? OR contractor_id IS NULL
+     ORDER BY contractor_id IS NULL`,
+    [contractorId]
+  );
+  const byType = {};
+  for (const card of cards) {
+    if (!byType[card.repair_type]) byType[card.repair_type] = card;
+  }
+  return byType;
+};
+
+const LOCATION_COLUMNS = `al.id, al.location_type, al.total_potholes, al.total_patchy, al.length_m,
+            al.highest_severity, al.ward_id, al.ward, w.zone`;
+
+/**
+ * Estimate for an existing assignment from its contractor's rate card, or
+ * null without a card
+ */
+exports.estimateAssignment = async (connection, assignmentId) => {
+  const [rows] = await connection.query(
+    `SELECT wa.contractor_id, wa.warranty_of, ${LOCATION_COLUMNS}
+     FROM work_assignments wa
+     JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+     LEFT JOIN wards w ON al.ward_id = w.id
+     WHERE wa.id = ?`,
+    [assignmentId]
+  );
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  const cards = await exports.cardsFor(connection, row.contractor_id);
+  const estimate = exports.estimate(row, cards[exports.quantityOf(row).repairType]);
+  if (estimate && row.warranty_of) return { ...estimate, warranty: true, amount: 0 };
+  return estimate;
+};
+
+/**
+ * Store the estimate of an assignment and its breakdown (called when work is
+ * (re)assigned)
+ */
+exports.setEstimate = async (connection, assignmentId) => {
+  const estimate = await exports.estimateAssignment(connection, assignmentId);
+  await connection.query(
+    "UPDATE work_assignments SET estimated_cost = ?, estimate_breakdown = ? WHERE id = ?",
+    [estimate ? estimate.amount : null, estimate ? JSON.stringify(estimate) : null, assignmentId]
+  );
+  return estimate;
+};
+
+/**
+ * SQL restricting assignments (wa) on locations (al, with wards w) to a budget
+ */
+const budgetScope = (budget) => budget.scope === "ward"
+  ? { clause: "al.ward_id = ?", params: [budget.ward_id] }
+  : { clause: "w.zone = ?", params: [budget.zone] };
+
+/**
+ * Committed (open) and spent (verified) amounts against each budget.
+ * Active assignments on replacingLocationIds are left out of committed: they
+ * are about to be reassigned and re-estimated.
+ */
+exports.budgetStatus = async (connection, budgets, { replacingLocationIds = [] } = {}) => {
+  const open = replacingLocationIds.length > 0
+    ? {
+      clause: "wa.status <> 'verified' AND NOT (wa.status IN ('assigned', 'in_progress') AND wa.aggregated_location_id IN (?))",
+      params: [replacingLocationIds]
+    }
+    : { clause: "wa.status <> 'verified'", params: [] };
+
+  const results = [];
+  for (const budget of budgets) {
+    const scope = budgetScope(budget);
+    const [rows] = await connection.query(
+      `SELECT
+         COALESCE(SUM(CASE WHEN ${open.clause} THEN wa.estimated_cost END), 0) as committed,
+         COALESCE(SUM(CASE WHEN wa.status = 'verified' THEN COALESCE(il.amount, wa.estimated_cost) END), 0) as spent,
+         SUM(${open.clause} AND wa.estimated_cost IS NULL) as unpriced_open
+       FROM work_assignments wa
+       JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+       LEFT JOIN wards w ON al.ward_id = w.id
+       LEFT JOIN invoice_lines il ON il.assignment_id = wa.id
+       WHERE wa.warranty_of IS NULL
+         AND DATE(wa.assigned_at) BETWEEN ? AND ?
+         AND ${scope.clause}`,
+      [...open.params, ...open.params, budget.period_start, budget.period_end, ...scope.params]
+    );
+    const amount = parseFloat(budget.amount);
+    const committed = parseFloat(rows[0].committed);
+    const spent = parseFloat(rows[0].spent);
+
+    results.push({
+      id: budget.id,
+      scope: budget.scope,
+      wardId: budget.ward_id,
+      wardName: budget.ward_name || null,
+      zone: budget.zone,
+      periodStart: budget.period_start,
+      periodEnd: budget.period_end,
+      amount,
+      committed: money(committed),
+      spent: money(spent),
+      remaining: money(amount - committed - spent),
+      usedPercent: amount > 0 ? Math.round(((committed + spent) / amount) * 1000) / 10 : null,
+      unpricedOpenJobs: Number(rows[0].unpriced_open) || 0,
+      notes: budget.notes
+    });
+  }
+  return results;
+};
+
+/**
+ * Budgets, optionally only those whose period covers `on` (YYYY-MM-DD)
+ */
+exports.budgets = async (connection, { on = null } = {}) => {
+  const [budgets] = await connection.query(
+    `SELECT b.*, w.name as ward_name
+     FROM budgets b
+     LEFT JOIN wards w ON b.ward_id = w.id
+     ${on ? "WHERE ? BETWEEN b.period_start AND b.period_end" : ""}
+     ORDER BY b.period_start DESC, b.scope, w.name, b.zone`,
+    on ? [on] : []
+  );
+  return budgets;
+};
+
+/**
+ * What assigning locationIds to contractorId would cost and do to the
+ * budgets in force today. With reassign, the locations' current assignments
+ * stop counting as committed, so the same job is not counted twice.
+ * Returns { currency, total, estimates, budgets, exceeds }
+ */
+exports.checkAssignment = async (connection, { locationIds, contractorId, reassign = false }) => {
+  const [locations] = await connection.query(
+    `SELECT ${LOCATION_COLUMNS}
+     FROM aggregated_locations al
+     LEFT JOIN wards w ON al.ward_id = w.id
+     WHERE al.id IN (?)`,
+    [locationIds]
+  );
+  const cards = await exports.cardsFor(connection, contractorId);
+  const estimates = locations.map(location => ({
+    location,
+    estimate: exports.estimate(location, cards[exports.quantityOf(location).repairType])
+  }));
+
+  const today = new Date().toISOString().slice(0, 10);
+  const active = await exports.budgets(connection, { on: today });
+  const affected = active.filter(b => estimates.some(({ location }) =>
+    b.scope === "ward" ? b.ward_id === location.ward_id : location.zone && b.zone === location.zone));
+  const statuses = await exports.budgetStatus(connection, affected, { replacingLocationIds: reassign ? locationIds : [] });
+
+  const budgets = statuses.map(status => {
+    const budget = affected.find(b => b.id === status.id);
+    const added = estimates
+      .filter(({ location }) => budget.scope === "ward" ? budget.ward_id === location.ward_id : budget.zone === location.zone)
+      .reduce((sum, { estimate }) => sum + (estimate ? estimate.amount : 0), 0);
+    const remainingAfter = money(status.remaining - added);
+    return { ...status, added: money(added), remainingAfter, exceeds: remainingAfter < 0 };
+  });
+
+  return {
+    currency: config.currency,
+    total: money(estimates.reduce((sum, { estimate }) => sum + (estimate ? estimate.amount : 0), 0)),
+    estimates: estimates.map(({ location, estimate }) => ({
+      locationId: location.id,
+      ward: location.ward,
+      zone: location.zone,
+      estimate,
+      ...(estimate ? {} : { warning: `No rate card for ${exports.quantityOf(location).repairType} repairs` })
+    })),
+    budgets,
+    exceeds: budgets.some(b => b.exceeds)
+  };
+};
+
+/**
+ * Response body for an assignment refused because it would exceed a budget
+ */
+exports.overBudgetResponse = (check) => ({
+  message: "Assignment would exceed the budget; resend with confirmOverBudget: true to proceed",
+  code: "BUDGET_EXCEEDED",
+  currency: check.currency,
+  estimate: check.total,
+  budgets: check.budgets.filter(b => b.exceeds)
+});
+
+/**
+ * Validate a rate card from a request body; throws with status 400
+ */
+exports.parseRateCard = (body = {}) => {
+  if (!Object.keys(REPAIR_TYPES).includes(body.repairType)) {
+    throw badRequest(`repairType must be one of: ${Object.keys(REPAIR_TYPES).join(", ")}`);
+  }
+  const unitRate = parseFloat(body.unitRate);
+  if (!(unitRate >= 0)) throw badRequest("unitRate must be a non-negative number");
+  const baseAmount = body.baseAmount === undefined ? 0 : parseFloat(body.baseAmount);
+  if (!(baseAmount >= 0)) throw badRequest("baseAmount must be a non-negative number");
+
+  return {
+    contractorId: body.contractorId || null,
+    repairType: body.repairType,
+    baseAmount,
+    unitRate
+  };
+};
+
+/**
+ * Create or replace the card for a contractor (or the default) and repair type.
+ * Returns the card id.
+ */
+exports.saveRateCard = async (connection, card) => {
+  const [existing] = await connection.query(
+    "SELECT id FROM rate_cards WHERE contractor_id <=> ? AND repair_type = ?",
+    [card.contractorId, card.repairType]
+  );
+  if (existing.length > 0) {
+    await connection.query(
+      "UPDATE rate_cards SET base_amount = ?, unit_rate = ? WHERE id = ?",
+      [card.baseAmount, card.unitRate, existing[0].id]
+    );
+    return existing[0].id;
+  }
+  const [result] = await connection.query(
+    "INSERT INTO rate_cards (contractor_id, repair_type, base_amount, unit_rate) VALUES (?, ?, ?, ?)",
+    [card.contractorId, card.repairType, card.baseAmount, card.unitRate]
+  );
+  return result.insertId;
+};
+
+/**
+ * Validate a budget from a request body; throws with status 400
+ */
+exports.parseBudget = (body = {}) => {
+  if (!BUDGET_SCOPES.includes(body.scope)) throw badRequest(`scope must be one of: ${BUDGET_SCOPES.join(", ")}`);
+  if (body.scope === "ward" && !body.wardId) throw badRequest("wardId is required for a ward budget");
+  if (body.scope === "zone" && !body.zone) throw badRequest("zone is required for a zone budget");
+  if (!isDate(body.periodStart) || !isDate(body.periodEnd)) {
+    throw badRequest("periodStart and periodEnd must be dates (YYYY-MM-DD)");
+  }
+  if (body.periodEnd < body.periodStart) throw badRequest("periodEnd must not be before periodStart");
+  const amount = parseFloat(body.amount);
+  if (!(amount > 0)) throw badRequest("amount must be a positive number");
+
+  return {
+    scope: body.scope,
+    wardId: body.scope === "ward" ? body.wardId : null,
+    zone: body.scope === "zone" ? body.zone : null,
+    periodStart: body.periodStart,
+    periodEnd: body.periodEnd,
+    amount,
+    notes: body.notes || null
+  };
+};
+
+exports.config = config;
+exports.REPAIR_TYPES = REPAIR_TYPES;
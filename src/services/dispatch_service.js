@@ -0,0 +1,306 @@
+const db = require("../config/db");
+const geo = require("../utils/geo");
+const sla = require("./sla_service");
+const workflow = require("./workflow_service");
+const costing = require("./costing_service");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+/**
+ * Auto-dispatch: rank active contractors for pending locations.
+ *
+ * Each contractor gets a score in [0, 1] per location from three parts:
+ *   coverage    - how central the location is in the contractor's service
+ *                 area (outside the radius the contractor is not eligible)
+ *   workload    - spare capacity given currently open jobs
+ *   performance - SLA compliance and how rarely work is sent back, smoothed
+ *                 towards a neutral prior for contractors with little history
+ * Severity shifts the balance: High severity weighs performance more, Low
+ * severity weighs it less.
+ */
+
+const weightFrom = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const config = {
+  weights: {
+    coverage: weightFrom("DISPATCH_WEIGHT_COVERAGE", 0.4),
+    workload: weightFrom("DISPATCH_WEIGHT_WORKLOAD", 0.3),
+    performance: weightFrom("DISPATCH_WEIGHT_PERFORMANCE", 0.3)
+  },
+  // Multiplier on the performance weight per severity
+  severityPerformanceFactor: { High: 1.5, Medium: 1, Low: 0.5 },
+  // Open jobs at which a contractor takes no more work
+  maxOpenJobs: parseInt(process.env.DISPATCH_MAX_OPEN_JOBS) || 20,
+  // Coverage credited to contractors without a service area (city-wide)
+  unboundedCoverage: 0.25,
+  performanceWindowDays: 180,
+  // Smoothing: a contractor with no history scores priorPerformance
+  priorPerformance: 0.7,
+  priorWeight: 3,
+  suggestions: 3,
+  defaultBatch: 50,
+  maxBatch: 200
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Read { locationIds?, limit?, dryRun?, minScore?, dueDate?, allowOverBudget? }
+ * from a request body; throws with status 400
+ */
+exports.parseOptions = (body = {}) => {
+  let locationIds = null;
+  if (body.locationIds !== undefined) {
+    if (!Array.isArray(body.locationIds) || body.locationIds.length === 0) {
+      throw badRequest("locationIds must be a non-empty array");
+    }
+    if (body.locationIds.length > config.maxBatch) {
+      throw badRequest(`At most ${config.maxBatch} locations per dispatch`);
+    }
+    locationIds = body.locationIds.map(id => parseInt(id)).filter(Number.isInteger);
+    if (locationIds.length === 0) throw badRequest("locationIds must contain location ids");
+  }
+
+  const limit = body.limit === undefined ? config.defaultBatch : parseInt(body.limit);
+  if (!(limit >= 1 && limit <= config.maxBatch)) {
+    throw badRequest(`limit must be between 1 and ${config.maxBatch}`);
+  }
+
+  const minScore = body.minScore === undefined ? 0 : parseFloat(body.minScore);
+  if (!(minScore >= 0 && minScore <= 1)) throw badRequest("minScore must be between 0 and 1");
+
+  const dueDate = body.dueDate || null;
+  if (dueDate !== null && !(typeof dueDate === "string" && /^\d{4}-\d{2}-\d{2}$/.test(dueDate) &&
+    !isNaN(new Date(`${dueDate}T00:00:00Z`).getTime()))) {
+    throw badRequest("dueDate must be a date (YYYY-MM-DD)");
+  }
+
+  return {
+    locationIds,
+    limit,
+    minScore,
+    dryRun: body.dryRun !== false,
+    dueDate,
+    allowOverBudget: body.allowOverBudget === true
+  };
+};
+
+/**
+ * Active contractors with their open workload and performance history
+ */
+exports.loadContractors = async (connection) => {
+  const [contractors] = await connection.query(
+    `SELECT c.id, c.company_name, c.service_area_lat, c.service_area_lng, c.service_radius_km,
+            (SELECT COUNT(*) FROM work_assignments wa
+             WHERE wa.contractor_id = c.id AND wa.status IN ('assigned', 'in_progress')) as open_jobs
+     FROM contractors c
+     WHERE c.is_active = TRUE`
+  );
+
+  const to = new Date();
+  const from = new Date(to.getTime() - config.performanceWindowDays * 24 * 3600 * 1000);
+  const compliance = await sla.compliance(connection, { from, to });
+  const slaByContractor = new Map(compliance.contractors.map(c => [c.id, c]));
+
+  const [reviews] = await connection.query(
+    `SELECT wa.contractor_id,
+            SUM(e.action = 'reject') as rejected,
+            SUM(e.action IN ('verify', 'reject')) as reviewed
+     FROM status_events e
+     JOIN work_assignments wa ON e.entity_type = 'assignment' AND e.entity_id = wa.id
+     WHERE e.action IN ('verify', 'reject') AND e.created_at >= ?
+     GROUP BY wa.contractor_id`,
+    [toMySQLDatetime(from.toISOString())]
+  );
+  const reviewsByContractor = new Map(reviews.map(r => [r.contractor_id, r]));
+
+  return contractors.map(c => {
+    const history = slaByContractor.get(c.id) || { met: 0, total: 0 };
+    const review = reviewsByContractor.get(c.id) || { rejected: 0, reviewed: 0 };
+    const k = config.priorWeight;
+    const onTime = (history.met + config.priorPerformance * k) / (history.total + k);
+    const accepted = (Number(review.reviewed) - Number(review.rejected) + config.priorPerformance * k) /
+      (Number(review.reviewed) + k);
+
+    return {
+      id: c.id,
+      name: c.company_name,
+      center: c.service_area_lat !== null && c.service_area_lng !== null
+        ? { lat: parseFloat(c.service_area_lat), lng: parseFloat(c.service_area_lng) }
+        : null,
+      radiusKm: c.service_radius_km !== null ? parseFloat(c.service_radius_km) : null,
+      openJobs: Number(c.open_jobs),
+      onTimeRate: round(onTime),
+      acceptanceRate: round(accepted),
+      performance: round(onTime * accepted)
+    };
+  });
+};
+
+/**
+ * Score one contractor for one location; null when not eligible
+ */
+exports.score = (contractor, location) => {
+  let coverage = config.unboundedCoverage;
+  let distanceKm = null;
+  if (contractor.center && contractor.radiusKm) {
+    distanceKm = geo.haversineKm(contractor.center.lat, contractor.center.lng, location.lat, location.lng);
+    if (distanceKm > contractor.radiusKm) return null;
+    coverage = 1 - distanceKm / contractor.radiusKm;
+  }
+
+  if (contractor.openJobs >= config.maxOpenJobs) return null;
+  const workload = 1 - contractor.openJobs / config.maxOpenJobs;
+
+  const weights = config.weights;
+  const performanceWeight = weights.performance * (config.severityPerformanceFactor[location.severity] || 1);
+  const totalWeight = weights.coverage + weights.workload + performanceWeight;
+  const score = totalWeight > 0
+    ? (weights.coverage * coverage + weights.workload * workload + performanceWeight * contractor.performance) / totalWeight
+    : 0;
+
+  return {
+    contractorId: contractor.id,
+    contractorName: contractor.name,
+    score: round(score),
+    breakdown: {
+      coverage: round(coverage),
+      distanceKm: distanceKm !== null ? round(distanceKm) : null,
+      workload: round(workload),
+      openJobs: contractor.openJobs,
+      performance: contractor.performance,
+      onTimeRate: contractor.onTimeRate,
+      acceptanceRate: contractor.acceptanceRate,
+      weights: {
+        coverage: round(weights.coverage / totalWeight),
+        workload: round(weights.workload / totalWeight),
+        performance: round(performanceWeight / totalWeight)
+      }
+    }
+  };
+};
+
+/**
+ * Pending, unassigned locations to dispatch: the given ids, or the top of
+ * the priority queue. Candidates come back in priority order so the most
+ * urgent locations get first pick of contractors.
+ */
+exports.loadCandidates = async (connection, { locationIds, limit }, filter = { clause: "", params: [] }) => {
+  const byId = locationIds ? " AND al.id IN (?)" : "";
+  const [rows] = await connection.query(
+    `SELECT al.id, al.latitude, al.longitude, al.highest_severity, al.ward, al.road_name, al.first_reported_at,
+            al.priority_score
+     FROM aggregated_locations al
+     WHERE al.status = 'pending'${byId}${filter.clause}
+       AND NOT EXISTS (
+         SELECT 1 FROM work_assignments wa
+         WHERE wa.aggregated_location_id = al.id AND wa.status <> 'verified'
+       )
+     ORDER BY al.priority_score DESC, FIELD(al.highest_severity, 'High', 'Medium', 'Low'), al.first_reported_at
+     LIMIT ?`,
+    [...(locationIds ? [locationIds] : []), ...filter.params, locationIds ? locationIds.length : limit]
+  );
+  return rows.map(r => ({
+    id: r.id,
+    lat: parseFloat(r.latitude),
+    lng: parseFloat(r.longitude),
+    severity: r.highest_severity,
+    ward: r.ward,
+    roadName: r.road_name,
+    priorityScore: r.priority_score !== null ? parseFloat(r.priority_score) : null
+  }));
+};
+
+/**
+ * Rank contractors for every candidate. Locations are taken in order and
+ * each proposed assignment counts towards the chosen contractor's workload,
+ * so one batch spreads work instead of piling it on the top scorer.
+ */
+exports.plan = (candidates, contractors, { minScore = 0 } = {}) => {
+  const load = new Map(contractors.map(c => [c.id, c.openJobs]));
+
+  return candidates.map(location => {
+    const ranked = contractors
+      .map(c => exports.score({ ...c, openJobs: load.get(c.id) }, location))
+      .filter(s => s && s.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+
+    const best = ranked[0] || null;
+    if (best) load.set(best.contractorId, load.get(best.contractorId) + 1);
+
+    return {
+      locationId: location.id,
+      severity: location.severity,
+      priorityScore: location.priorityScore,
+      ward: location.ward,
+      roadName: location.roadName,
+      proposed: best,
+      suggestions: ranked.slice(0, config.suggestions)
+    };
+  });
+};
+
+/**
+ * Assign each planned location to its proposed contractor through the
+ * workflow. Locations that changed meanwhile are reported, not fatal, and
+ * so are those that would exceed a budget unless allowOverBudget. Any other
+ * error marks that item failed and the rest carry on.
+ */
+exports.apply = async (plan, actor, { dueDate = null, allowOverBudget = false } = {}) => {
+  const results = [];
+  for (const item of plan) {
+    if (!item.proposed) {
+      results.push({ locationId: item.locationId, status: "unassigned", message: "No eligible contractor" });
+      continue;
+    }
+    try {
+      if (!allowOverBudget) {
+        const budget = await costing.checkAssignment(db.promise(), {
+          locationIds: [item.locationId],
+          contractorId: item.proposed.contractorId
+        });
+        if (budget.exceeds) {
+          results.push({
+            locationId: item.locationId,
+            status: "over_budget",
+            estimate: budget.total,
+            budgets: budget.budgets.filter(b => b.exceeds).map(b => ({ id: b.id, scope: b.scope, remaining: b.remaining }))
+          });
+          continue;
+        }
+      }
+      const result = await workflow.run("assign", {
+        locationId: item.locationId,
+        actor,
+        fields: { contractor_id: item.proposed.contractorId, due_date: dueDate },
+        reason: `Auto-dispatch (score ${item.proposed.score})`
+      });
+      results.push({
+        locationId: item.locationId,
+        status: "assigned",
+        assignmentId: result.assignmentId,
+        contractorId: item.proposed.contractorId,
+        score: item.proposed.score
+      });
+    } catch (error) {
+      // Each item commits on its own, so one failure must not hide the ones already applied
+      if ([403, 404, 409].includes(error.status)) {
+        results.push({ locationId: item.locationId, status: "skipped", message: error.message });
+      } else {
+        console.error(`Auto-dispatch of location ${item.locationId} failed:`, error);
+        results.push({ locationId: item.locationId, status: "failed", message: error.message });
+      }
+    }
+  }
+  return results;
+};
+
+exports.config = config;
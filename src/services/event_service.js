@@ -0,0 +1,177 @@
+/**
+ * Append-only status history.
+ *
+ * Every status change on a location, assignment or report adds one row to
+ * status_events with who made it, in which role, the old and new value and
+ * the reason given. Rows are never updated or deleted (the migration adds
+ * triggers refusing both), so the table is the audit trail that the mutable
+ * status / admin_notes columns cannot be.
+ */
+
+// Timeline entry type for each workflow action on a location
+const ACTION_TYPES = {
+  reject: "rejection",
+  verify: "verification",
+  reopen: "recurrence",
+  escalate: "escalation"
+};
+
+/**
+ * Append one event.
+ * actor is { id, role }; locationId and assignmentId tie the event to a
+ * location timeline and, for location events, to the assignment involved.
+ */
+exports.record = async (connection, {
+  entityType, entityId, locationId = null, assignmentId = null, field = "status",
+  action = null, from = null, to, actor, reason = null
+}) => {
+  await connection.query(
+    `INSERT INTO status_events
+     (entity_type, entity_id, aggregated_location_id, assignment_id, field, action,
+      old_status, new_status, actor_id, actor_role, reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [entityType, entityId, locationId, assignmentId, field, action,
+      from, to, actor.id || null, actor.role, reason || null]
+  );
+};
+
+/**
+ * Record both sides of a workflow transition (see workflow_service.transition)
+ */
+exports.recordTransition = async (connection, result, actor, reason) => {
+  await exports.record(connection, {
+    entityType: "location",
+    entityId: result.locationId,
+    locationId: result.locationId,
+    assignmentId: result.assignmentId,
+    action: result.action,
+    from: result.location.from,
+    to: result.location.to,
+    actor,
+    reason
+  });
+  await exports.record(connection, {
+    entityType: "assignment",
+    entityId: result.assignmentId,
+    locationId: result.locationId,
+    assignmentId: result.assignmentId,
+    action: result.action,
+    from: result.assignment.from,
+    to: result.assignment.to,
+    actor,
+    reason
+  });
+};
+
+/**
+ * Events for one entity, oldest first
+ */
+exports.forEntity = async (connection, entityType, entityId) => {
+  const [events] = await connection.query(
+    `SELECT e.*, u.email as actor_email
+     FROM status_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     WHERE e.entity_type = ? AND e.entity_id = ?
+     ORDER BY e.created_at, e.id`,
+    [entityType, entityId]
+  );
+  return events;
+};
+
+const actorOf = (row) => row.actor_role
+  ? { id: row.actor_id, role: row.actor_role, email: row.actor_email || null }
+  : null;
+
+/**
+ * Everything that happened at a location, oldest first: detections, the
+ * review of the reports behind them, assignments, and every status change
+ * including rejections and verifications.
+ */
+exports.timeline = async (connection, locationId) => {
+  const [detections] = await connection.query(
+    `SELECT pd.id, pd.timestamp as at, pd.severity, r.report_id, r.device_id, r.review_status
+     FROM pothole_detections pd
+     JOIN reports r ON pd.report_id = r.id
+     WHERE pd.aggregated_location_id = ?`,
+    [locationId]
+  );
+  const [anomalies] = await connection.query(
+    `SELECT ra.id, ra.start_timestamp as at, ra.severity, ra.duration_seconds, r.report_id, r.device_id, r.review_status
+     FROM road_anomalies ra
+     JOIN reports r ON ra.report_id = r.id
+     WHERE ra.aggregated_location_id = ?`,
+    [locationId]
+  );
+  const [assignments] = await connection.query(
+    `SELECT wa.id, wa.assigned_at as at, wa.contractor_id, c.company_name as contractor_name,
+            wa.assigned_by, wa.due_date, wa.status, wa.warranty_of
+     FROM work_assignments wa
+     LEFT JOIN contractors c ON wa.contractor_id = c.id
+     WHERE wa.aggregated_location_id = ?`,
+    [locationId]
+  );
+  const [events] = await connection.query(
+    `SELECT e.*, u.email as actor_email
+     FROM status_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     WHERE (e.entity_type = 'location' AND e.entity_id = ?)
+        OR (e.entity_type = 'report' AND e.entity_id IN (
+              SELECT report_id FROM pothole_detections WHERE aggregated_location_id = ?
+              UNION
+              SELECT report_id FROM road_anomalies WHERE aggregated_location_id = ?))`,
+    [locationId, locationId, locationId]
+  );
+
+  const entries = [
+    ...detections.map(d => ({
+      type: "detection",
+      at: d.at,
+      detectionId: d.id,
+      severity: d.severity,
+      reportId: d.report_id,
+      deviceId: d.device_id,
+      reviewStatus: d.review_status
+    })),
+    ...anomalies.map(a => ({
+      type: "anomaly",
+      at: a.at,
+      anomalyId: a.id,
+      severity: a.severity,
+      durationSeconds: a.duration_seconds,
+      reportId: a.report_id,
+      deviceId: a.device_id,
+      reviewStatus: a.review_status
+    })),
+    ...assignments.map(a => ({
+      type: "assignment",
+      at: a.at,
+      assignmentId: a.id,
+      contractorId: a.contractor_id,
+      contractorName: a.contractor_name,
+      assignedBy: a.assigned_by,
+      dueDate: a.due_date,
+      warrantyOf: a.warranty_of,
+      currentStatus: a.status
+    })),
+    ...events.map(e => ({
+      type: e.entity_type === "report" ? "report_review" : (ACTION_TYPES[e.action] || "status_change"),
+      at: e.created_at,
+      eventId: e.id,
+      entityType: e.entity_type,
+      entityId: e.entity_id,
+      assignmentId: e.assignment_id,
+      field: e.field,
+      action: e.action,
+      from: e.old_status,
+      to: e.new_status,
+      actor: actorOf(e),
+      reason: e.reason
+    }))
+  ];
+
+  // Stable for equal timestamps: detections, assignments, then events in insert order
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => new Date(a.entry.at) - new Date(b.entry.at) || a.index - b.index)
+    .map(({ entry }) => entry);
+};
@@ -0,0 +1,293 @@
+const { Transform, pipeline } = require("stream");
+const db = require("../config/db");
+const spatial = require("./spatial_service");
+const corroboration = require("./corroboration_service");
+const wards = require("./ward_service");
+const segmentService = require("./segment_service");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+/**
+ * Streaming GeoJSON / KML / CSV exports for GIS tools.
+ *
+ * Rows are streamed straight from a MySQL cursor through a formatter into the
+ * response, so memory use stays flat however many rows match.
+ */
+
+const ASSIGNMENT_JOIN = `
+  LEFT JOIN work_assignments wa ON wa.id = (
+    SELECT MAX(w.id) FROM work_assignments w WHERE w.aggregated_location_id = al.id
+  )
+  LEFT JOIN contractors c ON wa.contractor_id = c.id`;
+
+const ASSIGNMENT_FIELDS = [
+  "assignment_id", "assignment_status", "assigned_at", "due_date", "completed_at",
+  "contractor_id", "contractor_name", "contractor_email"
+];
+
+const ASSIGNMENT_COLUMNS = `
+  wa.id as assignment_id, wa.status as assignment_status, wa.assigned_at, wa.due_date, wa.completed_at,
+  wa.contractor_id, c.company_name as contractor_name, c.contact_email as contractor_email`;
+
+const LOCATION_COLUMNS = { lat: "al.latitude", lng: "al.longitude", geohash: "al.geohash" };
+const DETECTION_COLUMNS = { lat: "pd.latitude", lng: "pd.longitude", geohash: "pd.geohash" };
+
+const dateRange = (column, query) => {
+  let clause = "";
+  const params = [];
+  if (query.startDate) {
+    clause += ` AND ${column} >= ?`;
+    params.push(toMySQLDatetime(query.startDate));
+  }
+  if (query.endDate) {
+    clause += ` AND ${column} <= ?`;
+    params.push(toMySQLDatetime(query.endDate));
+  }
+  return { clause, params };
+};
+
+const combine = (...filters) => ({
+  clause: filters.map(f => f.clause).join(""),
+  params: filters.flatMap(f => f.params)
+});
+
+const locationFilters = (query) => {
+  const filters = [];
+  if (query.status) filters.push({ clause: " AND al.status = ?", params: [query.status] });
+  if (query.severity) filters.push({ clause: " AND al.highest_severity = ?", params: [query.severity] });
+  filters.push(wards.filterFromQuery(query));
+  const bbox = spatial.parseBbox(query);
+  if (bbox) filters.push(spatial.bboxFilter(LOCATION_COLUMNS, bbox));
+  filters.push(corroboration.minConfidenceFilter(corroboration.levelFromQuery(query)));
+  return filters;
+};
+
+/**
+ * Exportable datasets. Each builds its SQL from the request query and lists
+ * the property fields in output order.
+ */
+const DATASETS = {
+  // Aggregated locations with their latest assignment
+  locations: {
+    name: (row) => `Location ${row.id}`,
+    fields: [
+      "id", "location_type", "latitude", "longitude", "length_m", "road_name", "road_class", "ward", "status",
+      "highest_severity", "confidence_level", "total_potholes", "total_patchy", "report_count",
+      "distinct_devices", "first_reported_at", "last_reported_at", "verified_at",
+      ...ASSIGNMENT_FIELDS
+    ],
+    build: (query) => {
+      const filter = combine(...locationFilters(query), dateRange("al.last_reported_at", query));
+      return {
+        sql: `SELECT al.*, ${ASSIGNMENT_COLUMNS}
+              FROM aggregated_locations al
+              ${ASSIGNMENT_JOIN}
+              WHERE 1=1${filter.clause}
+              ORDER BY al.id`,
+        params: filter.params
+      };
+    }
+  },
+
+  // Individual pothole detections from clear or approved reports
+  detections: {
+    name: (row) => `Detection ${row.id}`,
+    fields: [
+      "id", "latitude", "longitude", "severity", "device_severity", "computed_severity",
+      "z_axis_acceleration", "speed_kmh", "road_type", "timestamp", "report_id", "device_id",
+      "aggregated_location_id", "location_status", "road_name", "road_class", "ward",
+      ...ASSIGNMENT_FIELDS
+    ],
+    build: (query) => {
+      const filters = [dateRange("pd.timestamp", query)];
+      if (query.severity) filters.push({ clause: " AND pd.severity = ?", params: [query.severity] });
+      if (query.status) filters.push({ clause: " AND al.status = ?", params: [query.status] });
+      filters.push(wards.filterFromQuery(query));
+      const bbox = spatial.parseBbox(query);
+      if (bbox) filters.push(spatial.bboxFilter(DETECTION_COLUMNS, bbox));
+      const filter = combine(...filters);
+      return {
+        sql: `SELECT pd.id, pd.latitude, pd.longitude, pd.severity, pd.device_severity, pd.computed_severity,
+                     pd.z_axis_acceleration, pd.speed_kmh, pd.road_type, pd.timestamp,
+                     r.report_id, r.device_id, pd.aggregated_location_id,
+                     al.status as location_status, al.road_name, al.road_class, al.ward,
+                     ${ASSIGNMENT_COLUMNS}
+              FROM pothole_detections pd
+              JOIN reports r ON pd.report_id = r.id
+              LEFT JOIN aggregated_locations al ON pd.aggregated_location_id = al.id
+              ${ASSIGNMENT_JOIN}
+              WHERE r.review_status IN ('clear', 'approved')${filter.clause}
+              ORDER BY pd.id`,
+        params: filter.params
+      };
+    }
+  },
+
+  // Verified repairs, as in the history page
+  history: {
+    name: (row) => `Repair ${row.id}`,
+    fields: [
+      "id", "location_type", "latitude", "longitude", "length_m", "road_name", "road_class", "ward",
+      "highest_severity", "report_count", "verified_at",
+      ...ASSIGNMENT_FIELDS
+    ],
+    build: (query) => {
+      const filter = combine(...locationFilters({ ...query, status: "verified" }), dateRange("al.verified_at", query));
+      return {
+        sql: `SELECT al.*, ${ASSIGNMENT_COLUMNS}
+              FROM aggregated_locations al
+              ${ASSIGNMENT_JOIN}
+              WHERE 1=1${filter.clause}
+              ORDER BY al.verified_at DESC`,
+        params: filter.params
+      };
+    }
+  }
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const geometryOf = (row) => segmentService.toGeoJSON(row) || {
+  type: "Point",
+  coordinates: [parseFloat(row.longitude), parseFloat(row.latitude)]
+};
+
+const propertiesOf = (row, fields) => Object.fromEntries(fields.map(f => [f, formatValue(row[f])]));
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toWKT = (geometry) => geometry.type === "Point"
+  ? `POINT (${geometry.coordinates.join(" ")})`
+  : `LINESTRING (${geometry.coordinates.map(c => c.join(" ")).join(", ")})`;
+
+const KML_STYLES = ["High", "Medium", "Low"].map((severity, i) => `
+    <Style id="severity-${severity.toLowerCase()}">
+      <IconStyle><color>${["ff0000ff", "ff00a5ff", "ff00ffff"][i]}</color></IconStyle>
+      <LineStyle><color>${["ff0000ff", "ff00a5ff", "ff00ffff"][i]}</color><width>4</width></LineStyle>
+    </Style>`).join("");
+
+/**
+ * Output formats: content type plus header / per-row / footer writers
+ */
+const FORMATS = {
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    row: (row, dataset, index) => (index > 0 ? ",\n" : "") + JSON.stringify({
+      type: "Feature",
+      id: row.id,
+      geometry: geometryOf(row),
+      properties: propertiesOf(row, dataset.fields)
+    }),
+    footer: () => "\n]}\n"
+  },
+
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    header: (name) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(name)}</name>${KML_STYLES}
+`,
+    row: (row, dataset) => {
+      const geometry = geometryOf(row);
+      const coordinates = geometry.type === "Point"
+        ? geometry.coordinates.join(",")
+        : geometry.coordinates.map(c => c.join(",")).join(" ");
+      const shape = geometry.type === "Point"
+        ? `<Point><coordinates>${coordinates}</coordinates></Point>`
+        : `<LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`;
+      const severity = (row.highest_severity || row.severity || "Medium").toLowerCase();
+      const data = Object.entries(propertiesOf(row, dataset.fields))
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => `<Data name="${key}"><value>${xmlEscape(value)}</value></Data>`)
+        .join("");
+      return `    <Placemark>
+      <name>${xmlEscape(dataset.name(row))}</name>
+      <styleUrl>#severity-${severity}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      ${shape}
+    </Placemark>
+`;
+    },
+    footer: () => "  </Document>\n</kml>\n"
+  },
+
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: (name, dataset) => [...dataset.fields, "wkt"].join(",") + "\n",
+    row: (row, dataset) => [
+      ...dataset.fields.map(f => csvEscape(formatValue(row[f]))),
+      csvEscape(toWKT(geometryOf(row)))
+    ].join(",") + "\n",
+    footer: () => ""
+  }
+};
+
+/**
+ * Resolve a dataset and format by name. Returns null for unknown names.
+ */
+exports.resolve = (datasetName, formatName) => {
+  const dataset = Object.hasOwn(DATASETS, datasetName) ? DATASETS[datasetName] : null;
+  const format = Object.hasOwn(FORMATS, formatName) ? FORMATS[formatName] : null;
+  if (!dataset || !format) return null;
+  return { dataset, format };
+};
+
+/**
+ * Stream an export to the response. Filter errors (status 400) are thrown
+ * before anything is written; errors mid-stream end the response early.
+ */
+exports.streamExport = async (res, datasetName, formatName, query) => {
+  const { dataset, format } = exports.resolve(datasetName, formatName);
+  const { sql, params } = dataset.build(query);
+
+  const connection = await db.promise().getConnection();
+  const rows = connection.connection.query(sql, params).stream({ highWaterMark: 200 });
+
+  let index = 0;
+  const formatter = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      if (index === 0) this.push(format.header(datasetName, dataset));
+      callback(null, format.row(row, dataset, index++));
+    },
+    flush(callback) {
+      if (index === 0) this.push(format.header(datasetName, dataset));
+      callback(null, format.footer());
+    }
+  });
+
+  const filename = `${datasetName}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+  res.set("Content-Type", format.contentType);
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+  pipeline(rows, formatter, res, (err) => {
+    if (err) {
+      console.error("Export stream error:", err.message);
+      // The cursor may still be mid-result; do not hand it back to the pool
+      connection.destroy();
+    } else {
+      connection.release();
+    }
+  });
+};
+
+exports.DATASETS = Object.keys(DATASETS);
+exports.FORMATS = Object.keys(FORMATS);
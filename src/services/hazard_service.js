@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const geo = require("../utils/geo");
+const spatial = require("./spatial_service");
+
+/**
+ * Hazards ahead of a driver, for navigation alerts.
+ *
+ * Given a planned route (polyline) or the current position, heading and
+ * speed, returns unresolved aggregated locations in a corridor ahead of the
+ * driver, ordered by distance along the way. The user's sensitivity setting
+ * decides the lowest severity worth an alert.
+ */
+
+const config = {
+  corridorM: parseFloat(process.env.HAZARD_CORRIDOR_M) || 25,
+  // Look-ahead for position + heading requests: speed * seconds, clamped
+  lookaheadSeconds: parseFloat(process.env.HAZARD_LOOKAHEAD_S) || 60,
+  minLookaheadM: 300,
+  maxLookaheadM: 5000,
+  // Hazards off the projected straight line still count within this angle of the heading
+  headingConeDeg: parseFloat(process.env.HAZARD_HEADING_CONE_DEG) || 20,
+  maxHazards: parseInt(process.env.HAZARD_MAX_RESULTS) || 200,
+  // How long the app may reuse a route response
+  cacheSeconds: parseInt(process.env.HAZARD_CACHE_S) || 300
+};
+
+// Lowest severity alerted for each app_settings.sensitivity value
+const SENSITIVITY_SEVERITIES = {
+  high: ["Low", "Medium", "High"],
+  medium: ["Medium", "High"],
+  low: ["High"]
+};
+
+const UNRESOLVED_STATUSES = ["pending", "assigned", "in_progress"];
+
+const COLUMNS = { lat: "al.latitude", lng: "al.longitude", geohash: "al.geohash" };
+
+// Field order of each hazard tuple in the response
+const FIELDS = ["id", "lat", "lng", "severity", "type", "distance_m", "offset_m", "confidence"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Alert preferences for a user, falling back to the app defaults.
+ * An explicit sensitivity (from the request body) overrides the stored one.
+ */
+exports.alertSettings = async (connection, userId, override) => {
+  let settings = { sensitivity: "medium", alerts_enabled: true, alert_sound: true, alert_vibration: true };
+  if (userId) {
+    const [rows] = await connection.query(
+      "SELECT sensitivity, alerts_enabled, alert_sound, alert_vibration FROM app_settings WHERE user_id = ?",
+      [userId]
+    );
+    if (rows.length > 0) settings = rows[0];
+  }
+
+  if (override !== undefined) {
+    if (!SENSITIVITY_SEVERITIES[override]) {
+      throw badRequest(`sensitivity must be one of: ${Object.keys(SENSITIVITY_SEVERITIES).join(", ")}`);
+    }
+    settings = { ...settings, sensitivity: override };
+  }
+
+  return {
+    sensitivity: settings.sensitivity,
+    alertsEnabled: Boolean(settings.alerts_enabled),
+    alertSound: Boolean(settings.alert_sound),
+    alertVibration: Boolean(settings.alert_vibration)
+  };
+};
+
+/**
+ * Parse { latitude, longitude, heading, speed_kmh }. heading is required only
+ * when no route is given.
+ */
+exports.parsePosition = (position, { requireHeading }) => {
+  if (!position) return null;
+  const lat = parseFloat(position.latitude);
+  const lng = parseFloat(position.longitude);
+  const heading = parseFloat(position.heading);
+  const speedKmh = parseFloat(position.speed_kmh) || 0;
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw badRequest("position: latitude and longitude are required");
+  }
+  if (requireHeading && !(Number.isFinite(heading) && heading >= 0 && heading <= 360)) {
+    throw badRequest("position: heading (0-360 degrees) is required without a route");
+  }
+  return { lat, lng, heading, speedKmh };
+};
+
+const fetchCandidates = async (connection, filter, severities) => {
+  const [rows] = await connection.query(
+    `SELECT al.id, al.latitude, al.longitude, al.location_type, al.highest_severity, al.confidence_level
+     FROM aggregated_locations al
+     WHERE al.status IN (?) AND al.highest_severity IN (?)${filter.clause}
+     LIMIT ?`,
+    [UNRESOLVED_STATUSES, severities, ...filter.params, spatial.config.maxCandidates]
+  );
+  return rows.map(r => ({ ...r, lat: parseFloat(r.latitude), lng: parseFloat(r.longitude) }));
+};
+
+/**
+ * Hazards within the corridor of a route ([[lng, lat], ...]). With a position,
+ * only hazards still ahead of it are returned and distances count from it.
+ */
+exports.alongRoute = async (connection, line, position, severities, corridorM = config.corridorM) => {
+  const candidates = await fetchCandidates(connection, spatial.corridorFilter(COLUMNS, line, corridorM), severities);
+  const startM = position ? geo.projectOntoPolyline([position.lng, position.lat], line).alongM : 0;
+
+  return candidates
+    .map(c => ({ ...c, ...geo.projectOntoPolyline([c.lng, c.lat], line) }))
+    .filter(c => c.offsetM <= corridorM && c.alongM >= startM)
+    .map(c => ({ ...c, distanceM: c.alongM - startM }));
+};
+
+/**
+ * Hazards ahead of a moving position: along the heading for the look-ahead
+ * distance, within the corridor or the heading cone.
+ */
+exports.aheadOfPosition = async (connection, position, severities, corridorM = config.corridorM) => {
+  const lookaheadM = Math.min(
+    Math.max((position.speedKmh / 3.6) * config.lookaheadSeconds, config.minLookaheadM),
+    config.maxLookaheadM
+  );
+  const candidates = await fetchCandidates(
+    connection,
+    spatial.radiusFilter(COLUMNS, position.lat, position.lng, lookaheadM / 1000),
+    severities
+  );
+
+  const results = [];
+  for (const c of candidates) {
+    const distance = geo.haversineMeters(position.lat, position.lng, c.lat, c.lng);
+    const bearing = geo.bearingDeg(position.lat, position.lng, c.lat, c.lng);
+    const angle = Math.abs(((bearing - position.heading + 540) % 360) - 180);
+    if (angle >= 90) continue;
+
+    const alongM = distance * Math.cos((angle * Math.PI) / 180);
+    const offsetM = distance * Math.sin((angle * Math.PI) / 180);
+    if (offsetM <= corridorM || angle <= config.headingConeDeg) {
+      results.push({ ...c, distanceM: alongM, offsetM });
+    }
+  }
+  return { hazards: results, lookaheadM };
+};
+
+/**
+ * Compact, cacheable response: hazards as tuples in FIELDS order, nearest first
+ */
+exports.toResponse = (hazards, meta) => {
+  const sorted = hazards.sort((a, b) => a.distanceM - b.distanceM).slice(0, config.maxHazards);
+  const rows = sorted.map(h => [
+    h.id,
+    Math.round(h.lat * 1e6) / 1e6,
+    Math.round(h.lng * 1e6) / 1e6,
+    h.highest_severity[0],
+    h.location_type === "segment" ? "s" : "p",
+    Math.round(h.distanceM),
+    Math.round(h.offsetM),
+    h.confidence_level
+  ]);
+
+  const etag = crypto.createHash("sha1")
+    .update(JSON.stringify([meta.key, rows]))
+    .digest("hex")
+    .slice(0, 16);
+
+  return {
+    etag: `"${etag}"`,
+    body: {
+      key: meta.key,
+      sensitivity: meta.sensitivity,
+      alerts: meta.alerts,
+      corridor_m: meta.corridorM,
+      lookahead_m: meta.lookaheadM ?? null,
+      ttl_s: config.cacheSeconds,
+      fields: FIELDS,
+      hazards: rows,
+      truncated: hazards.length > rows.length
+    }
+  };
+};
+
+/**
+ * Stable cache key for a route request
+ */
+exports.routeKey = (line, sensitivity, corridorM) => crypto.createHash("sha1")
+  .update(`${geo.encodePolyline(line)}|${sensitivity}|${corridorM}`)
+  .digest("hex")
+  .slice(0, 16);
+
+exports.config = config;
+exports.SENSITIVITY_SEVERITIES = SENSITIVITY_SEVERITIES;
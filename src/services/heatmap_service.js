@@ -0,0 +1,143 @@
+const spatial = require("./spatial_service");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+/**
+ * Time-decayed pothole density surface.
+ *
+ * Each unresolved aggregated location contributes to the grid cell it falls
+ * in, weighted by severity, corroboration, how many detections it had inside
+ * the time window, and exponential decay since it was last reported. Verified
+ * and fixed locations drop out entirely.
+ */
+
+const config = {
+  halfLifeDays: parseFloat(process.env.HEATMAP_HALF_LIFE_DAYS) || 30,
+  defaultWindowDays: parseInt(process.env.HEATMAP_WINDOW_DAYS) || 365,
+  defaultGridSize: 64,
+  maxGridSize: 256,
+  maxBboxDeg: 2
+};
+
+const SEVERITY_WEIGHTS = { High: 3, Medium: 2, Low: 1 };
+const CONFIDENCE_WEIGHTS = { high: 2, medium: 1.5, low: 1, unconfirmed: 0.5 };
+
+const DETECTION_COLUMNS = { lat: "pd.latitude", lng: "pd.longitude", geohash: "pd.geohash" };
+const LOCATION_COLUMNS = { lat: "al.latitude", lng: "al.longitude", geohash: "al.geohash" };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Read the heatmap options from a query string; throws with status 400
+ */
+exports.parseOptions = (query) => {
+  const bbox = spatial.parseBbox(query, config.maxBboxDeg);
+  if (!bbox) throw badRequest("minLat, maxLat, minLng and maxLng are required");
+  if (bbox.maxLat <= bbox.minLat || bbox.maxLng <= bbox.minLng) {
+    throw badRequest("Bounding box must have a non-zero area");
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - config.defaultWindowDays * 24 * 3600 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    throw badRequest("from and to must be valid dates with from before to");
+  }
+
+  const gridSize = query.gridSize === undefined ? config.defaultGridSize : parseInt(query.gridSize);
+  if (!(gridSize >= 1 && gridSize <= config.maxGridSize)) {
+    throw badRequest(`gridSize must be between 1 and ${config.maxGridSize}`);
+  }
+
+  const halfLifeDays = query.halfLifeDays === undefined ? config.halfLifeDays : parseFloat(query.halfLifeDays);
+  if (!(halfLifeDays > 0)) throw badRequest("halfLifeDays must be a positive number");
+
+  return { bbox, from, to, gridSize, halfLifeDays };
+};
+
+/**
+ * Weighted grid intensities for a bounding box and time window.
+ * extraFilter is appended to the aggregated_locations (alias al) conditions.
+ * Cells are square in degrees; only non-empty cells are returned.
+ */
+exports.build = async (connection, { bbox, from, to, gridSize, halfLifeDays }, extraFilter = { clause: "", params: [] }) => {
+  const cellDeg = Math.max(bbox.maxLng - bbox.minLng, bbox.maxLat - bbox.minLat) / gridSize;
+  const rowCount = Math.max(Math.ceil((bbox.maxLat - bbox.minLat) / cellDeg), 1);
+  const colCount = Math.max(Math.ceil((bbox.maxLng - bbox.minLng) / cellDeg), 1);
+  const decayPerDay = Math.LN2 / halfLifeDays;
+  const detectionsInBox = spatial.bboxFilter(DETECTION_COLUMNS, bbox);
+  const locationsInBox = spatial.bboxFilter(LOCATION_COLUMNS, bbox);
+
+  const [rows] = await connection.query(
+    `SELECT
+       LEAST(FLOOR((al.latitude - ?) / ?), ?) as row_index,
+       LEAST(FLOOR((al.longitude - ?) / ?), ?) as col_index,
+       COUNT(*) as locations,
+       SUM(d.detections) as detections,
+       SUM(
+         (CASE al.highest_severity WHEN 'High' THEN ? WHEN 'Medium' THEN ? ELSE ? END)
+         * (CASE al.confidence_level WHEN 'high' THEN ? WHEN 'medium' THEN ? WHEN 'low' THEN ? ELSE ? END)
+         * (1 + LOG2(d.detections))
+         * EXP(-? * GREATEST(TIMESTAMPDIFF(SECOND, al.last_reported_at, ?), 0) / 86400)
+       ) as weight
+     FROM aggregated_locations al
+     JOIN (
+       SELECT pd.aggregated_location_id, COUNT(*) as detections
+       FROM pothole_detections pd
+       JOIN reports r ON pd.report_id = r.id
+       WHERE r.review_status IN ('clear', 'approved')
+         AND pd.timestamp BETWEEN ? AND ?${detectionsInBox.clause}
+       GROUP BY pd.aggregated_location_id
+     ) d ON d.aggregated_location_id = al.id
+     WHERE al.status NOT IN ('verified', 'fixed')${locationsInBox.clause}${extraFilter.clause}
+     GROUP BY row_index, col_index`,
+    [
+      bbox.minLat, cellDeg, rowCount - 1, bbox.minLng, cellDeg, colCount - 1,
+      SEVERITY_WEIGHTS.High, SEVERITY_WEIGHTS.Medium, SEVERITY_WEIGHTS.Low,
+      CONFIDENCE_WEIGHTS.high, CONFIDENCE_WEIGHTS.medium, CONFIDENCE_WEIGHTS.low, CONFIDENCE_WEIGHTS.unconfirmed,
+      decayPerDay, toMySQLDatetime(to.toISOString()),
+      toMySQLDatetime(from.toISOString()), toMySQLDatetime(to.toISOString()),
+      ...detectionsInBox.params,
+      ...locationsInBox.params,
+      ...extraFilter.params
+    ]
+  );
+
+  const maxWeight = rows.reduce((max, r) => Math.max(max, parseFloat(r.weight) || 0), 0);
+  const cells = rows
+    .map(r => {
+      const row = Number(r.row_index);
+      const col = Number(r.col_index);
+      const weight = parseFloat(r.weight) || 0;
+      return {
+        row,
+        col,
+        lat: Math.round((bbox.minLat + (row + 0.5) * cellDeg) * 1e6) / 1e6,
+        lng: Math.round((bbox.minLng + (col + 0.5) * cellDeg) * 1e6) / 1e6,
+        weight: Math.round(weight * 1000) / 1000,
+        intensity: maxWeight > 0 ? Math.round((weight / maxWeight) * 1000) / 1000 : 0,
+        locations: r.locations,
+        detections: Number(r.detections)
+      };
+    })
+    .filter(c => c.weight > 0);
+
+  return {
+    bbox,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    halfLifeDays,
+    cellDeg,
+    rows: rowCount,
+    cols: colCount,
+    maxWeight: Math.round(maxWeight * 1000) / 1000,
+    weights: { severity: SEVERITY_WEIGHTS, confidence: CONFIDENCE_WEIGHTS },
+    cells
+  };
+};
+
+exports.config = config;
@@ -0,0 +1,227 @@
+const costing = require("./costing_service");
+
+/**
+ * Contractor invoices.
+ *
+ * An invoice bills a contractor for verified work completed in a date range
+ * that has not been invoiced before. Each assignment becomes one line billed
+ * at the estimate and breakdown stored when it was assigned, so invoices
+ * match what budgets counted as committed; the contractor's current rate
+ * card is only used for work that was never priced. Warranty rework is
+ * never billed. Invoices move draft -> issued -> paid; only drafts may be
+ * deleted.
+ */
+
+const STATUS_FLOW = { draft: ["issued"], issued: ["paid"], paid: [] };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const money = (value) => Math.round(value * 100) / 100;
+
+const isDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * Read { contractorId, from, to } for a new invoice; throws with status 400
+ */
+exports.parseRequest = (body = {}) => {
+  if (!body.contractorId) throw badRequest("contractorId is required");
+  if (!isDate(body.from) || !isDate(body.to)) throw badRequest("from and to must be dates (YYYY-MM-DD)");
+  if (body.to < body.from) throw badRequest("to must not be before from");
+  return { contractorId: body.contractorId, from: body.from, to: body.to };
+};
+
+/**
+ * Verified, billable, not yet invoiced assignments of a contractor completed
+ * between from and to (inclusive)
+ */
+const loadBillable = async (connection, { contractorId, from, to }) => {
+  const [rows] = await connection.query(
+    `SELECT wa.id as assignment_id, wa.estimated_cost, wa.estimate_breakdown, wa.completed_at,
+            al.id, al.location_type, al.total_potholes, al.total_patchy, al.length_m,
+            al.highest_severity, al.road_name, al.ward
+     FROM work_assignments wa
+     JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+     LEFT JOIN invoice_lines il ON il.assignment_id = wa.id
+     WHERE wa.contractor_id = ?
+       AND wa.status = 'verified'
+       AND wa.warranty_of IS NULL
+       AND il.id IS NULL
+       AND DATE(wa.completed_at) BETWEEN ? AND ?
+     ORDER BY wa.completed_at, wa.id
+     FOR UPDATE`,
+    [contractorId, from, to]
+  );
+  return rows;
+};
+
+/**
+ * Generate a draft invoice inside the caller's transaction.
+ * Throws with status 400 when there is nothing to bill.
+ * Returns the invoice id.
+ */
+exports.generate = async (connection, { contractorId, from, to }, createdBy) => {
+  const billable = await loadBillable(connection, { contractorId, from, to });
+  if (billable.length === 0) throw badRequest("No uninvoiced verified work for this contractor in the period");
+
+  const cards = await costing.cardsFor(connection, contractorId);
+  const lines = billable.map(row => {
+    // Bill the price agreed at assignment, which budgets already count as
+    // committed, with the breakdown stored alongside it
+    if (row.estimated_cost !== null) {
+      const breakdown = typeof row.estimate_breakdown === "string"
+        ? JSON.parse(row.estimate_breakdown)
+        : row.estimate_breakdown;
+      const { repairType, quantity } = costing.quantityOf(row);
+      return {
+        row,
+        repairType,
+        quantity,
+        unit: costing.REPAIR_TYPES[repairType],
+        baseAmount: null,
+        unitRate: null,
+        severity: row.highest_severity,
+        severityMultiplier: null,
+        ...breakdown,
+        amount: money(parseFloat(row.estimated_cost))
+      };
+    }
+
+    // Not priced at assignment: fall back to the current rate card
+    const estimate = costing.estimate(row, cards[costing.quantityOf(row).repairType]);
+    if (estimate) return { row, ...estimate };
+
+    const { repairType, quantity } = costing.quantityOf(row);
+    return {
+      row,
+      repairType,
+      quantity,
+      unit: costing.REPAIR_TYPES[repairType],
+      baseAmount: null,
+      unitRate: null,
+      severity: row.highest_severity,
+      severityMultiplier: null,
+      amount: 0
+    };
+  });
+  const total = money(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  const [result] = await connection.query(
+    `INSERT INTO invoices (contractor_id, period_from, period_to, total_amount, currency, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [contractorId, from, to, total, costing.config.currency, createdBy || null]
+  );
+  const invoiceId = result.insertId;
+  await connection.query(
+    "UPDATE invoices SET invoice_number = ? WHERE id = ?",
+    [`INV-${contractorId}-${from.replace(/-/g, "")}-${invoiceId}`, invoiceId]
+  );
+
+  await connection.query(
+    `INSERT INTO invoice_lines
+     (invoice_id, assignment_id, aggregated_location_id, repair_type, quantity, unit, unit_rate,
+      base_amount, severity, severity_multiplier, amount)
+     VALUES ?`,
+    [lines.map(line => [
+      invoiceId, line.row.assignment_id, line.row.id, line.repairType, line.quantity, line.unit,
+      line.unitRate, line.baseAmount, line.severity, line.severityMultiplier, line.amount
+    ])]
+  );
+
+  return invoiceId;
+};
+
+/**
+ * One invoice with its lines, or null
+ */
+exports.get = async (connection, invoiceId) => {
+  const [invoices] = await connection.query(
+    `SELECT i.*, c.company_name as contractor_name
+     FROM invoices i
+     LEFT JOIN contractors c ON i.contractor_id = c.id
+     WHERE i.id = ?`,
+    [invoiceId]
+  );
+  if (invoices.length === 0) return null;
+
+  const [lines] = await connection.query(
+    `SELECT il.*, al.road_name, al.ward, wa.completed_at
+     FROM invoice_lines il
+     LEFT JOIN aggregated_locations al ON il.aggregated_location_id = al.id
+     LEFT JOIN work_assignments wa ON il.assignment_id = wa.id
+     WHERE il.invoice_id = ?
+     ORDER BY il.id`,
+    [invoiceId]
+  );
+  return { ...invoices[0], lines };
+};
+
+/**
+ * Invoices, newest first. Options: { contractorId, status, limit }
+ */
+exports.list = async (connection, { contractorId = null, status = null, limit = 100 } = {}) => {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (contractorId) {
+    where += " AND i.contractor_id = ?";
+    params.push(contractorId);
+  }
+  if (status) {
+    where += " AND i.status = ?";
+    params.push(status);
+  }
+  const [invoices] = await connection.query(
+    `SELECT i.*, c.company_name as contractor_name,
+            (SELECT COUNT(*) FROM invoice_lines il WHERE il.invoice_id = i.id) as line_count
+     FROM invoices i
+     LEFT JOIN contractors c ON i.contractor_id = c.id
+     ${where}
+     ORDER BY i.created_at DESC, i.id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return invoices;
+};
+
+/**
+ * Move an invoice to its next status; throws 400 for a bad target and 409
+ * when the move is not allowed from the current status
+ */
+exports.setStatus = async (connection, invoiceId, status) => {
+  if (!Object.keys(STATUS_FLOW).includes(status)) {
+    throw badRequest(`status must be one of: ${Object.keys(STATUS_FLOW).join(", ")}`);
+  }
+  const [rows] = await connection.query("SELECT id, status FROM invoices WHERE id = ? FOR UPDATE", [invoiceId]);
+  if (rows.length === 0) return null;
+
+  const current = rows[0].status;
+  if (!STATUS_FLOW[current].includes(status)) {
+    const error = new Error(`Cannot move invoice from '${current}' to '${status}'`);
+    error.status = 409;
+    throw error;
+  }
+  await connection.query(
+    `UPDATE invoices SET status = ?${status === "issued" ? ", issued_at = NOW()" : ", paid_at = NOW()"} WHERE id = ?`,
+    [status, invoiceId]
+  );
+  return { id: invoiceId, from: current, to: status };
+};
+
+/**
+ * Delete a draft invoice, releasing its assignments for re-invoicing.
+ * Returns false when it does not exist; throws 409 when not a draft.
+ */
+exports.remove = async (connection, invoiceId) => {
+  const [rows] = await connection.query("SELECT status FROM invoices WHERE id = ?", [invoiceId]);
+  if (rows.length === 0) return false;
+  if (rows[0].status !== "draft") {
+    const error = new Error("Only draft invoices can be deleted");
+    error.status = 409;
+    throw error;
+  }
+  await connection.query("DELETE FROM invoices WHERE id = ?", [invoiceId]);
+  return true;
+};
@@ -0,0 +1,178 @@
+const geohash = require("../utils/geohash");
+const spatial = require("./spatial_service");
+const corroboration = require("./corroboration_service");
+const wards = require("./ward_service");
+
+/**
+ * Zoom-aware map data.
+ *
+ * Below street level the map gets one cluster per geohash cell (count,
+ * centroid, severity mix) instead of individual locations, so a whole-city
+ * view costs a few hundred rows at most. From config.pointZoom up, individual
+ * locations are returned, capped at config.maxPoints.
+ */
+
+const config = {
+  // Zoom level from which individual locations are returned
+  pointZoom: parseInt(process.env.MAP_POINT_ZOOM) || 16,
+  maxPoints: parseInt(process.env.MAP_MAX_POINTS) || 2000,
+  maxZoom: 22,
+  // Roughly how many cluster cells span one 256px tile
+  cellsPerTile: 8
+};
+
+const COLUMNS = { lat: "al.latitude", lng: "al.longitude", geohash: "al.geohash" };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a zoom level; throws with status 400 when out of range
+ */
+exports.parseZoom = (value) => {
+  const zoom = parseInt(value);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > config.maxZoom) {
+    throw badRequest(`zoom must be an integer between 0 and ${config.maxZoom}`);
+  }
+  return zoom;
+};
+
+/**
+ * Geohash precision used to cluster at a zoom level: the finest precision
+ * whose cells are still at least 1/cellsPerTile of a tile wide
+ */
+exports.precisionForZoom = (zoom) => {
+  const tileDeg = 360 / 2 ** zoom;
+  for (let precision = 9; precision >= 1; precision--) {
+    if (geohash.cellSize(precision).lngDeg >= tileDeg / config.cellsPerTile) return precision;
+  }
+  return 1;
+};
+
+/**
+ * Bounding box of a Web Mercator (slippy map) tile
+ */
+exports.tileBounds = (z, x, y) => {
+  const n = 2 ** z;
+  if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= n || y >= n) {
+    throw badRequest(`x and y must be integers between 0 and ${n - 1} at zoom ${z}`);
+  }
+  const lat = (row) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / n))) * 180) / Math.PI;
+  return {
+    minLat: lat(y + 1),
+    maxLat: lat(y),
+    minLng: (x / n) * 360 - 180,
+    maxLng: ((x + 1) / n) * 360 - 180
+  };
+};
+
+/**
+ * status / severity / ward / confidence filters shared by every map query
+ */
+exports.filtersFromQuery = (query) => {
+  const ward = wards.filterFromQuery(query);
+  let clause = ward.clause;
+  const params = [...ward.params];
+
+  if (query.status) {
+    clause += " AND al.status = ?";
+    params.push(query.status);
+  }
+  if (query.severity) {
+    clause += " AND al.highest_severity = ?";
+    params.push(query.severity);
+  }
+
+  const confidence = corroboration.minConfidenceFilter(corroboration.levelFromQuery(query));
+  return { clause: clause + confidence.clause, params: [...params, ...confidence.params] };
+};
+
+/**
+ * Cluster counts per geohash cell inside a bounding box
+ */
+exports.clusters = async (connection, bbox, precision, filters) => {
+  const inBox = bbox ? spatial.bboxFilter(COLUMNS, bbox) : { clause: "", params: [] };
+  const [rows] = await connection.query(
+    `SELECT
+       LEFT(al.geohash, ?) as cell,
+       COUNT(*) as count,
+       AVG(al.latitude) as lat,
+       AVG(al.longitude) as lng,
+       SUM(al.highest_severity = 'High') as high,
+       SUM(al.highest_severity = 'Medium') as medium,
+       SUM(al.highest_severity = 'Low') as low,
+       SUM(al.status NOT IN ('verified', 'fixed')) as open_count,
+       SUM(al.total_potholes) as total_potholes,
+       SUM(al.total_patchy) as total_patchy,
+       MIN(al.id) as sample_id
+     FROM aggregated_locations al
+     WHERE 1=1${inBox.clause}${filters.clause}
+     GROUP BY cell`,
+    [precision, ...inBox.params, ...filters.params]
+  );
+
+  return rows.map(r => ({
+    cell: r.cell,
+    count: r.count,
+    lat: parseFloat(r.lat),
+    lng: parseFloat(r.lng),
+    severity: { high: Number(r.high), medium: Number(r.medium), low: Number(r.low) },
+    open: Number(r.open_count),
+    total_potholes: Number(r.total_potholes),
+    total_patchy: Number(r.total_patchy),
+    // A cell holding a single location can be opened directly
+    location_id: r.count === 1 ? r.sample_id : null
+  }));
+};
+
+/**
+ * Individual locations inside a bounding box (newest first), capped at limit.
+ * Returns { points, truncated }.
+ */
+exports.points = async (connection, bbox, filters, limit = config.maxPoints) => {
+  const inBox = bbox ? spatial.bboxFilter(COLUMNS, bbox) : { clause: "", params: [] };
+  const [rows] = await connection.query(
+    `SELECT
+      al.id,
+      al.location_type,
+      al.latitude as lat,
+      al.longitude as lng,
+      al.geometry,
+      al.length_m,
+      al.highest_severity as severity,
+      al.status,
+      al.total_potholes,
+      al.total_patchy,
+      al.last_reported_at as date,
+      COALESCE(al.ward, 'Unknown') as ward,
+      al.road_name,
+      al.road_class,
+      (SELECT COUNT(*) FROM attachments att WHERE att.aggregated_location_id = al.id) as photo_count
+     FROM aggregated_locations al
+     WHERE 1=1${inBox.clause}${filters.clause}
+     ORDER BY al.last_reported_at DESC
+     LIMIT ?`,
+    [...inBox.params, ...filters.params, limit + 1]
+  );
+
+  return { points: rows.slice(0, limit), truncated: rows.length > limit };
+};
+
+/**
+ * Clusters or points for a viewport, depending on zoom
+ */
+exports.viewport = async (connection, bbox, zoom, filters) => {
+  if (zoom >= config.pointZoom) {
+    const { points, truncated } = await exports.points(connection, bbox, filters);
+    return { zoom, mode: "points", points, truncated };
+  }
+
+  const precision = exports.precisionForZoom(zoom);
+  const clusters = await exports.clusters(connection, bbox, precision, filters);
+  return { zoom, mode: "clusters", precision, clusters, truncated: false };
+};
+
+exports.config = config;
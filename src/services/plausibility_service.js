@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const geo = require("../utils/geo");
+
+/**
+ * Plausibility checks for incoming reports.
+ *
+ * Reports that fail a check are stored but quarantined: their detections are
+ * kept out of aggregated_locations, corroboration and coverage until an
+ * admin approves them. Quota violations are rejected outright.
+ */
+
+const parseRegion = (value) => {
+  if (!value) return null;
+  const [minLat, minLng, maxLat, maxLng] = value.split(",").map(parseFloat);
+  if ([minLat, minLng, maxLat, maxLng].some(v => !Number.isFinite(v))) {
+    console.error("[PLAUSIBILITY] Ignoring invalid SERVICE_REGION_BBOX");
+    return null;
+  }
+  return { minLat, minLng, maxLat, maxLng };
+};
+
+const config = {
+  maxSpeedKmh: parseFloat(process.env.PLAUSIBILITY_MAX_SPEED_KMH) || 200,
+  // Allowed clock skew for timestamps ahead of the server
+  futureSkewMinutes: parseFloat(process.env.PLAUSIBILITY_FUTURE_SKEW_MIN) || 5,
+  // "minLat,minLng,maxLat,maxLng"; unset disables the region check
+  serviceRegion: parseRegion(process.env.SERVICE_REGION_BBOX),
+  quotaPerHour: parseInt(process.env.DEVICE_QUOTA_PER_HOUR) || 30,
+  quotaPerDay: parseInt(process.env.DEVICE_QUOTA_PER_DAY) || 200
+};
+
+// Position and time of every detection in a payload; time is NaN when the
+// detection has no usable timestamp
+const detectionPoints = (anomalies) => anomalies
+  .filter(a => a.type === "pothole" || a.type === "road_anomaly")
+  .map(a => {
+    const timestamp = a.type === "pothole" ? a.timestamp : a.start_timestamp;
+    return {
+      latitude: parseFloat(a.type === "pothole" ? a.latitude : (a.start_latitude || a.latitude)),
+      longitude: parseFloat(a.type === "pothole" ? a.longitude : (a.start_longitude || a.longitude)),
+      time: timestamp === undefined || timestamp === null || timestamp === "" ? NaN : new Date(timestamp).getTime()
+    };
+  });
+
+const outsideRegion = (region, lat, lng) =>
+  lat < region.minLat || lat > region.maxLat || lng < region.minLng || lng > region.maxLng;
+
+/**
+ * Content fingerprint of a payload's detections, independent of report_id
+ */
+exports.payloadHash = (anomalies) => {
+  const normalized = anomalies
+    .filter(a => a.type === "pothole" || a.type === "road_anomaly")
+    .map(a => [
+      a.type,
+      parseFloat(a.latitude ?? a.start_latitude).toFixed(6),
+      parseFloat(a.longitude ?? a.start_longitude).toFixed(6),
+      a.timestamp || a.start_timestamp || ""
+    ].join("|"))
+    .sort();
+  return crypto.createHash("sha256").update(normalized.join("\n")).digest("hex");
+};
+
+/**
+ * Per-device quota check. Returns a message when the device is over quota.
+ */
+exports.checkQuota = async (connection, deviceId) => {
+  const [counts] = await connection.query(
+    `SELECT
+       SUM(created_at >= NOW() - INTERVAL 1 HOUR) as last_hour,
+       COUNT(*) as last_day
+     FROM reports
+     WHERE device_id = ? AND created_at >= NOW() - INTERVAL 1 DAY`,
+    [deviceId]
+  );
+
+  if (Number(counts[0].last_hour) >= config.quotaPerHour) {
+    return `Device quota exceeded: ${config.quotaPerHour} reports per hour`;
+  }
+  if (Number(counts[0].last_day) >= config.quotaPerDay) {
+    return `Device quota exceeded: ${config.quotaPerDay} reports per day`;
+  }
+  return null;
+};
+
+/**
+ * Checks on a trip trace ([[lng, lat], ...]): region, future times and the
+ * average speed implied by its length and start/end times
+ */
+const traceReasons = (trace, points, futureLimit) => {
+  const reasons = [];
+  const region = config.serviceRegion;
+  if (region) {
+    const outside = points.filter(([lng, lat]) => outsideRegion(region, lat, lng)).length;
+    if (outside > 0) reasons.push(`${outside} trace point(s) outside the service region`);
+  }
+
+  const startedAt = trace.started_at ? new Date(trace.started_at).getTime() : NaN;
+  const endedAt = trace.ended_at ? new Date(trace.ended_at).getTime() : NaN;
+  if (startedAt > futureLimit || endedAt > futureLimit) {
+    reasons.push("trace times are in the future");
+  }
+  if (Number.isFinite(startedAt) && Number.isFinite(endedAt)) {
+    if (endedAt < startedAt) {
+      reasons.push("trace ends before it starts");
+    } else {
+      const hours = Math.max(endedAt - startedAt, 1000) / 3600000;
+      const speed = geo.polylineLengthMeters(points) / 1000 / hours;
+      if (speed > config.maxSpeedKmh) {
+        reasons.push(`Impossible average speed along the trace (${Math.round(speed)} km/h)`);
+      }
+    }
+  }
+  return reasons;
+};
+
+/**
+ * Run every plausibility check on a validated payload. tracePoints is the
+ * parsed trip trace, if one was sent.
+ * Returns { reasons, payloadHash }; an empty reasons list means the report is clear.
+ */
+exports.evaluate = async (connection, payload, tracePoints = null) => {
+  const { report_id, device_id, reported_at, anomalies } = payload;
+  const reasons = [];
+  const now = Date.now();
+  const futureLimit = now + config.futureSkewMinutes * 60 * 1000;
+  const allPoints = detectionPoints(anomalies);
+
+  // A detection without a time cannot be checked for speed or future dates
+  const untimed = allPoints.filter(p => !Number.isFinite(p.time)).length;
+  if (untimed > 0) {
+    reasons.push(`${untimed} detection(s) without a valid timestamp`);
+  }
+  const points = allPoints.filter(p => Number.isFinite(p.time)).sort((a, b) => a.time - b.time);
+
+  // Timestamps in the future
+  if (reported_at && new Date(reported_at).getTime() > futureLimit) {
+    reasons.push("reported_at is in the future");
+  }
+  const futureCount = points.filter(p => p.time > futureLimit).length;
+  if (futureCount > 0) {
+    reasons.push(`${futureCount} detection timestamp(s) in the future`);
+  }
+
+  // Coordinates outside the service region
+  const region = config.serviceRegion;
+  if (region) {
+    const outside = allPoints.filter(p => outsideRegion(region, p.latitude, p.longitude)).length;
+    if (outside > 0) reasons.push(`${outside} detection(s) outside the service region`);
+  }
+
+  if (tracePoints) {
+    reasons.push(...traceReasons(payload.trace, tracePoints, futureLimit));
+  }
+
+  // Impossible travel between consecutive detections, including the device's previous report
+  // (reports idx_device_created, then pothole_detections idx_report_timestamp)
+  const [previous] = await connection.query(
+    `SELECT pd.latitude, pd.longitude, pd.timestamp
+     FROM pothole_detections pd
+     JOIN reports r ON pd.report_id = r.id
+     WHERE r.device_id = ? AND r.report_id <> ?
+     ORDER BY pd.timestamp DESC
+     LIMIT 1`,
+    [device_id, report_id]
+  );
+  const track = [...points];
+  if (previous.length > 0 && points.length > 0) {
+    const last = {
+      latitude: parseFloat(previous[0].latitude),
+      longitude: parseFloat(previous[0].longitude),
+      time: new Date(previous[0].timestamp).getTime()
+    };
+    if (last.time <= points[0].time) track.unshift(last);
+  }
+
+  let fastest = 0;
+  for (let i = 1; i < track.length; i++) {
+    const km = geo.haversineKm(track[i - 1].latitude, track[i - 1].longitude, track[i].latitude, track[i].longitude);
+    // Timestamps have one-second resolution
+    const hours = Math.max(track[i].time - track[i - 1].time, 1000) / 3600000;
+    fastest = Math.max(fastest, km / hours);
+  }
+  if (fastest > config.maxSpeedKmh) {
+    reasons.push(`Impossible travel speed between detections (${Math.round(fastest)} km/h)`);
+  }
+
+  // Same detections replayed under a new report_id
+  let payloadHash = null;
+  if (allPoints.length > 0) {
+    payloadHash = exports.payloadHash(anomalies);
+    const [duplicates] = await connection.query(
+      "SELECT report_id FROM reports WHERE payload_hash = ? AND report_id <> ? LIMIT 1",
+      [payloadHash, report_id]
+    );
+    if (duplicates.length > 0) {
+      reasons.push(`Payload duplicates report ${duplicates[0].report_id}`);
+    }
+  }
+
+  return { reasons, payloadHash };
+};
+
+exports.config = config;
@@ -0,0 +1,334 @@
+const db = require("../config/db");
+const geo = require("../utils/geo");
+
+/**
+ * Repair priority.
+ *
+ * Each aggregated location gets a score from 0 to 100: the weighted sum of
+ * six factors, each scaled to [0, 1]:
+ *   severity    - highest severity seen
+ *   reporters   - distinct devices that reported it (saturates at reportersCap)
+ *   age         - days open since first report (saturates at ageCapDays)
+ *   road        - importance of the road class it was snapped to
+ *   sensitive   - closeness to a school, hospital or other sensitive site
+ *   recurrence  - warranty claims, i.e. repairs here that already failed
+ * The score and the per-factor breakdown are stored on the location so
+ * lists can be ordered in SQL; refresh() recomputes them.
+ */
+
+const weightFrom = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const config = {
+  weights: {
+    severity: weightFrom("PRIORITY_WEIGHT_SEVERITY", 0.3),
+    reporters: weightFrom("PRIORITY_WEIGHT_REPORTERS", 0.2),
+    age: weightFrom("PRIORITY_WEIGHT_AGE", 0.15),
+    road: weightFrom("PRIORITY_WEIGHT_ROAD", 0.15),
+    sensitive: weightFrom("PRIORITY_WEIGHT_SENSITIVE", 0.1),
+    recurrence: weightFrom("PRIORITY_WEIGHT_RECURRENCE", 0.1)
+  },
+  severity: { High: 1, Medium: 0.6, Low: 0.3 },
+  reportersCap: parseInt(process.env.PRIORITY_REPORTERS_CAP) || 5,
+  ageCapDays: parseInt(process.env.PRIORITY_AGE_CAP_DAYS) || 30,
+  // Road classes as imported from the road network (OSM highway values)
+  roadClass: {
+    motorway: 1,
+    trunk: 1,
+    primary: 0.9,
+    secondary: 0.75,
+    tertiary: 0.6,
+    residential: 0.4,
+    living_street: 0.35,
+    service: 0.3,
+    track: 0.2
+  },
+  unknownRoadClass: 0.5,
+  // Site categories and how much closeness to them counts
+  siteCategories: { hospital: 1, school: 1, clinic: 0.8, fire_station: 0.8, bus_stop: 0.5, other: 0.5 },
+  defaultSiteRadiusM: parseFloat(process.env.PRIORITY_SITE_RADIUS_M) || 200,
+  recurrenceCap: 2,
+  refreshIntervalMinutes: parseFloat(process.env.PRIORITY_REFRESH_MINUTES ?? 60),
+  defaultQueue: 50,
+  maxQueue: 500,
+  updateBatch: 500
+};
+
+const FACTOR_LABELS = {
+  severity: "Severity",
+  reporters: "Distinct reporters",
+  age: "Days open",
+  road: "Road class",
+  sensitive: "Near sensitive site",
+  recurrence: "Recurrence"
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Nearest sensitive site whose radius covers the point, with its factor
+ * value (closer and more sensitive scores higher), or null
+ */
+const nearestSite = (sites, lat, lng) => {
+  let best = null;
+  for (const site of sites) {
+    const distanceM = geo.haversineMeters(lat, lng, site.lat, site.lng);
+    if (distanceM > site.radiusM) continue;
+    const value = (1 - distanceM / site.radiusM) * (config.siteCategories[site.category] ?? config.siteCategories.other);
+    if (!best || value > best.value) best = { site, distanceM, value };
+  }
+  return best;
+};
+
+/**
+ * Score one location. Needs highest_severity, distinct_devices,
+ * first_reported_at, road_class, latitude/longitude, recurrences and, for
+ * closed locations, verified_at (age stops there).
+ * Returns { score, factors: [{ factor, label, value, normalized, weight, points, detail }] }
+ */
+exports.score = (location, sites = [], now = new Date()) => {
+  const weights = config.weights;
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+
+  const devices = Number(location.distinct_devices) || 0;
+  const openedAt = location.first_reported_at ? new Date(location.first_reported_at) : now;
+  const closedAt = location.status === "verified" && location.verified_at ? new Date(location.verified_at) : now;
+  const daysOpen = Math.max(0, (closedAt - openedAt) / (24 * 3600 * 1000));
+  const roadClass = location.road_class || null;
+  const site = nearestSite(sites, parseFloat(location.latitude), parseFloat(location.longitude));
+  const recurrences = Number(location.recurrences) || 0;
+
+  const raw = {
+    severity: {
+      value: location.highest_severity,
+      normalized: config.severity[location.highest_severity] ?? config.severity.Medium,
+      detail: `${location.highest_severity || "Unknown"} severity`
+    },
+    reporters: {
+      value: devices,
+      normalized: Math.min(1, Math.log2(1 + devices) / Math.log2(1 + config.reportersCap)),
+      detail: `${devices} distinct device(s)`
+    },
+    age: {
+      value: round(daysOpen, 1),
+      normalized: Math.min(1, daysOpen / config.ageCapDays),
+      detail: `Open ${Math.floor(daysOpen)} day(s)`
+    },
+    road: {
+      value: roadClass,
+      normalized: roadClass && config.roadClass[roadClass] !== undefined ? config.roadClass[roadClass] : config.unknownRoadClass,
+      detail: roadClass ? `${roadClass} road` : "Road class unknown"
+    },
+    sensitive: {
+      value: site ? { siteId: site.site.id, name: site.site.name, category: site.site.category, distanceM: Math.round(site.distanceM) } : null,
+      normalized: site ? site.value : 0,
+      detail: site ? `${Math.round(site.distanceM)} m from ${site.site.category} '${site.site.name}'` : "No sensitive site nearby"
+    },
+    recurrence: {
+      value: recurrences,
+      normalized: Math.min(1, recurrences / config.recurrenceCap),
+      detail: recurrences > 0 ? `Repair failed ${recurrences} time(s) under warranty` : "No failed repairs"
+    }
+  };
+
+  const factors = Object.entries(raw).map(([factor, f]) => {
+    const weight = weights[factor] / totalWeight;
+    return {
+      factor,
+      label: FACTOR_LABELS[factor],
+      value: f.value,
+      normalized: round(f.normalized),
+      weight: round(weight),
+      points: round(f.normalized * weight * 100, 2),
+      detail: f.detail
+    };
+  });
+
+  return {
+    score: round(factors.reduce((sum, f) => sum + f.points, 0), 2),
+    factors
+  };
+};
+
+/**
+ * Sensitive sites in the scoring shape
+ */
+const loadSites = async (connection) => {
+  const [rows] = await connection.query(
+    "SELECT id, name, category, latitude, longitude, radius_m FROM sensitive_sites"
+  );
+  return rows.map(r => ({
+    id: r.id,
+    name: r.name,
+    category: r.category,
+    lat: parseFloat(r.latitude),
+    lng: parseFloat(r.longitude),
+    radiusM: r.radius_m !== null ? parseFloat(r.radius_m) : config.defaultSiteRadiusM
+  }));
+};
+
+/**
+ * Recompute and store priority for locations.
+ * Pass an array of location ids, or nothing to refresh every location.
+ * Returns the number of locations scored.
+ */
+exports.refresh = async (connection, locationIds = null) => {
+  if (Array.isArray(locationIds) && locationIds.length === 0) return 0;
+
+  const scoped = Array.isArray(locationIds);
+  const [locations] = await connection.query(
+    `SELECT al.id, al.latitude, al.longitude, al.status, al.highest_severity, al.distinct_devices,
+            al.first_reported_at, al.verified_at, al.road_class,
+            (SELECT COUNT(*) FROM warranty_claims wc WHERE wc.aggregated_location_id = al.id) as recurrences
+     FROM aggregated_locations al
+     ${scoped ? "WHERE al.id IN (?)" : ""}`,
+    scoped ? [locationIds] : []
+  );
+  const sites = await loadSites(connection);
+  const now = new Date();
+
+  for (let i = 0; i < locations.length; i += config.updateBatch) {
+    const batch = locations.slice(i, i + config.updateBatch).map(location => ({
+      id: location.id,
+      ...exports.score(location, sites, now)
+    }));
+    await connection.query(
+      `UPDATE aggregated_locations
+       SET priority_score = CASE id ${batch.map(() => "WHEN ? THEN ?").join(" ")} END,
+           priority_factors = CASE id ${batch.map(() => "WHEN ? THEN ?").join(" ")} END,
+           priority_updated_at = NOW()
+       WHERE id IN (?)`,
+      [
+        ...batch.flatMap(b => [b.id, b.score]),
+        ...batch.flatMap(b => [b.id, JSON.stringify(b.factors)]),
+        batch.map(b => b.id)
+      ]
+    );
+  }
+
+  return locations.length;
+};
+
+/**
+ * Read { limit?, offset?, includeAssigned? } for the work queue; throws with status 400
+ */
+exports.parseQueueOptions = (query = {}) => {
+  const limit = query.limit === undefined ? config.defaultQueue : parseInt(query.limit);
+  if (!(limit >= 1 && limit <= config.maxQueue)) {
+    throw badRequest(`limit must be between 1 and ${config.maxQueue}`);
+  }
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset);
+  if (!(offset >= 0)) throw badRequest("offset must be a non-negative integer");
+
+  return { limit, offset, includeAssigned: query.includeAssigned === "true" };
+};
+
+/**
+ * Open locations by descending priority. Unassigned ('pending') only, unless
+ * includeAssigned. filter is a { clause, params } on alias al (ward, confidence).
+ */
+exports.queue = async (connection, { limit = config.defaultQueue, offset = 0, includeAssigned = false } = {},
+  filter = { clause: "", params: [] }) => {
+  const statuses = includeAssigned ? ["pending", "assigned", "in_progress"] : ["pending"];
+  const [rows] = await connection.query(
+    `SELECT al.id, al.location_type, al.latitude, al.longitude, al.status, al.highest_severity,
+            al.distinct_devices, al.confidence_level, al.report_count, al.road_name, al.road_class,
+            al.ward, al.first_reported_at, al.priority_score, al.priority_factors, al.priority_updated_at
+     FROM aggregated_locations al
+     WHERE al.status IN (?)${filter.clause}
+     ORDER BY al.priority_score DESC, FIELD(al.highest_severity, 'High', 'Medium', 'Low'), al.first_reported_at
+     LIMIT ? OFFSET ?`,
+    [statuses, ...filter.params, limit, offset]
+  );
+
+  return rows.map((r, index) => ({
+    rank: offset + index + 1,
+    locationId: r.id,
+    locationType: r.location_type,
+    latitude: parseFloat(r.latitude),
+    longitude: parseFloat(r.longitude),
+    status: r.status,
+    severity: r.highest_severity,
+    confidence: r.confidence_level,
+    reportCount: r.report_count,
+    roadName: r.road_name,
+    roadClass: r.road_class,
+    ward: r.ward,
+    firstReportedAt: r.first_reported_at,
+    priority: exports.fromRow(r)
+  }));
+};
+
+/**
+ * { score, factors, updatedAt } from a row carrying the stored priority columns
+ */
+exports.fromRow = (row) => ({
+  score: row.priority_score !== null && row.priority_score !== undefined ? parseFloat(row.priority_score) : null,
+  factors: typeof row.priority_factors === "string" ? JSON.parse(row.priority_factors) : row.priority_factors || [],
+  updatedAt: row.priority_updated_at || null
+});
+
+/**
+ * The model in force, for display next to the queue
+ */
+exports.model = () => ({
+  weights: config.weights,
+  severity: config.severity,
+  reportersCap: config.reportersCap,
+  ageCapDays: config.ageCapDays,
+  roadClass: config.roadClass,
+  unknownRoadClass: config.unknownRoadClass,
+  siteCategories: config.siteCategories,
+  defaultSiteRadiusM: config.defaultSiteRadiusM,
+  recurrenceCap: config.recurrenceCap,
+  refreshIntervalMinutes: config.refreshIntervalMinutes
+});
+
+/**
+ * Validate a sensitive site from a request body; throws with status 400
+ */
+exports.parseSite = (body = {}) => {
+  const latitude = parseFloat(body.latitude);
+  const longitude = parseFloat(body.longitude);
+  if (!body.name || typeof body.name !== "string") throw badRequest("name is required");
+  if (!Object.keys(config.siteCategories).includes(body.category)) {
+    throw badRequest(`category must be one of: ${Object.keys(config.siteCategories).join(", ")}`);
+  }
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw badRequest("latitude and longitude are required");
+  }
+  const radiusM = body.radiusM !== undefined ? parseFloat(body.radiusM) : null;
+  if (radiusM !== null && !(radiusM > 0)) throw badRequest("radiusM must be a positive number");
+
+  return { name: body.name.trim(), category: body.category, latitude, longitude, radiusM };
+};
+
+/**
+ * Run refresh() for every location every config.refreshIntervalMinutes, so
+ * days open keeps counting without new reports
+ */
+exports.startScheduler = () => {
+  if (!(config.refreshIntervalMinutes > 0)) return null;
+
+  const runRefresh = async () => {
+    try {
+      await exports.refresh(db.promise());
+    } catch (err) {
+      console.error("[Priority] Refresh failed:", err.message);
+    }
+  };
+
+  const timer = setInterval(runRefresh, config.refreshIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+exports.config = config;
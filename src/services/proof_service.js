@@ -0,0 +1,272 @@
+const geo = require("../utils/geo");
+const attachmentService = require("./attachment_service");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+/**
+ * Contractor proof of work.
+ *
+ * A job is completed by submitting a package: before and after photos
+ * uploaded against the assignment, the GPS position and time where the crew
+ * finished, the materials used and the repaired area. The package is
+ * refused when photos are missing, an after photo has no GPS position, the
+ * position is too far from the site or the timestamp is implausible. Admins
+ * review the package before they verify or reject the work.
+ */
+
+const config = {
+  // Submission GPS must be this close to the location (or segment line)
+  maxDistanceM: parseFloat(process.env.PROOF_MAX_DISTANCE_M) || 50,
+  // After photos must carry EXIF GPS within this distance
+  maxPhotoDistanceM: parseFloat(process.env.PROOF_MAX_PHOTO_DISTANCE_M) || 100,
+  // capturedAt may be at most this old when submitted
+  maxAgeHours: parseFloat(process.env.PROOF_MAX_AGE_HOURS) || 24,
+  clockSkewMinutes: 10,
+  minBeforePhotos: parseInt(process.env.PROOF_MIN_BEFORE_PHOTOS) || 1,
+  minAfterPhotos: parseInt(process.env.PROOF_MIN_AFTER_PHOTOS) || 1,
+  maxMaterials: 50
+};
+
+const PHOTO_CATEGORIES = { before: "work_before", after: "work_after" };
+
+const badRequest = (message, reasons) => {
+  const error = new Error(message);
+  error.status = 400;
+  if (reasons) error.reasons = reasons;
+  return error;
+};
+
+/**
+ * Attachment category for a photo stage ("before" / "after"); throws with status 400
+ */
+exports.photoCategory = (stage) => {
+  const category = PHOTO_CATEGORIES[stage];
+  if (!category) throw badRequest("stage must be 'before' or 'after'");
+  return category;
+};
+
+/**
+ * Metres from a point to the location: its line for segments, else its centre
+ */
+exports.distanceToSite = (location, lat, lng) => {
+  const geometry = typeof location.geometry === "string" ? JSON.parse(location.geometry) : location.geometry;
+  if (location.location_type === "segment" && Array.isArray(geometry) && geometry.length >= 2) {
+    return geo.pointToPolylineMeters([lng, lat], geometry);
+  }
+  return geo.haversineMeters(lat, lng, parseFloat(location.latitude), parseFloat(location.longitude));
+};
+
+/**
+ * Validate the body of a completion submission; throws with status 400
+ */
+exports.parseSubmission = (body = {}) => {
+  const reasons = [];
+  const latitude = parseFloat(body.latitude);
+  const longitude = parseFloat(body.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    reasons.push("latitude and longitude of the finished repair are required");
+  }
+
+  const capturedAt = body.capturedAt ? new Date(body.capturedAt) : null;
+  if (!capturedAt || isNaN(capturedAt.getTime())) reasons.push("capturedAt must be a valid timestamp");
+
+  const materials = body.materials;
+  if (!Array.isArray(materials) || materials.length === 0) {
+    reasons.push("materials must list at least one item");
+  } else if (materials.length > config.maxMaterials) {
+    reasons.push(`At most ${config.maxMaterials} materials`);
+  } else if (!materials.every(m => m && typeof m.name === "string" && m.name.trim() && parseFloat(m.quantity) > 0)) {
+    reasons.push("every material needs a name and a positive quantity");
+  }
+
+  const repairedAreaM2 = parseFloat(body.repairedAreaM2);
+  if (!(repairedAreaM2 > 0)) reasons.push("repairedAreaM2 must be a positive number");
+
+  const accuracyM = body.accuracyM !== undefined ? parseFloat(body.accuracyM) : null;
+
+  if (reasons.length > 0) throw badRequest(reasons[0], reasons);
+
+  return {
+    latitude,
+    longitude,
+    accuracyM: Number.isFinite(accuracyM) ? accuracyM : null,
+    capturedAt,
+    materials: materials.map(m => ({
+      name: m.name.trim(),
+      quantity: parseFloat(m.quantity),
+      unit: m.unit ? String(m.unit) : null
+    })),
+    repairedAreaM2,
+    notes: body.notes || null
+  };
+};
+
+/**
+ * Photos uploaded for an assignment by stage. After photos count only when
+ * taken after the last rejected submission, so rework needs fresh evidence.
+ */
+const loadPhotos = async (connection, assignmentId) => {
+  const [rejected] = await connection.query(
+    `SELECT MAX(reviewed_at) as last_rejected FROM work_completions
+     WHERE assignment_id = ? AND status = 'rejected'`,
+    [assignmentId]
+  );
+  const since = rejected[0].last_rejected;
+
+  const [photos] = await connection.query(
+    `SELECT * FROM attachments
+     WHERE assignment_id = ? AND category IN (?)
+     ORDER BY created_at`,
+    [assignmentId, Object.values(PHOTO_CATEGORIES)]
+  );
+
+  return {
+    before: photos.filter(p => p.category === PHOTO_CATEGORIES.before),
+    after: photos.filter(p => p.category === PHOTO_CATEGORIES.after && (!since || p.created_at > since))
+  };
+};
+
+/**
+ * Check a submission against the job and its photos, then store it.
+ * Throws with status 400 and a list of reasons when the evidence falls short.
+ * Returns the new work_completions id.
+ */
+exports.submit = async (connection, assignment, location, submission, userId) => {
+  const reasons = [];
+
+  const distanceM = exports.distanceToSite(location, submission.latitude, submission.longitude);
+  if (distanceM > config.maxDistanceM) {
+    reasons.push(`Submitted position is ${Math.round(distanceM)} m from the site (limit ${config.maxDistanceM} m)`);
+  }
+
+  const now = Date.now();
+  const captured = submission.capturedAt.getTime();
+  if (captured > now + config.clockSkewMinutes * 60 * 1000) {
+    reasons.push("capturedAt is in the future");
+  } else if (captured < now - config.maxAgeHours * 3600 * 1000) {
+    reasons.push(`capturedAt is more than ${config.maxAgeHours} hours old`);
+  }
+  if (captured < new Date(assignment.assigned_at).getTime()) {
+    reasons.push("capturedAt is before the job was assigned");
+  }
+
+  const photos = await loadPhotos(connection, assignment.id);
+  if (photos.before.length < config.minBeforePhotos) {
+    reasons.push(`At least ${config.minBeforePhotos} before photo(s) required`);
+  }
+  if (photos.after.length < config.minAfterPhotos) {
+    reasons.push(`At least ${config.minAfterPhotos} after photo(s) required`);
+  }
+  for (const photo of photos.after) {
+    if (photo.exif_latitude === null || photo.exif_longitude === null) {
+      reasons.push(`After photo ${photo.id} has no GPS position`);
+      continue;
+    }
+    const photoDistance = exports.distanceToSite(location, parseFloat(photo.exif_latitude), parseFloat(photo.exif_longitude));
+    if (photoDistance > config.maxPhotoDistanceM) {
+      reasons.push(`After photo ${photo.id} was taken ${Math.round(photoDistance)} m from the site`);
+    }
+    if (photo.exif_taken_at && new Date(photo.exif_taken_at) < new Date(assignment.assigned_at)) {
+      reasons.push(`After photo ${photo.id} was taken before the job was assigned`);
+    }
+  }
+
+  if (reasons.length > 0) throw badRequest(reasons[0], reasons);
+
+  const [result] = await connection.query(
+    `INSERT INTO work_completions
+     (assignment_id, submitted_by, latitude, longitude, accuracy_m, captured_at, distance_m,
+      materials, repaired_area_m2, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      assignment.id,
+      userId,
+      submission.latitude,
+      submission.longitude,
+      submission.accuracyM,
+      toMySQLDatetime(submission.capturedAt.toISOString()),
+      Math.round(distanceM * 100) / 100,
+      JSON.stringify(submission.materials),
+      submission.repairedAreaM2,
+      submission.notes
+    ]
+  );
+  return result.insertId;
+};
+
+/**
+ * The submitted (not yet reviewed) package of an assignment, if any
+ */
+exports.pendingSubmission = async (connection, assignmentId) => {
+  const [rows] = await connection.query(
+    `SELECT id FROM work_completions
+     WHERE assignment_id = ? AND status = 'submitted'
+     ORDER BY id DESC LIMIT 1`,
+    [assignmentId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Mark the pending package accepted or rejected when the work is reviewed
+ */
+exports.settle = async (connection, assignmentId, outcome, reviewerId, notes) => {
+  await connection.query(
+    `UPDATE work_completions
+     SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+     WHERE assignment_id = ? AND status = 'submitted'`,
+    [outcome, reviewerId || null, notes || null, assignmentId]
+  );
+};
+
+/**
+ * Completion package for review: the latest submission of the location's
+ * current assignment with its photos and distance checks, or null
+ */
+exports.packageForLocation = async (connection, locationId) => {
+  const [rows] = await connection.query(
+    `SELECT wc.*, wa.aggregated_location_id, wa.contractor_id, wa.status as assignment_status,
+            c.company_name as contractor_name
+     FROM work_completions wc
+     JOIN work_assignments wa ON wc.assignment_id = wa.id
+     LEFT JOIN contractors c ON wa.contractor_id = c.id
+     WHERE wa.aggregated_location_id = ?
+     ORDER BY wc.id DESC
+     LIMIT 1`,
+    [locationId]
+  );
+  if (rows.length === 0) return null;
+
+  const completion = rows[0];
+  const photos = await loadPhotos(connection, completion.assignment_id);
+  const materials = typeof completion.materials === "string" ? JSON.parse(completion.materials) : completion.materials;
+
+  return {
+    id: completion.id,
+    assignmentId: completion.assignment_id,
+    assignmentStatus: completion.assignment_status,
+    contractorId: completion.contractor_id,
+    contractorName: completion.contractor_name,
+    status: completion.status,
+    submittedAt: completion.created_at,
+    capturedAt: completion.captured_at,
+    position: {
+      latitude: parseFloat(completion.latitude),
+      longitude: parseFloat(completion.longitude),
+      accuracyM: completion.accuracy_m !== null ? parseFloat(completion.accuracy_m) : null,
+      distanceFromSiteM: parseFloat(completion.distance_m),
+      limitM: config.maxDistanceM
+    },
+    materials,
+    repairedAreaM2: parseFloat(completion.repaired_area_m2),
+    notes: completion.notes,
+    review: completion.reviewed_at
+      ? { reviewedBy: completion.reviewed_by, reviewedAt: completion.reviewed_at, notes: completion.review_notes }
+      : null,
+    photos: {
+      before: photos.before.map(attachmentService.toResponse),
+      after: photos.after.map(attachmentService.toResponse)
+    }
+  };
+};
+
+exports.config = config;
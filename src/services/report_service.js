@@ -0,0 +1,341 @@
+const clustering = require("./clustering_service");
+const segments = require("./segment_service");
+const severityService = require("./severity_service");
+const corroboration = require("./corroboration_service");
+const traceService = require("./trace_service");
+const plausibility = require("./plausibility_service");
+const events = require("./event_service");
+const workflow = require("./workflow_service");
+const warranty = require("./warranty_service");
+const priority = require("./priority_service");
+const geo = require("../utils/geo");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+const isValidDate = (value) => value === undefined || value === null || !isNaN(new Date(value).getTime());
+const isCoordinate = (value, limit) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && Math.abs(n) <= limit;
+};
+
+// Numeric pothole fields and the range their columns can hold
+// (z_axis_acceleration DECIMAL(6, 3), speed_kmh DECIMAL(5, 2))
+const NUMERIC_RANGES = {
+  z_axis_acceleration: { min: -999.999, max: 999.999 },
+  speed_kmh: { min: 0, max: 999.99 }
+};
+
+/**
+ * Validate a report payload from the mobile app
+ * Returns a list of human readable problems (empty when valid)
+ */
+exports.validateReport = (payload) => {
+  const { report_id, device_id, reported_at, anomalies } = payload || {};
+
+  if (!report_id || !device_id || !anomalies) {
+    return ["Missing required fields: report_id, device_id, anomalies"];
+  }
+
+  const reasons = [];
+  if (!Array.isArray(anomalies)) {
+    reasons.push("anomalies must be an array");
+    return reasons;
+  }
+  if (!isValidDate(reported_at)) {
+    reasons.push("reported_at is not a valid date");
+  }
+  try {
+    traceService.parseTrace(payload.trace);
+  } catch (error) {
+    reasons.push(error.message);
+  }
+
+  anomalies.forEach((a, i) => {
+    if (a === null || typeof a !== "object" || Array.isArray(a)) {
+      reasons.push(`anomalies[${i}]: must be an object`);
+    } else if (a.type === "pothole") {
+      if (!isCoordinate(a.latitude, 90) || !isCoordinate(a.longitude, 180)) {
+        reasons.push(`anomalies[${i}]: invalid latitude/longitude`);
+      }
+      if (!isValidDate(a.timestamp)) reasons.push(`anomalies[${i}]: invalid timestamp`);
+      Object.entries(NUMERIC_RANGES).forEach(([field, { min, max }]) => {
+        if (a[field] === undefined || a[field] === null) return;
+        const value = parseFloat(a[field]);
+        if (!Number.isFinite(value)) {
+          reasons.push(`anomalies[${i}]: ${field} must be numeric`);
+        } else if (value < min || value > max) {
+          reasons.push(`anomalies[${i}]: ${field} must be between ${min} and ${max}`);
+        }
+      });
+    } else if (a.type === "road_anomaly") {
+      const lat = a.start_latitude || a.latitude;
+      const lng = a.start_longitude || a.longitude;
+      if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) {
+        reasons.push(`anomalies[${i}]: invalid start latitude/longitude`);
+      }
+      const hasEnd = a.end_latitude !== undefined && a.end_latitude !== null;
+      if (hasEnd && (!isCoordinate(a.end_latitude, 90) || !isCoordinate(a.end_longitude, 180))) {
+        reasons.push(`anomalies[${i}]: invalid end latitude/longitude`);
+      }
+      if (!isValidDate(a.start_timestamp) || !isValidDate(a.end_timestamp)) {
+        reasons.push(`anomalies[${i}]: invalid start/end timestamp`);
+      }
+    }
+  });
+
+  return reasons;
+};
+
+/**
+ * True when an insert failed because the report_id was already submitted,
+ * as opposed to any other unique key colliding during ingest
+ */
+exports.isDuplicateReport = (error) =>
+  error.code === "ER_DUP_ENTRY" && /for key '(reports\.)?report_id'/.test(error.sqlMessage || error.message || "");
+
+// Actor for status changes the server makes on its own
+const SYSTEM_ACTOR = { id: null, role: "system" };
+
+/**
+ * Reopen verified locations among locationIds whose repair failed within the
+ * warranty window, with a rework job for the original contractor and a claim.
+ * Returns the number of locations reopened.
+ */
+const reopenRecurrences = async (connection, locationIds) => {
+  const recurrences = await warranty.findRecurrences(connection, locationIds);
+  for (const recurrence of recurrences) {
+    const result = await workflow.transition(connection, "reopen", {
+      locationId: recurrence.locationId,
+      actor: SYSTEM_ACTOR,
+      fields: {
+        contractor_id: recurrence.contractorId,
+        due_date: warranty.reworkDueDate(),
+        notes: `Warranty rework of assignment ${recurrence.assignmentId}`,
+        warranty_of: recurrence.assignmentId
+      },
+      reason: warranty.describe(recurrence)
+    });
+    await warranty.openClaim(connection, recurrence, result.assignmentId);
+  }
+  return recurrences.length;
+};
+
+const quotaError = (message) => {
+  const error = new Error(message);
+  error.code = "QUOTA_EXCEEDED";
+  error.status = 429;
+  return error;
+};
+
+/**
+ * Cluster a stored report's detections into aggregated locations and link them.
+ * Used at ingest for clear reports and when an admin approves a quarantined one.
+ * Verified locations whose repair recurs under warranty are reopened.
+ * Returns the ids of the aggregated locations touched.
+ */
+exports.linkReportDetections = async (connection, dbReportId) => {
+  const touchedLocations = new Set();
+
+  const [potholes] = await connection.query(
+    "SELECT id, latitude, longitude, severity FROM pothole_detections WHERE report_id = ? AND aggregated_location_id IS NULL",
+    [dbReportId]
+  );
+  const [anomalies] = await connection.query(
+    `SELECT id, start_latitude, start_longitude, end_latitude, end_longitude, severity
+     FROM road_anomalies WHERE report_id = ? AND aggregated_location_id IS NULL`,
+    [dbReportId]
+  );
+
+  // Take every cell lock the report needs up front, in one sorted batch
+  await clustering.lockCells(connection, [
+    ...potholes,
+    ...anomalies.filter(a => !segments.isSegment(a)).map(a => ({ latitude: a.start_latitude, longitude: a.start_longitude }))
+  ]);
+
+  for (const pothole of potholes) {
+    const aggregatedLocationId = await clustering.addDetection(connection, pothole, "pothole");
+    touchedLocations.add(aggregatedLocationId);
+    await connection.query(
+      "UPDATE pothole_detections SET aggregated_location_id = ? WHERE id = ?",
+      [aggregatedLocationId, pothole.id]
+    );
+  }
+
+  for (const patchy of anomalies) {
+    // Stretches with an end point become road segments; the rest stay point clusters
+    const aggregatedLocationId = segments.isSegment(patchy)
+      ? await segments.addSegment(connection, patchy)
+      : await clustering.addDetection(connection, {
+        latitude: patchy.start_latitude,
+        longitude: patchy.start_longitude,
+        severity: patchy.severity
+      }, "patchy");
+    touchedLocations.add(aggregatedLocationId);
+    await connection.query(
+      "UPDATE road_anomalies SET aggregated_location_id = ? WHERE id = ?",
+      [aggregatedLocationId, patchy.id]
+    );
+  }
+
+  await corroboration.refresh(connection, [...touchedLocations]);
+  await reopenRecurrences(connection, [...touchedLocations]);
+  await priority.refresh(connection, [...touchedLocations]);
+
+  return [...touchedLocations];
+};
+
+/**
+ * Store one validated report with its detections and update clusters.
+ * Runs on the caller's connection; the caller owns the transaction.
+ * Throws ER_DUP_ENTRY when the report_id was already submitted and
+ * QUOTA_EXCEEDED when the device is over its submission quota.
+ * Reports failing plausibility checks are stored quarantined and not clustered.
+ */
+exports.ingestReport = async (connection, payload, authUserId = null) => {
+  const { report_id, device_id, reported_at, anomalies, trace } = payload;
+  const tracePoints = traceService.parseTrace(trace);
+
+  const quotaMessage = await plausibility.checkQuota(connection, device_id);
+  if (quotaMessage) throw quotaError(quotaMessage);
+
+  const { reasons: suspicions, payloadHash } = await plausibility.evaluate(connection, payload, tracePoints);
+  const reviewStatus = suspicions.length > 0 ? "quarantined" : "clear";
+
+  // Get user_id from device_id if available
+  let userId = authUserId;
+  if (!userId) {
+    const [users] = await connection.query(
+      "SELECT id FROM users WHERE device_id = ?",
+      [device_id]
+    );
+    if (users.length > 0) userId = users[0].id;
+  }
+
+  // Calculate totals
+  const potholes = anomalies.filter(a => a.type === "pothole");
+  const patchyRoads = anomalies.filter(a => a.type === "road_anomaly");
+
+  // Calculate health score (100 - penalties). With a trace the penalty is
+  // per km driven, so a long clean trip is not scored like a short bad one.
+  const penalty = (potholes.length * 15) + (patchyRoads.length * 5);
+  const distanceKm = tracePoints ? geo.polylineLengthMeters(tracePoints) / 1000 : null;
+  const healthScore = Math.max(0, 100 - (distanceKm ? penalty / Math.max(distanceKm, 1) : penalty));
+
+  // Insert main report
+  const [reportResult] = await connection.query(
+    `INSERT INTO reports (report_id, user_id, device_id, reported_at, total_potholes, total_patchy_roads, health_score, distance_km,
+                          status, review_status, review_reasons, payload_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)`,
+    [
+      report_id,
+      userId,
+      device_id,
+      toMySQLDatetime(reported_at),
+      potholes.length,
+      patchyRoads.length,
+      Math.round(healthScore * 100) / 100,
+      distanceKm !== null ? Math.round(distanceKm * 1000) / 1000 : null,
+      reviewStatus,
+      suspicions.length > 0 ? JSON.stringify(suspicions) : null,
+      payloadHash
+    ]
+  );
+
+  const dbReportId = reportResult.insertId;
+
+  // Insert pothole detections
+  for (const pothole of potholes) {
+    const scored = severityService.resolveSeverity(pothole);
+
+    await connection.query(
+      `INSERT INTO pothole_detections 
+       (report_id, location_id, latitude, longitude, severity, device_severity, computed_severity,
+        severity_confidence, z_axis_acceleration, speed_kmh, road_type, timestamp, synced)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE)`,
+      [
+        dbReportId,
+        pothole.location_id,
+        pothole.latitude,
+        pothole.longitude,
+        scored.severity,
+        scored.deviceSeverity,
+        scored.computedSeverity,
+        scored.confidence,
+        pothole.z_axis_acceleration ?? null,
+        pothole.speed_kmh ?? null,
+        pothole.road_type || null,
+        toMySQLDatetime(pothole.timestamp)
+      ]
+    );
+  }
+
+  // Insert road anomalies (patchy roads)
+  for (const patchy of patchyRoads) {
+    await connection.query(
+      `INSERT INTO road_anomalies 
+       (report_id, location_id, start_latitude, start_longitude, end_latitude, end_longitude, severity, start_timestamp, end_timestamp, duration_seconds)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        dbReportId,
+        patchy.location_id,
+        patchy.start_latitude || patchy.latitude,
+        patchy.start_longitude || patchy.longitude,
+        patchy.end_latitude,
+        patchy.end_longitude,
+        patchy.severity || "Medium",
+        toMySQLDatetime(patchy.start_timestamp),
+        toMySQLDatetime(patchy.end_timestamp),
+        patchy.duration_seconds
+      ]
+    );
+  }
+
+  // Quarantined reports stay out of the aggregates until reviewed
+  const touchedLocations = reviewStatus === "clear"
+    ? await exports.linkReportDetections(connection, dbReportId)
+    : [];
+
+  let coverage = null;
+  if (tracePoints) {
+    coverage = await traceService.recordTrace(connection, {
+      reportDbId: dbReportId,
+      deviceId: device_id,
+      startedAt: trace.started_at,
+      endedAt: trace.ended_at || reported_at
+    }, tracePoints, touchedLocations, { applyCoverage: reviewStatus === "clear" });
+  }
+
+  return {
+    reportId: report_id,
+    dbId: dbReportId,
+    totalPotholes: potholes.length,
+    totalPatchy: patchyRoads.length,
+    healthScore: Math.round(healthScore * 100) / 100,
+    coverage,
+    status: "pending",
+    reviewStatus
+  };
+};
+
+/**
+ * Release a quarantined report into the aggregates after admin approval
+ */
+exports.approveQuarantined = async (connection, dbReportId, reviewerId, reason = null) => {
+  const touchedLocations = await exports.linkReportDetections(connection, dbReportId);
+  const coverage = await traceService.applyStoredTraces(connection, dbReportId, touchedLocations);
+
+  await connection.query(
+    "UPDATE reports SET review_status = 'approved', reviewed_by = ?, reviewed_at = NOW() WHERE id = ?",
+    [reviewerId, dbReportId]
+  );
+  await events.record(connection, {
+    entityType: "report",
+    entityId: dbReportId,
+    field: "review_status",
+    from: "quarantined",
+    to: "approved",
+    actor: { id: reviewerId, role: "admin" },
+    reason
+  });
+
+  return { locationsUpdated: touchedLocations.length, coverage };
+};
@@ -0,0 +1,235 @@
+const geo = require("../utils/geo");
+
+/**
+ * Offline road-name resolution.
+ *
+ * A local road network extract (e.g. OSM-derived GeoJSON lines) is imported
+ * into road_network. Each aggregated location is snapped to the nearest road
+ * line within config.maxSnapM, which supplies its road_name and road_class
+ * without calling any external geocoder.
+ */
+
+const parseList = (value, fallback) => (value || fallback).split(",").map(v => v.trim()).filter(Boolean);
+
+const config = {
+  maxSnapM: parseFloat(process.env.ROAD_SNAP_MAX_M) || 30,
+  // Road classes never used for snapping (potholes are not reported on footpaths)
+  ignoredClasses: parseList(process.env.ROAD_SNAP_IGNORE_CLASSES, "footway,path,cycleway,steps,bridleway,pedestrian"),
+  insertBatch: 500
+};
+
+const NAME_PROPERTIES = ["name", "NAME", "road_name", "ref"];
+const CLASS_PROPERTIES = ["highway", "road_class", "class", "fclass", "type"];
+const ID_PROPERTIES = ["osm_id", "@id", "id"];
+
+// Placeholder names written by older migrations
+const PLACEHOLDER_PATTERN = "Road at %";
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const pick = (properties, preferred, fallbacks) => {
+  for (const key of preferred ? [preferred] : fallbacks) {
+    const value = properties[key];
+    if (value !== undefined && value !== null && String(value).trim() !== "") return String(value).trim();
+  }
+  return null;
+};
+
+const linesOf = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type === "LineString") return [geometry.coordinates];
+  if (geometry.type === "MultiLineString") return geometry.coordinates;
+  return null;
+};
+
+const bboxOf = (line) => ({
+  minLat: Math.min(...line.map(p => p[1])),
+  maxLat: Math.max(...line.map(p => p[1])),
+  minLng: Math.min(...line.map(p => p[0])),
+  maxLng: Math.max(...line.map(p => p[0]))
+});
+
+/**
+ * Parse a GeoJSON FeatureCollection of road lines into one entry per line.
+ * Features that are not lines (e.g. POIs in a raw extract) are skipped.
+ */
+exports.parseNetwork = (geojson, { nameProperty, classProperty } = {}) => {
+  if (!geojson || geojson.type !== "FeatureCollection" || !Array.isArray(geojson.features)) {
+    throw badRequest("Expected a GeoJSON FeatureCollection");
+  }
+
+  const roads = [];
+  let skipped = 0;
+  for (const feature of geojson.features) {
+    const lines = linesOf(feature.geometry);
+    const properties = feature.properties || {};
+    const roadClass = pick(properties, classProperty, CLASS_PROPERTIES);
+
+    if (!lines || (roadClass && config.ignoredClasses.includes(roadClass))) {
+      skipped++;
+      continue;
+    }
+
+    for (const line of lines) {
+      const valid = Array.isArray(line) && line.length >= 2 &&
+        line.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+      if (!valid) {
+        skipped++;
+        continue;
+      }
+      roads.push({
+        sourceId: pick(properties, null, ID_PROPERTIES) ?? (feature.id !== undefined ? String(feature.id) : null),
+        name: pick(properties, nameProperty, NAME_PROPERTIES),
+        roadClass,
+        line: line.map(([lng, lat]) => [lng, lat])
+      });
+    }
+  }
+
+  if (roads.length === 0) throw badRequest("FeatureCollection contains no road lines");
+  return { roads, skipped };
+};
+
+/**
+ * Store parsed road lines. With replace, the existing network is dropped
+ * first and every location's snap is cleared.
+ */
+exports.importNetwork = async (connection, roads, { replace = false } = {}) => {
+  if (replace) {
+    await connection.query(
+      "UPDATE aggregated_locations SET road_network_id = NULL, road_distance_m = NULL WHERE road_network_id IS NOT NULL"
+    );
+    await connection.query("DELETE FROM road_network");
+  }
+
+  for (let i = 0; i < roads.length; i += config.insertBatch) {
+    const batch = roads.slice(i, i + config.insertBatch);
+    await connection.query(
+      `INSERT INTO road_network
+       (source_id, name, road_class, geometry, length_m, bbox_min_lat, bbox_max_lat, bbox_min_lng, bbox_max_lng)
+       VALUES ?`,
+      [batch.map(road => {
+        const bbox = bboxOf(road.line);
+        return [
+          road.sourceId, road.name, road.roadClass, JSON.stringify(road.line),
+          Math.round(geo.polylineLengthMeters(road.line) * 100) / 100,
+          bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng
+        ];
+      })]
+    );
+  }
+  return { imported: roads.length };
+};
+
+/**
+ * Nearest road line within maxSnapM of a point.
+ * Returns { id, name, roadClass, distanceM } or null.
+ */
+exports.nearestRoad = async (connection, lat, lng, maxSnapM = config.maxSnapM) => {
+  const box = geo.boundingBox(lat, lng, maxSnapM / 1000);
+  const [candidates] = await connection.query(
+    `SELECT id, name, road_class, geometry FROM road_network
+     WHERE bbox_min_lat <= ? AND bbox_max_lat >= ? AND bbox_min_lng <= ? AND bbox_max_lng >= ?`,
+    [box.maxLat, box.minLat, box.maxLng, box.minLng]
+  );
+
+  let nearest = null;
+  for (const road of candidates) {
+    const line = typeof road.geometry === "string" ? JSON.parse(road.geometry) : road.geometry;
+    const distanceM = geo.pointToPolylineMeters([lng, lat], line);
+    if (distanceM > maxSnapM) continue;
+    // Prefer a named road over an unnamed one at almost the same distance
+    const score = distanceM + (road.name ? 0 : 5);
+    if (!nearest || score < nearest.score) {
+      nearest = { id: road.id, name: road.name, roadClass: road.road_class, distanceM, score };
+    }
+  }
+  if (!nearest) return null;
+
+  return {
+    id: nearest.id,
+    name: nearest.name,
+    roadClass: nearest.roadClass,
+    distanceM: Math.round(nearest.distanceM * 100) / 100
+  };
+};
+
+/**
+ * Snap one location to its nearest road and store the name and class.
+ * Leaves the row alone when no road is close enough.
+ */
+exports.snapLocation = async (connection, locationId, lat, lng) => {
+  const road = await exports.nearestRoad(connection, lat, lng);
+  if (!road) return null;
+  await connection.query(
+    `UPDATE aggregated_locations
+     SET road_network_id = ?, road_name = COALESCE(?, road_name), road_class = ?, road_distance_m = ?
+     WHERE id = ?`,
+    [road.id, road.name, road.roadClass, road.distanceM, locationId]
+  );
+  return road;
+};
+
+/**
+ * Backfill road names for existing locations. onlyMissing limits it to
+ * locations not yet snapped. Placeholder names left by older migrations are
+ * cleared wherever no named road replaced them.
+ */
+exports.snapAll = async (connection, { onlyMissing = false } = {}) => {
+  const [locations] = await connection.query(
+    `SELECT id, latitude, longitude FROM aggregated_locations
+     ${onlyMissing ? "WHERE road_network_id IS NULL" : ""}`
+  );
+
+  let snapped = 0;
+  for (const location of locations) {
+    const road = await exports.snapLocation(
+      connection, location.id, parseFloat(location.latitude), parseFloat(location.longitude)
+    );
+    if (road) snapped++;
+  }
+
+  const [cleared] = await connection.query(
+    "UPDATE aggregated_locations SET road_name = NULL WHERE road_name LIKE ?",
+    [PLACEHOLDER_PATTERN]
+  );
+
+  return {
+    checked: locations.length,
+    snapped,
+    unmatched: locations.length - snapped,
+    placeholdersCleared: cleared.affectedRows
+  };
+};
+
+/**
+ * Road network size by class, and how many locations are snapped
+ */
+exports.summary = async (connection) => {
+  const [classes] = await connection.query(
+    `SELECT COALESCE(road_class, 'unclassified') as road_class, COUNT(*) as road_count,
+            ROUND(SUM(length_m) / 1000, 2) as length_km
+     FROM road_network
+     GROUP BY COALESCE(road_class, 'unclassified')
+     ORDER BY road_count DESC`
+  );
+  const [locations] = await connection.query(
+    `SELECT COUNT(*) as total, SUM(road_network_id IS NOT NULL) as snapped
+     FROM aggregated_locations`
+  );
+
+  return {
+    classes,
+    locations: {
+      total: locations[0].total,
+      snapped: Number(locations[0].snapped) || 0
+    },
+    maxSnapMeters: config.maxSnapM
+  };
+};
+
+exports.config = config;
@@ -0,0 +1,209 @@
+const sla = require("./sla_service");
+const warranty = require("./warranty_service");
+const costing = require("./costing_service");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+/**
+ * Contractor performance scorecards over a date window.
+ *
+ *   medianHoursToComplete - assignment to completion, for work completed in
+ *                           the window
+ *   onTimeRate            - of that work with a due_date, the share completed
+ *                           by the end of the due date
+ *   rejectionRate         - share of reviews in the window that sent the work
+ *                           back (rejectVerification)
+ *   recurrenceRate        - share of repairs verified in the window that have
+ *                           since failed under warranty
+ *   costPerRepair         - invoiced (else estimated) cost per verified repair;
+ *                           warranty rework is unpaid and left out
+ * The overall score (0-100) averages the weighted quality rates a contractor
+ * has data for; speed and cost are compared through sortBy instead, since
+ * they depend on the mix of work.
+ */
+
+const config = {
+  weights: { onTime: 0.4, acceptance: 0.35, durability: 0.25 }
+};
+
+// sortBy -> [metric, direction]; nulls always rank last
+const SORTS = {
+  score: ["score", "desc"],
+  medianHoursToComplete: ["medianHoursToComplete", "asc"],
+  onTimeRate: ["onTimeRate", "desc"],
+  rejectionRate: ["rejectionRate", "asc"],
+  recurrenceRate: ["recurrenceRate", "asc"],
+  costPerRepair: ["costPerRepair", "asc"],
+  completed: ["completed", "desc"]
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Read { from, to, sortBy } from a query (window defaults as for SLA
+ * compliance); throws with status 400
+ */
+exports.parseOptions = (query = {}) => {
+  const window = sla.parseWindow(query);
+  const sortBy = query.sortBy || "score";
+  if (!SORTS[sortBy]) throw badRequest(`sortBy must be one of: ${Object.keys(SORTS).join(", ")}`);
+  return { ...window, sortBy };
+};
+
+const groupBy = (rows) => {
+  const map = new Map();
+  for (const row of rows) {
+    if (!map.has(row.contractor_id)) map.set(row.contractor_id, []);
+    map.get(row.contractor_id).push(row);
+  }
+  return map;
+};
+
+/**
+ * Scorecards for every contractor, or only contractorId, over { from, to }
+ */
+exports.compute = async (connection, { from, to }, contractorId = null) => {
+  const window = [toMySQLDatetime(from.toISOString()), toMySQLDatetime(to.toISOString())];
+  const only = contractorId ? " AND wa.contractor_id = ?" : "";
+  const onlyParams = contractorId ? [contractorId] : [];
+
+  const [contractors] = await connection.query(
+    `SELECT id, company_name, is_active FROM contractors
+     ${contractorId ? "WHERE id = ?" : ""}
+     ORDER BY company_name`,
+    onlyParams
+  );
+
+  const [assigned] = await connection.query(
+    `SELECT wa.contractor_id, COUNT(*) as assigned, SUM(wa.warranty_of IS NOT NULL) as warranty_rework
+     FROM work_assignments wa
+     WHERE wa.assigned_at BETWEEN ? AND ?${only}
+     GROUP BY wa.contractor_id`,
+    [...window, ...onlyParams]
+  );
+
+  const [completed] = await connection.query(
+    `SELECT wa.contractor_id, wa.assigned_at, wa.completed_at, wa.due_date
+     FROM work_assignments wa
+     WHERE wa.completed_at BETWEEN ? AND ?
+       AND wa.status IN ('pending_verification', 'completed', 'verified')${only}`,
+    [...window, ...onlyParams]
+  );
+
+  const [reviews] = await connection.query(
+    `SELECT wa.contractor_id,
+            SUM(e.action = 'reject') as rejected,
+            COUNT(*) as reviewed
+     FROM status_events e
+     JOIN work_assignments wa ON e.entity_type = 'assignment' AND e.entity_id = wa.id
+     WHERE e.action IN ('verify', 'reject') AND e.created_at BETWEEN ? AND ?${only}
+     GROUP BY wa.contractor_id`,
+    [...window, ...onlyParams]
+  );
+
+  const [repairs] = await connection.query(
+    `SELECT wa.contractor_id,
+            COUNT(*) as verified,
+            SUM(EXISTS (SELECT 1 FROM warranty_claims wc WHERE wc.original_assignment_id = wa.id)) as recurred,
+            SUM(COALESCE(il.amount, wa.estimated_cost)) as cost,
+            SUM(COALESCE(il.amount, wa.estimated_cost) IS NOT NULL) as priced
+     FROM work_assignments wa
+     LEFT JOIN invoice_lines il ON il.assignment_id = wa.id
+     WHERE wa.status = 'verified' AND wa.warranty_of IS NULL
+       AND wa.completed_at BETWEEN ? AND ?${only}
+     GROUP BY wa.contractor_id`,
+    [...window, ...onlyParams]
+  );
+
+  const assignedBy = new Map(assigned.map(r => [r.contractor_id, r]));
+  const completedBy = groupBy(completed);
+  const reviewsBy = new Map(reviews.map(r => [r.contractor_id, r]));
+  const repairsBy = new Map(repairs.map(r => [r.contractor_id, r]));
+
+  return contractors.map(c => {
+    const jobs = completedBy.get(c.id) || [];
+    const hours = jobs.map(j => (new Date(j.completed_at) - new Date(j.assigned_at)) / 3600000).filter(h => h >= 0);
+    const withDue = jobs.filter(j => j.due_date);
+    // due_date is a calendar day: on time means completed before the next day starts
+    const onTime = withDue.filter(j => new Date(j.completed_at) < new Date(new Date(j.due_date).getTime() + 24 * 3600000));
+
+    const review = reviewsBy.get(c.id) || { rejected: 0, reviewed: 0 };
+    const repair = repairsBy.get(c.id) || { verified: 0, recurred: 0, cost: null, priced: 0 };
+    const assignedRow = assignedBy.get(c.id) || { assigned: 0, warranty_rework: 0 };
+
+    const onTimeRate = rate(onTime.length, withDue.length);
+    const rejectionRate = rate(Number(review.rejected), Number(review.reviewed));
+    const recurrenceRate = rate(Number(repair.recurred), Number(repair.verified));
+    const medianHours = median(hours);
+
+    // Weighted mean of the quality rates available
+    const parts = [
+      [config.weights.onTime, onTimeRate],
+      [config.weights.acceptance, rejectionRate === null ? null : 1 - rejectionRate],
+      [config.weights.durability, recurrenceRate === null ? null : 1 - recurrenceRate]
+    ].filter(([, value]) => value !== null);
+    const weightSum = parts.reduce((sum, [w]) => sum + w, 0);
+    const score = weightSum > 0
+      ? Math.round((parts.reduce((sum, [w, value]) => sum + w * value, 0) / weightSum) * 1000) / 10
+      : null;
+
+    return {
+      contractorId: c.id,
+      contractorName: c.company_name,
+      isActive: Boolean(c.is_active),
+      assigned: Number(assignedRow.assigned),
+      warrantyRework: Number(assignedRow.warranty_rework),
+      completed: jobs.length,
+      medianHoursToComplete: medianHours !== null ? Math.round(medianHours * 10) / 10 : null,
+      onTime: { onTime: onTime.length, withDueDate: withDue.length },
+      onTimeRate,
+      reviews: { rejected: Number(review.rejected), reviewed: Number(review.reviewed) },
+      rejectionRate,
+      recurrence: { recurred: Number(repair.recurred), verified: Number(repair.verified) },
+      recurrenceRate,
+      costPerRepair: Number(repair.priced) > 0 ? Math.round((parseFloat(repair.cost) / Number(repair.priced)) * 100) / 100 : null,
+      score
+    };
+  });
+};
+
+/**
+ * Rank scorecards by sortBy; contractors without data for the metric go last
+ */
+exports.rank = (scorecards, sortBy = "score") => {
+  const [metric, direction] = SORTS[sortBy];
+  return scorecards
+    .slice()
+    .sort((a, b) => {
+      if (a[metric] === null && b[metric] === null) return String(a.contractorName).localeCompare(String(b.contractorName));
+      if (a[metric] === null) return 1;
+      if (b[metric] === null) return -1;
+      return direction === "asc" ? a[metric] - b[metric] : b[metric] - a[metric];
+    })
+    .map((card, index) => ({ rank: index + 1, ...card }));
+};
+
+/**
+ * Window and definitions returned with scorecards
+ */
+exports.describe = ({ from, to }) => ({
+  from: from.toISOString(),
+  to: to.toISOString(),
+  warrantyDays: warranty.config.warrantyDays,
+  currency: costing.config.currency,
+  scoreWeights: config.weights
+});
+
+exports.config = config;
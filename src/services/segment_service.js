@@ -0,0 +1,343 @@
+const geo = require("../utils/geo");
+const { higherSeverity } = require("../utils/severity");
+const wards = require("./ward_service");
+const roads = require("./road_network_service");
+
+/**
+ * Patchy road stretches modelled as polyline segments.
+ *
+ * A road anomaly with start and end coordinates becomes a segment-type
+ * aggregated location. Segments from different reports that run along the
+ * same stretch are merged into one longer polyline, so repairs can be
+ * assigned per segment like any other location.
+ * Geometry is stored as GeoJSON-ordered [[lng, lat], ...].
+ */
+
+const TOLERANCE_M = parseFloat(process.env.SEGMENT_MERGE_TOLERANCE_M) || 20;
+// Share of the shorter segment that must lie along the longer one to merge
+const MIN_OVERLAP = parseFloat(process.env.SEGMENT_MIN_OVERLAP) || 0.25;
+// Segments crossing at a wider angle are different roads
+const MAX_ANGLE_DEG = parseFloat(process.env.SEGMENT_MAX_ANGLE_DEG) || 30;
+const SAMPLE_STEP_M = 5;
+
+const parseGeometry = (geometry) => (typeof geometry === "string" ? JSON.parse(geometry) : geometry);
+
+/**
+ * Whether an anomaly payload carries a usable end point
+ */
+const isSegment = (anomaly) => {
+  const lat = parseFloat(anomaly.end_latitude);
+  const lng = parseFloat(anomaly.end_longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng);
+};
+
+// Undirected angle in degrees between the end-to-end chords of two lines
+function chordAngle(a, b) {
+  const va = geo.toLocalXY(a[a.length - 1], a[0]);
+  const vb = geo.toLocalXY(b[b.length - 1], b[0]);
+  const angle = Math.abs(Math.atan2(va[1], va[0]) - Math.atan2(vb[1], vb[0])) * (180 / Math.PI) % 180;
+  return Math.min(angle, 180 - angle);
+}
+
+/**
+ * Fraction of the shorter line that lies within tolerance of the longer one.
+ * Lines running in clearly different directions never overlap.
+ */
+function overlapRatio(a, b, toleranceM = TOLERANCE_M) {
+  const lengthA = geo.polylineLengthMeters(a);
+  const lengthB = geo.polylineLengthMeters(b);
+  const [shorter, longer, length] = lengthA <= lengthB ? [a, b, lengthA] : [b, a, lengthB];
+
+  // Very short stretches have no reliable direction
+  if (length > toleranceM && chordAngle(a, b) > MAX_ANGLE_DEG) return 0;
+
+  const samples = Math.max(1, Math.ceil(length / SAMPLE_STEP_M));
+  let inside = 0;
+  for (let i = 0; i <= samples; i++) {
+    const point = geo.pointAlongPolyline(shorter, (length * i) / samples);
+    if (geo.pointToPolylineMeters(point, longer) <= toleranceM) inside++;
+  }
+  return inside / (samples + 1);
+}
+
+/**
+ * Merge two overlapping polylines into one running along their common axis.
+ * Vertices are ordered by their projection on the axis and thinned so two
+ * near-parallel traces do not zigzag.
+ */
+function mergeGeometries(a, b, toleranceM = TOLERANCE_M) {
+  const base = geo.polylineLengthMeters(a) >= geo.polylineLengthMeters(b) ? a : b;
+  const origin = base[0];
+  const end = geo.toLocalXY(base[base.length - 1], origin);
+  const axisLength = Math.hypot(end[0], end[1]) || 1;
+  const axis = [end[0] / axisLength, end[1] / axisLength];
+
+  const projected = [...a, ...b]
+    .map(point => {
+      const xy = geo.toLocalXY(point, origin);
+      return { point, t: xy[0] * axis[0] + xy[1] * axis[1] };
+    })
+    .sort((p, q) => p.t - q.t);
+
+  const merged = [projected[0]];
+  for (let i = 1; i < projected.length - 1; i++) {
+    if (projected[i].t - merged[merged.length - 1].t >= toleranceM / 2) merged.push(projected[i]);
+  }
+  const last = projected[projected.length - 1];
+  if (merged.length > 1 && last.t - merged[merged.length - 1].t < toleranceM / 2) merged.pop();
+  merged.push(last);
+
+  return merged.map(p => p.point);
+}
+
+/**
+ * Midpoint, length and bounding box of a polyline
+ */
+function describe(geometry) {
+  const length = geo.polylineLengthMeters(geometry);
+  const mid = geo.pointAlongPolyline(geometry, length / 2);
+  const lats = geometry.map(p => p[1]);
+  const lngs = geometry.map(p => p[0]);
+  return {
+    latitude: mid[1],
+    longitude: mid[0],
+    lengthM: Math.round(length * 100) / 100,
+    bbox: {
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs)
+    }
+  };
+}
+
+/**
+ * Give a new segment its unique grid_id; suffixed with the id since a merged
+ * segment's midpoint can repeat an older key (inserted as UUID() first)
+ */
+async function setSegmentKey(connection, locationId, d) {
+  await connection.query(
+    "UPDATE aggregated_locations SET grid_id = CONCAT(?, '_', id) WHERE id = ?",
+    [`seg_${d.latitude.toFixed(6)}_${d.longitude.toFixed(6)}`, locationId]
+  );
+}
+
+/**
+ * Existing segment locations whose bounding box comes within tolerance of a geometry
+ */
+async function findCandidates(connection, geometry, toleranceM = TOLERANCE_M) {
+  const { latitude, longitude, bbox } = describe(geometry);
+  const pad = geo.boundingBox(latitude, longitude, toleranceM / 1000);
+  const padded = {
+    minLat: bbox.minLat - (latitude - pad.minLat),
+    maxLat: bbox.maxLat + (pad.maxLat - latitude),
+    minLng: bbox.minLng - (longitude - pad.minLng),
+    maxLng: bbox.maxLng + (pad.maxLng - longitude)
+  };
+
+  const [rows] = await connection.query(
+    `SELECT * FROM aggregated_locations
+     WHERE location_type = 'segment'
+       AND bbox_max_lat >= ? AND bbox_min_lat <= ?
+       AND bbox_max_lng >= ? AND bbox_min_lng <= ?`,
+    [padded.minLat, padded.maxLat, padded.minLng, padded.maxLng]
+  );
+  return rows.map(row => ({ ...row, geometry: parseGeometry(row.geometry) }));
+}
+
+/**
+ * Pick the candidate that overlaps a geometry the most, if any overlaps enough
+ */
+function bestOverlap(candidates, geometry) {
+  let best = null;
+  let bestRatio = 0;
+  for (const candidate of candidates) {
+    const ratio = overlapRatio(candidate.geometry, geometry);
+    if (ratio >= MIN_OVERLAP && ratio > bestRatio) {
+      best = candidate;
+      bestRatio = ratio;
+    }
+  }
+  return best;
+}
+
+/**
+ * Add one patchy road anomaly as a segment, merging with an overlapping one.
+ * Returns the aggregated_locations id.
+ */
+async function addSegment(connection, anomaly) {
+  const geometry = [
+    [parseFloat(anomaly.start_longitude || anomaly.longitude), parseFloat(anomaly.start_latitude || anomaly.latitude)],
+    [parseFloat(anomaly.end_longitude), parseFloat(anomaly.end_latitude)]
+  ];
+  const severity = anomaly.severity || "Medium";
+
+  const match = bestOverlap(await findCandidates(connection, geometry), geometry);
+
+  if (match) {
+    const merged = mergeGeometries(match.geometry, geometry);
+    const d = describe(merged);
+    await connection.query(
+      `UPDATE aggregated_locations
+       SET latitude = ?, longitude = ?, geometry = ?, length_m = ?,
+           bbox_min_lat = ?, bbox_max_lat = ?, bbox_min_lng = ?, bbox_max_lng = ?,
+           total_patchy = total_patchy + 1,
+           highest_severity = ?,
+           clean_passes_since_repair = 0,
+           last_reported_at = NOW()
+       WHERE id = ?`,
+      [
+        d.latitude, d.longitude, JSON.stringify(merged), d.lengthM,
+        d.bbox.minLat, d.bbox.maxLat, d.bbox.minLng, d.bbox.maxLng,
+        higherSeverity(match.highest_severity, severity),
+        match.id
+      ]
+    );
+    return match.id;
+  }
+
+  const d = describe(geometry);
+  const [result] = await connection.query(
+    `INSERT INTO aggregated_locations
+     (grid_id, location_type, latitude, longitude, geometry, length_m, bbox_min_lat, bbox_max_lat, bbox_min_lng, bbox_max_lng,
+      total_potholes, total_patchy, highest_severity, first_reported_at, last_reported_at)
+     VALUES (UUID(), 'segment', ?, ?, ?, ?, ?, ?, ?, ?, 0, 1, ?, NOW(), NOW())`,
+    [
+      d.latitude, d.longitude, JSON.stringify(geometry), d.lengthM,
+      d.bbox.minLat, d.bbox.maxLat, d.bbox.minLng, d.bbox.maxLng, severity
+    ]
+  );
+  await setSegmentKey(connection, result.insertId, d);
+  await wards.assignLocation(connection, result.insertId, d.latitude, d.longitude);
+  await roads.snapLocation(connection, result.insertId, d.latitude, d.longitude);
+  return result.insertId;
+}
+
+/**
+ * Rebuild segment locations from every stored anomaly with an end point.
+ * Existing segments that overlap a rebuilt one keep their id, status and
+ * assignments; the rest are removed unless work or photos reference them.
+ * Must run inside a transaction, after anomaly links have been reset.
+ */
+async function rebuildSegments(connection) {
+  const [anomalies] = await connection.query(
+    `SELECT ra.id, ra.start_latitude, ra.start_longitude, ra.end_latitude, ra.end_longitude, ra.severity, ra.start_timestamp
+     FROM road_anomalies ra
+     JOIN reports r ON ra.report_id = r.id
+     WHERE r.review_status IN ('clear', 'approved')
+       AND ra.end_latitude IS NOT NULL AND ra.end_longitude IS NOT NULL
+     ORDER BY ra.start_timestamp`
+  );
+
+  const segments = [];
+  for (const anomaly of anomalies) {
+    const geometry = [
+      [parseFloat(anomaly.start_longitude), parseFloat(anomaly.start_latitude)],
+      [parseFloat(anomaly.end_longitude), parseFloat(anomaly.end_latitude)]
+    ];
+    const match = bestOverlap(segments, geometry);
+    if (match) {
+      match.geometry = mergeGeometries(match.geometry, geometry);
+      match.members.push(anomaly);
+    } else {
+      segments.push({ geometry, members: [anomaly] });
+    }
+  }
+  segments.sort((a, b) => b.members.length - a.members.length);
+
+  const [existing] = await connection.query(
+    `SELECT al.*,
+            (SELECT COUNT(*) FROM work_assignments wa WHERE wa.aggregated_location_id = al.id) AS assignment_count,
+            (SELECT COUNT(*) FROM attachments att
+             WHERE att.aggregated_location_id = al.id AND att.report_id IS NULL) AS attachment_count
+     FROM aggregated_locations al
+     WHERE al.location_type = 'segment'`
+  );
+  const unclaimed = existing.map(row => ({ ...row, geometry: parseGeometry(row.geometry) }));
+
+  let reused = 0;
+  let created = 0;
+
+  for (const segment of segments) {
+    const d = describe(segment.geometry);
+    const severity = segment.members.reduce((acc, m) => higherSeverity(acc, m.severity), null) || "Medium";
+    const first = segment.members[0].start_timestamp;
+    const last = segment.members[segment.members.length - 1].start_timestamp;
+    const match = bestOverlap(unclaimed, segment.geometry);
+
+    let locationId;
+    if (match) {
+      unclaimed.splice(unclaimed.indexOf(match), 1);
+      locationId = match.id;
+      reused++;
+      await connection.query(
+        `UPDATE aggregated_locations
+         SET latitude = ?, longitude = ?, geometry = ?, length_m = ?,
+             bbox_min_lat = ?, bbox_max_lat = ?, bbox_min_lng = ?, bbox_max_lng = ?,
+             total_potholes = 0, total_patchy = ?, highest_severity = ?,
+             first_reported_at = ?, last_reported_at = ?
+         WHERE id = ?`,
+        [
+          d.latitude, d.longitude, JSON.stringify(segment.geometry), d.lengthM,
+          d.bbox.minLat, d.bbox.maxLat, d.bbox.minLng, d.bbox.maxLng,
+          segment.members.length, severity, first, last, locationId
+        ]
+      );
+    } else {
+      created++;
+      const [result] = await connection.query(
+        `INSERT INTO aggregated_locations
+         (grid_id, location_type, latitude, longitude, geometry, length_m, bbox_min_lat, bbox_max_lat, bbox_min_lng, bbox_max_lng,
+          total_potholes, total_patchy, highest_severity, first_reported_at, last_reported_at)
+         VALUES (UUID(), 'segment', ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?)`,
+        [
+          d.latitude, d.longitude, JSON.stringify(segment.geometry), d.lengthM,
+          d.bbox.minLat, d.bbox.maxLat, d.bbox.minLng, d.bbox.maxLng,
+          segment.members.length, severity, first, last
+        ]
+      );
+      locationId = result.insertId;
+      await setSegmentKey(connection, locationId, d);
+    }
+
+    await connection.query(
+      "UPDATE road_anomalies SET aggregated_location_id = ? WHERE id IN (?)",
+      [locationId, segment.members.map(m => m.id)]
+    );
+  }
+
+  const removable = unclaimed
+    .filter(l => Number(l.assignment_count) === 0 && Number(l.attachment_count) === 0)
+    .map(l => l.id);
+  if (removable.length) {
+    await connection.query("DELETE FROM aggregated_locations WHERE id IN (?)", [removable]);
+  }
+
+  return {
+    anomalies: anomalies.length,
+    segments: segments.length,
+    reused,
+    created,
+    removed: removable.length
+  };
+}
+
+/**
+ * GeoJSON LineString for a segment location row, or null for point locations
+ */
+function toGeoJSON(row) {
+  if (row.location_type !== "segment" || !row.geometry) return null;
+  return { type: "LineString", coordinates: parseGeometry(row.geometry) };
+}
+
+module.exports = {
+  TOLERANCE_M,
+  MIN_OVERLAP,
+  isSegment,
+  overlapRatio,
+  mergeGeometries,
+  describe,
+  addSegment,
+  rebuildSegments,
+  toGeoJSON
+};
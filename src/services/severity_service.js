@@ -0,0 +1,99 @@
+/**
+ * Server-side severity scoring for pothole detections.
+ *
+ * The vertical acceleration spike is normalised by vehicle speed (faster
+ * vehicles hit the same pothole harder) and by road type (rough surfaces
+ * have a higher baseline vibration), then bucketed with configurable
+ * thresholds.
+ */
+
+const parseJsonEnv = (name, fallback) => {
+  try {
+    return process.env[name] ? { ...fallback, ...JSON.parse(process.env[name]) } : fallback;
+  } catch {
+    console.error(`[SEVERITY] Ignoring invalid JSON in ${name}`);
+    return fallback;
+  }
+};
+
+const config = {
+  // Normalised acceleration (m/s^2 at the reference speed) at which a hit becomes Medium / High
+  mediumThreshold: parseFloat(process.env.SEVERITY_THRESHOLD_MEDIUM) || 4,
+  highThreshold: parseFloat(process.env.SEVERITY_THRESHOLD_HIGH) || 8,
+  referenceSpeedKmh: parseFloat(process.env.SEVERITY_REFERENCE_SPEED_KMH) || 30,
+  // Below this speed readings are dominated by handling noise
+  minReliableSpeedKmh: parseFloat(process.env.SEVERITY_MIN_SPEED_KMH) || 8,
+  // Baseline roughness divisor per road type
+  roadFactors: parseJsonEnv("SEVERITY_ROAD_FACTORS", {
+    highway: 1.0,
+    primary: 1.0,
+    secondary: 1.1,
+    residential: 1.2,
+    gravel: 1.6,
+    unpaved: 1.8
+  }),
+  defaultRoadFactor: 1.15
+};
+
+const SEVERITIES = ["Low", "Medium", "High"];
+
+/**
+ * Score one detection from its raw sensor readings
+ * Returns { severity, confidence, score } or null when there is no acceleration reading
+ */
+exports.computeSeverity = ({ z_axis_acceleration, speed_kmh, road_type }) => {
+  const accel = Math.abs(parseFloat(z_axis_acceleration));
+  if (!Number.isFinite(accel)) return null;
+
+  const speed = parseFloat(speed_kmh);
+  const hasSpeed = Number.isFinite(speed) && speed > 0;
+
+  // Impact grows roughly with sqrt(speed), so scale back to the reference speed
+  const speedFactor = hasSpeed
+    ? Math.sqrt(Math.max(speed, config.minReliableSpeedKmh) / config.referenceSpeedKmh)
+    : 1;
+  const roadKey = (road_type || "").toString().toLowerCase();
+  const roadFactor = config.roadFactors[roadKey] || config.defaultRoadFactor;
+
+  const score = accel / speedFactor / roadFactor;
+
+  let severity = "Low";
+  if (score >= config.highThreshold) severity = "High";
+  else if (score >= config.mediumThreshold) severity = "Medium";
+
+  // Confidence: distance to the nearest bucket boundary, reduced when inputs are weak
+  const nearest = Math.abs(score - config.mediumThreshold) < Math.abs(score - config.highThreshold)
+    ? config.mediumThreshold
+    : config.highThreshold;
+  const margin = Math.min(Math.abs(score - nearest) / nearest, 1);
+  let confidence = 0.5 + 0.5 * margin;
+  if (!hasSpeed) confidence *= 0.7;
+  else if (speed < config.minReliableSpeedKmh) confidence *= 0.6;
+  if (!config.roadFactors[roadKey]) confidence *= 0.9;
+
+  return {
+    severity,
+    confidence: Math.round(confidence * 1000) / 1000,
+    score: Math.round(score * 1000) / 1000
+  };
+};
+
+/**
+ * Resolve the severity to store for a detection.
+ * Server-computed severity wins when sensor data is present; the device's own
+ * value is kept alongside for auditing.
+ */
+exports.resolveSeverity = (detection) => {
+  const deviceSeverity = SEVERITIES.includes(detection.severity) ? detection.severity : null;
+  const computed = exports.computeSeverity(detection);
+
+  return {
+    severity: computed?.severity || deviceSeverity || "Medium",
+    deviceSeverity,
+    computedSeverity: computed?.severity || null,
+    confidence: computed?.confidence ?? null
+  };
+};
+
+exports.config = config;
+exports.SEVERITIES = SEVERITIES;
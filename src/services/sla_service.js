@@ -0,0 +1,343 @@
+const db = require("../config/db");
+const events = require("./event_service");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+/**
+ * Repair SLAs.
+ *
+ * Each assignment gets a deadline when it is made: the SLA hours for the
+ * location's severity counted from assigned_at, or the end of its due_date
+ * if that is earlier. Reassigning restarts the window and the escalation
+ * chain for the new contractor. A periodic check flags open assignments as on_track,
+ * at_risk (most of the window used) or overdue, settles finished ones as met
+ * or missed, and escalates overdue work one level of the chain per check,
+ * once that level's delay past the deadline has passed. Escalations are
+ * recorded as status events.
+ */
+
+const hoursFrom = (name, fallback) => parseFloat(process.env[name]) || fallback;
+
+// "role:hoursAfterDeadline,..." -> [{ level, role, afterHours }]
+const parseChain = (value) => value
+  .split(",")
+  .map(step => step.trim())
+  .filter(Boolean)
+  .map((step, index) => {
+    const [role, after] = step.split(":");
+    return { level: index + 1, role: role.trim(), afterHours: parseFloat(after) || 0 };
+  });
+
+const config = {
+  hours: {
+    High: hoursFrom("SLA_HOURS_HIGH", 48),
+    Medium: hoursFrom("SLA_HOURS_MEDIUM", 120),
+    Low: hoursFrom("SLA_HOURS_LOW", 336)
+  },
+  // Share of the SLA window after which open work counts as at risk
+  atRiskFraction: parseFloat(process.env.SLA_AT_RISK_FRACTION) || 0.75,
+  escalationChain: parseChain(process.env.SLA_ESCALATION_CHAIN || "ward_officer:0,zone_head:24"),
+  // 0 disables the in-process scheduler
+  checkIntervalMinutes: process.env.SLA_CHECK_INTERVAL_MIN !== undefined
+    ? parseFloat(process.env.SLA_CHECK_INTERVAL_MIN) || 0
+    : 15,
+  defaultWindowDays: 90
+};
+
+const OPEN_STATUSES = ["assigned", "in_progress"];
+
+const SYSTEM_ACTOR = { id: null, role: "system" };
+
+// SLA state of an assignment row (alias wa) as of now
+const STATE_SQL = `CASE
+  WHEN wa.sla_due_at IS NULL THEN NULL
+  WHEN wa.status NOT IN ('assigned', 'in_progress') AND wa.completed_at IS NOT NULL
+    THEN IF(wa.completed_at <= wa.sla_due_at, 'met', 'missed')
+  WHEN NOW() > wa.sla_due_at THEN 'overdue'
+  WHEN NOW() >= DATE_ADD(wa.assigned_at, INTERVAL ROUND(TIMESTAMPDIFF(SECOND, wa.assigned_at, wa.sla_due_at) * ?) SECOND)
+    THEN 'at_risk'
+  ELSE 'on_track'
+END`;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Set sla_due_at from severity and due_date, for one assignment or for
+ * every assignment that has none yet
+ */
+exports.setDeadlines = async (connection, { assignmentId = null } = {}) => {
+  const slaDeadline = `DATE_ADD(wa.assigned_at, INTERVAL ROUND(
+    (CASE al.highest_severity WHEN 'High' THEN ? WHEN 'Medium' THEN ? ELSE ? END) * 60) MINUTE)`;
+  const hours = [config.hours.High, config.hours.Medium, config.hours.Low];
+
+  const [result] = await connection.query(
+    `UPDATE work_assignments wa
+     JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+     SET wa.sla_due_at = IF(
+       wa.due_date IS NOT NULL AND TIMESTAMP(wa.due_date, '23:59:59') < ${slaDeadline},
+       TIMESTAMP(wa.due_date, '23:59:59'),
+       ${slaDeadline}
+     )
+     WHERE ${assignmentId ? "wa.id = ?" : "wa.sla_due_at IS NULL"}`,
+    [...hours, ...hours, ...(assignmentId ? [assignmentId] : [])]
+  );
+  return result.affectedRows;
+};
+
+/**
+ * Contact for one escalation role: a ward-specific contact first, then one
+ * for the ward's zone, then a city-wide one
+ */
+const findContact = async (connection, role, wardId, zone) => {
+  const [contacts] = await connection.query(
+    `SELECT id, name, email, phone, user_id FROM escalation_contacts
+     WHERE role = ?
+       AND (ward_id = ? OR (ward_id IS NULL AND zone = ?) OR (ward_id IS NULL AND zone IS NULL))
+     ORDER BY ward_id IS NULL, zone IS NULL, id
+     LIMIT 1`,
+    [role, wardId, zone]
+  );
+  return contacts[0] || null;
+};
+
+/**
+ * Refresh every assignment's sla_status and escalate overdue work.
+ * Assignments without a deadline (e.g. seed data) get one first.
+ * Returns counts of what changed.
+ */
+exports.check = async (connection) => {
+  const deadlinesSet = await exports.setDeadlines(connection);
+
+  const [flagged] = await connection.query(
+    `UPDATE work_assignments wa
+     SET wa.sla_status = ${STATE_SQL}
+     WHERE wa.sla_due_at IS NOT NULL
+       AND (wa.status IN (?) OR wa.sla_status IS NULL OR wa.sla_status NOT IN ('met', 'missed'))`,
+    [config.atRiskFraction, OPEN_STATUSES]
+  );
+
+  const [overdue] = await connection.query(
+    `SELECT wa.id, wa.assigned_at, wa.escalation_level, al.id as location_id, al.ward_id, w.zone,
+            TIMESTAMPDIFF(MINUTE, wa.sla_due_at, NOW()) / 60 as hours_overdue
+     FROM work_assignments wa
+     JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+     LEFT JOIN wards w ON al.ward_id = w.id
+     WHERE wa.sla_status = 'overdue' AND wa.escalation_level < ?`,
+    [config.escalationChain.length]
+  );
+
+  // One level per check: the next step of the chain, once its delay has passed
+  let escalations = 0;
+  for (const assignment of overdue) {
+    const hoursOverdue = parseFloat(assignment.hours_overdue);
+    const step = config.escalationChain.find(candidate => candidate.level === assignment.escalation_level + 1);
+    if (!step || step.afterHours > hoursOverdue) continue;
+
+    const contact = await findContact(connection, step.role, assignment.ward_id, assignment.zone);
+    const [inserted] = await connection.query(
+      `INSERT IGNORE INTO sla_escalations (assignment_id, assigned_at, level, role, contact_id, hours_overdue)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        assignment.id, assignment.assigned_at, step.level, step.role,
+        contact ? contact.id : null, Math.round(hoursOverdue * 100) / 100
+      ]
+    );
+    if (inserted.affectedRows > 0) {
+      escalations++;
+      // Kept with the status history so it shows on the location timeline
+      // and in the assignment's events
+      const reason = `Overdue by ${Math.round(hoursOverdue)} h; escalated to ${step.role}` +
+        (contact ? ` ${contact.name || contact.email || contact.phone}` : " (no contact configured)");
+      for (const entityType of ["location", "assignment"]) {
+        await events.record(connection, {
+          entityType,
+          entityId: entityType === "location" ? assignment.location_id : assignment.id,
+          locationId: assignment.location_id,
+          assignmentId: assignment.id,
+          field: "escalation_level",
+          action: "escalate",
+          from: String(assignment.escalation_level),
+          to: String(step.level),
+          actor: SYSTEM_ACTOR,
+          reason
+        });
+      }
+      console.log(`[SLA] Assignment ${assignment.id} (location ${assignment.location_id}): ${reason}`);
+    }
+
+    await connection.query(
+      "UPDATE work_assignments SET escalation_level = ? WHERE id = ?",
+      [step.level, assignment.id]
+    );
+  }
+
+  const [counts] = await connection.query(
+    `SELECT SUM(sla_status = 'at_risk') as at_risk, SUM(sla_status = 'overdue') as overdue
+     FROM work_assignments WHERE status IN (?)`,
+    [OPEN_STATUSES]
+  );
+
+  return {
+    deadlinesSet,
+    updated: flagged.affectedRows,
+    atRisk: Number(counts[0].at_risk) || 0,
+    overdue: Number(counts[0].overdue) || 0,
+    escalations
+  };
+};
+
+/**
+ * Open assignments past (or, with includeAtRisk, close to) their deadline,
+ * most overdue first
+ */
+exports.overdueQueue = async (connection, { includeAtRisk = false, limit = 100, filter = { clause: "", params: [] } } = {}) => {
+  const states = includeAtRisk ? ["overdue", "at_risk"] : ["overdue"];
+  const [rows] = await connection.query(
+    `SELECT * FROM (
+       SELECT wa.id as assignment_id, wa.status, wa.assigned_at, wa.due_date, wa.sla_due_at,
+              wa.escalation_level, ${STATE_SQL} as sla_state,
+              ROUND(TIMESTAMPDIFF(MINUTE, wa.sla_due_at, NOW()) / 60, 1) as hours_overdue,
+              al.id as location_id, al.latitude, al.longitude, al.road_name, al.highest_severity,
+              COALESCE(al.ward, 'Unknown') as ward,
+              c.id as contractor_id, c.company_name as contractor_name
+       FROM work_assignments wa
+       JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+       JOIN contractors c ON wa.contractor_id = c.id
+       WHERE wa.status IN (?) AND wa.sla_due_at IS NOT NULL${filter.clause}
+     ) q
+     WHERE q.sla_state IN (?)
+     ORDER BY q.sla_due_at
+     LIMIT ?`,
+    [config.atRiskFraction, OPEN_STATUSES, ...filter.params, states, limit]
+  );
+  return rows;
+};
+
+/**
+ * Read an SLA reporting window (from/to over sla_due_at); defaults to the
+ * last defaultWindowDays. Throws with status 400.
+ */
+exports.parseWindow = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - config.defaultWindowDays * 24 * 3600 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    throw badRequest("from and to must be valid dates with from before to");
+  }
+  return { from, to };
+};
+
+/**
+ * SLA compliance per contractor and per ward: assignments due in the window
+ * that were completed on time, late, or are still open past their deadline.
+ * Open work not yet due is left out.
+ */
+exports.compliance = async (connection, { from, to }, filter = { clause: "", params: [] }) => {
+  const summarize = async (groupSql, labelSql) => {
+    const [rows] = await connection.query(
+      `SELECT ${groupSql} as group_key, ${labelSql} as label,
+              SUM(q.sla_state = 'met') as met,
+              SUM(q.sla_state = 'missed') as missed,
+              SUM(q.sla_state = 'overdue') as overdue
+       FROM (
+         SELECT wa.*, ${STATE_SQL} as sla_state,
+                al.ward, c.company_name
+         FROM work_assignments wa
+         JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+         JOIN contractors c ON wa.contractor_id = c.id
+         WHERE wa.sla_due_at BETWEEN ? AND ?${filter.clause}
+       ) q
+       WHERE q.sla_state IN ('met', 'missed', 'overdue')
+       GROUP BY group_key, label
+       ORDER BY label`,
+      [config.atRiskFraction, toMySQLDatetime(from.toISOString()), toMySQLDatetime(to.toISOString()), ...filter.params]
+    );
+    return rows.map(r => {
+      const met = Number(r.met) || 0;
+      const missed = Number(r.missed) || 0;
+      const overdue = Number(r.overdue) || 0;
+      const total = met + missed + overdue;
+      return {
+        id: r.group_key,
+        name: r.label,
+        met,
+        missed,
+        overdue,
+        total,
+        compliancePercent: total > 0 ? Math.round((met / total) * 1000) / 10 : null
+      };
+    });
+  };
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    contractors: await summarize("q.contractor_id", "q.company_name"),
+    wards: await summarize("COALESCE(q.ward, 'Unknown')", "COALESCE(q.ward, 'Unknown')")
+  };
+};
+
+/**
+ * Escalations raised so far, newest first
+ */
+exports.escalations = async (connection, { limit = 100 } = {}) => {
+  const [rows] = await connection.query(
+    `SELECT e.*, ec.name as contact_name, ec.email as contact_email, ec.phone as contact_phone,
+            wa.aggregated_location_id as location_id, wa.status as assignment_status, wa.sla_due_at
+     FROM sla_escalations e
+     JOIN work_assignments wa ON e.assignment_id = wa.id
+     LEFT JOIN escalation_contacts ec ON e.contact_id = ec.id
+     ORDER BY e.created_at DESC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+};
+
+/**
+ * Validate an escalation contact; throws with status 400
+ */
+exports.parseContact = (body) => {
+  const roles = config.escalationChain.map(step => step.role);
+  if (!roles.includes(body.role)) {
+    throw badRequest(`role must be one of the escalation chain roles: ${roles.join(", ")}`);
+  }
+  if (!body.name && !body.email && !body.userId) {
+    throw badRequest("name, email or userId is required");
+  }
+  return {
+    role: body.role,
+    wardId: body.wardId || null,
+    zone: body.zone || null,
+    userId: body.userId || null,
+    name: body.name || null,
+    email: body.email || null,
+    phone: body.phone || null
+  };
+};
+
+/**
+ * Run check() every config.checkIntervalMinutes in this process
+ */
+exports.startScheduler = () => {
+  if (!(config.checkIntervalMinutes > 0)) return null;
+
+  const runCheck = async () => {
+    try {
+      const summary = await exports.check(db.promise());
+      if (summary.escalations > 0 || summary.overdue > 0) console.log("[SLA] Check:", summary);
+    } catch (err) {
+      console.error("[SLA] Check failed:", err.message);
+    }
+  };
+
+  const timer = setInterval(runCheck, config.checkIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+exports.config = config;
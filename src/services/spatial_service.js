@@ -0,0 +1,175 @@
+const geo = require("../utils/geo");
+const geohash = require("../utils/geohash");
+const traceService = require("./trace_service");
+
+/**
+ * Index-backed spatial filters.
+ *
+ * Detections and aggregated locations carry a stored geohash column
+ * (ST_GeoHash of the position). Queries narrow candidates with geohash prefix
+ * ranges plus a lat/lng bounding box, both of which use indexes, and only then
+ * apply exact distance checks to the few rows left.
+ *
+ * Column sets name the SQL columns to filter on, e.g.
+ *   { lat: "pd.latitude", lng: "pd.longitude", geohash: "pd.geohash" }
+ */
+
+const config = {
+  maxRadiusKm: parseFloat(process.env.NEARBY_MAX_RADIUS_KM) || 50,
+  // Hard cap on rows returned by any spatial endpoint, whatever limit is asked for
+  maxResults: parseInt(process.env.SPATIAL_MAX_RESULTS) || 500,
+  defaultLimit: 50,
+  maxBboxDeg: parseFloat(process.env.SPATIAL_MAX_BBOX_DEG) || 1,
+  maxCorridorM: 500,
+  // Routes longer than this, spanning more degrees or needing more geohash
+  // prefixes than this are refused rather than scanned
+  maxRouteKm: parseFloat(process.env.SPATIAL_MAX_ROUTE_KM) || 200,
+  maxRouteBboxDeg: parseFloat(process.env.SPATIAL_MAX_ROUTE_BBOX_DEG) || 2,
+  maxRoutePrefixes: 200,
+  // Rows read from SQL before exact corridor checks
+  maxCandidates: parseInt(process.env.SPATIAL_MAX_CANDIDATES) || 5000
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Drop prefixes already covered by a shorter one
+const collapse = (prefixes) => {
+  const sorted = [...new Set(prefixes)].sort();
+  const result = [];
+  for (const prefix of sorted) {
+    if (!result.some(p => prefix.startsWith(p))) result.push(prefix);
+  }
+  return result;
+};
+
+const boxClause = (cols, bbox) => ({
+  clause: ` AND ${cols.lat} BETWEEN ? AND ? AND ${cols.lng} BETWEEN ? AND ?`,
+  params: [bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng]
+});
+
+const prefixClause = (cols, prefixes) => {
+  if (!cols.geohash || prefixes.length === 0) return { clause: "", params: [] };
+  return {
+    clause: ` AND (${prefixes.map(() => `${cols.geohash} LIKE ?`).join(" OR ")})`,
+    params: prefixes.map(p => `${p}%`)
+  };
+};
+
+const combine = (...filters) => ({
+  clause: filters.map(f => f.clause).join(""),
+  params: filters.flatMap(f => f.params)
+});
+
+/**
+ * SQL expression for the great-circle distance in km from a point
+ */
+exports.distanceSql = (cols, lat, lng) => ({
+  sql: `(${geo.EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+          POW(SIN(RADIANS(${cols.lat} - ?) / 2), 2) +
+          COS(RADIANS(?)) * COS(RADIANS(${cols.lat})) * POW(SIN(RADIANS(${cols.lng} - ?) / 2), 2))))`,
+  params: [lat, lat, lng]
+});
+
+/**
+ * Rows within radiusKm of a point
+ */
+exports.radiusFilter = (cols, lat, lng, radiusKm) => {
+  const bbox = geo.boundingBox(lat, lng, radiusKm);
+  const distance = exports.distanceSql(cols, lat, lng);
+  return combine(
+    prefixClause(cols, geohash.cover(bbox)),
+    boxClause(cols, bbox),
+    { clause: ` AND ${distance.sql} <= ?`, params: [...distance.params, radiusKm] }
+  );
+};
+
+/**
+ * Rows inside a bounding box
+ */
+exports.bboxFilter = (cols, bbox) => combine(
+  prefixClause(cols, geohash.cover(bbox)),
+  boxClause(cols, bbox)
+);
+
+/**
+ * Candidate rows near a route given as [[lng, lat], ...]. Each leg contributes
+ * the geohash cells around it, so a long diagonal route does not pull in its
+ * whole bounding box. Callers refine with geo.pointToPolylineMeters.
+ * Throws with status 400 when the route spans more than maxRouteBboxDeg or
+ * needs more than maxRoutePrefixes prefixes.
+ */
+exports.corridorFilter = (cols, line, widthM) => {
+  const padKm = widthM / 1000;
+  const prefixes = [];
+  const outer = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+
+  for (let i = 0; i < line.length; i++) {
+    const [lng1, lat1] = line[Math.max(i - 1, 0)];
+    const [lng2, lat2] = line[i];
+    const pad = geo.boundingBox((lat1 + lat2) / 2, (lng1 + lng2) / 2, padKm);
+    const dLat = (pad.maxLat - pad.minLat) / 2;
+    const dLng = (pad.maxLng - pad.minLng) / 2;
+    const leg = {
+      minLat: Math.min(lat1, lat2) - dLat,
+      maxLat: Math.max(lat1, lat2) + dLat,
+      minLng: Math.min(lng1, lng2) - dLng,
+      maxLng: Math.max(lng1, lng2) + dLng
+    };
+    prefixes.push(...geohash.cover(leg, 4));
+    outer.minLat = Math.min(outer.minLat, leg.minLat);
+    outer.maxLat = Math.max(outer.maxLat, leg.maxLat);
+    outer.minLng = Math.min(outer.minLng, leg.minLng);
+    outer.maxLng = Math.max(outer.maxLng, leg.maxLng);
+  }
+
+  if (outer.maxLat - outer.minLat > config.maxRouteBboxDeg || outer.maxLng - outer.minLng > config.maxRouteBboxDeg) {
+    throw badRequest(`route may span at most ${config.maxRouteBboxDeg} degrees; split it into shorter parts`);
+  }
+  const collapsed = collapse(prefixes);
+  if (collapsed.length > config.maxRoutePrefixes) {
+    throw badRequest("route covers too many areas; split it into shorter parts");
+  }
+  return combine(prefixClause(cols, collapsed), boxClause(cols, outer));
+};
+
+/**
+ * Parse a route body field with the route length limit; null when absent
+ */
+exports.parseRoute = (route) => traceService.parseTrace(route, "route", { maxLengthKm: config.maxRouteKm });
+
+/**
+ * Read minLat/maxLat/minLng/maxLng from a query string.
+ * Returns null when none are given; throws with status 400 when the box is
+ * incomplete, inverted or larger than maxDeg on either side.
+ */
+exports.parseBbox = (query, maxDeg = Infinity) => {
+  const keys = ["minLat", "maxLat", "minLng", "maxLng"];
+  if (keys.every(k => query[k] === undefined || query[k] === "")) return null;
+
+  const bbox = Object.fromEntries(keys.map(k => [k, parseFloat(query[k])]));
+  if (Object.values(bbox).some(v => !Number.isFinite(v))) {
+    throw badRequest("minLat, maxLat, minLng and maxLng are required");
+  }
+  if (bbox.minLat > bbox.maxLat || bbox.minLng > bbox.maxLng) {
+    throw badRequest("Bounding box minimums must not exceed maximums");
+  }
+  if (bbox.maxLat - bbox.minLat > maxDeg || bbox.maxLng - bbox.minLng > maxDeg) {
+    throw badRequest(`Bounding box may span at most ${maxDeg} degrees`);
+  }
+  return bbox;
+};
+
+/**
+ * page/limit from a query string, with limit capped at maxLimit
+ */
+exports.pagination = (query, { defaultLimit = config.defaultLimit, maxLimit = config.maxResults } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+exports.config = config;
@@ -0,0 +1,25 @@
+const path = require("path");
+
+/**
+ * Storage backend for uploaded files.
+ *
+ * Every driver exposes the same interface:
+ *   save(key, buffer) -> Promise<key>
+ *   exists(key) -> Promise<boolean>
+ *   createReadStream(key) -> Readable
+ *   remove(key) -> Promise
+ * Add object storage by implementing these and switching STORAGE_DRIVER.
+ */
+
+const drivers = {
+  local: () => require("./local_storage")(
+    process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "..", "uploads")
+  )
+};
+
+const driverName = process.env.STORAGE_DRIVER || "local";
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Attachment storage on the local filesystem.
+ * Keys are relative paths such as "2026/10/<uuid>.jpg".
+ */
+module.exports = (rootDir) => {
+  const resolve = (key) => {
+    const fullPath = path.resolve(rootDir, key);
+    // Never allow keys to escape the storage root
+    if (!fullPath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    driver: "local",
+
+    async save(key, buffer) {
+      const fullPath = resolve(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer);
+      return key;
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
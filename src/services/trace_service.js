@@ -0,0 +1,303 @@
+const geo = require("../utils/geo");
+const { toMySQLDatetime } = require("../utils/datetime");
+
+/**
+ * Trip traces and road coverage.
+ *
+ * A trace is the GPS path of one trip. Every ~55 m grid cell it passes
+ * through gets its pass count bumped, so roads that are driven often and
+ * stay clean can be told apart from roads nobody has driven.
+ */
+
+const config = {
+  // Coverage grid cell size in degrees (~55 m north-south)
+  cellDeg: parseFloat(process.env.COVERAGE_CELL_DEG) || 0.0005,
+  // Passes needed before a clean cell is trusted as clean
+  minPasses: parseInt(process.env.COVERAGE_MIN_PASSES) || 3,
+  maxPoints: parseInt(process.env.TRACE_MAX_POINTS) || 20000,
+  // A longer jump between consecutive fixes is a GPS gap, not driving
+  maxLegM: parseFloat(process.env.TRACE_MAX_LEG_M) || 5000,
+  maxLengthKm: parseFloat(process.env.TRACE_MAX_KM) || 500,
+  // Rows per road_coverage insert
+  insertChunk: 1000,
+  // How close the trace must run to a repaired location to count as a pass over it
+  passRadiusM: parseFloat(process.env.TRACE_PASS_RADIUS_M) || 15,
+  densifyStepM: 10,
+  // Road health: widest bounding box, and most coverage cells or issues read per request
+  healthMaxBboxDeg: parseFloat(process.env.ROAD_HEALTH_MAX_BBOX_DEG) || 0.1,
+  healthMaxRows: parseInt(process.env.ROAD_HEALTH_MAX_ROWS) || 20000
+};
+
+const REPAIRED_STATUSES = ["pending_verification", "verified", "fixed"];
+
+const cellOf = (lat, lng) => {
+  const i = Math.floor(lat / config.cellDeg);
+  const j = Math.floor(lng / config.cellDeg);
+  return {
+    id: `${i}_${j}`,
+    latitude: (i + 0.5) * config.cellDeg,
+    longitude: (j + 0.5) * config.cellDeg
+  };
+};
+
+/**
+ * Parse the trace from a report payload into [[lng, lat], ...].
+ * Accepts { polyline, precision } or { points: [[lat, lng], ...] | [{ latitude, longitude }] }.
+ * Returns null when no trace was sent; throws with status 400 on a malformed one,
+ * including one with a leg longer than maxLegM or a length over maxLengthKm.
+ * label names the field in error messages.
+ */
+exports.parseTrace = (trace, label = "trace", { maxLegM = config.maxLegM, maxLengthKm = config.maxLengthKm } = {}) => {
+  if (trace === undefined || trace === null) return null;
+
+  const fail = (message) => {
+    const error = new Error(`${label}: ${message}`);
+    error.status = 400;
+    return error;
+  };
+
+  let points;
+  if (typeof trace.polyline === "string") {
+    const precision = trace.precision === undefined ? 5 : Number(trace.precision);
+    if (precision !== 5 && precision !== 6) throw fail("precision must be 5 or 6");
+    // Each point takes at most 22 characters, so anything longer has too many
+    if (trace.polyline.length > config.maxPoints * 22) throw fail(`at most ${config.maxPoints} points`);
+    try {
+      points = geo.decodePolyline(trace.polyline, precision);
+    } catch {
+      throw fail("polyline could not be decoded");
+    }
+  } else if (Array.isArray(trace.points)) {
+    points = trace.points.map(p => Array.isArray(p)
+      ? [parseFloat(p[1]), parseFloat(p[0])]
+      : [parseFloat(p.longitude), parseFloat(p.latitude)]);
+  } else {
+    throw fail("expected polyline or points");
+  }
+
+  if (points.length < 2) throw fail("needs at least two points");
+  if (points.length > config.maxPoints) throw fail(`at most ${config.maxPoints} points`);
+  if (points.some(([lng, lat]) => !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180)) {
+    throw fail("contains invalid coordinates");
+  }
+
+  let lengthM = 0;
+  for (let i = 1; i < points.length; i++) {
+    const legM = geo.haversineMeters(points[i - 1][1], points[i - 1][0], points[i][1], points[i][0]);
+    if (legM > maxLegM) throw fail(`points ${i - 1} and ${i} are more than ${maxLegM} m apart`);
+    lengthM += legM;
+  }
+  if (lengthM > maxLengthKm * 1000) throw fail(`longer than ${maxLengthKm} km`);
+  return points;
+};
+
+/**
+ * Distinct coverage cells a path passes through, filling gaps between
+ * sparse GPS fixes so no cell along the way is skipped.
+ */
+exports.cellsAlong = (points) => {
+  const cells = new Map();
+  const add = ([lng, lat]) => {
+    const cell = cellOf(lat, lng);
+    cells.set(cell.id, cell);
+  };
+
+  add(points[0]);
+  for (let i = 1; i < points.length; i++) {
+    const [lng1, lat1] = points[i - 1];
+    const [lng2, lat2] = points[i];
+    const steps = Math.ceil(geo.haversineMeters(lat1, lng1, lat2, lng2) / config.densifyStepM);
+    for (let s = 1; s <= steps; s++) {
+      add([lng1 + ((lng2 - lng1) * s) / steps, lat1 + ((lat2 - lat1) * s) / steps]);
+    }
+  }
+  return [...cells.values()];
+};
+
+/**
+ * Store a trip trace for a report and, unless told otherwise, apply it to coverage.
+ * detectedLocationIds are the aggregated locations this report hit.
+ * Cells are only worked out when coverage is applied (quarantined reports wait).
+ * Returns { distanceKm, cells, cleanPasses } (cells and cleanPasses are null when not applied).
+ */
+exports.recordTrace = async (connection, { reportDbId, deviceId, startedAt, endedAt }, points, detectedLocationIds,
+  { applyCoverage = true } = {}) => {
+  const distanceM = geo.polylineLengthMeters(points);
+  const cells = applyCoverage ? exports.cellsAlong(points) : null;
+
+  await connection.query(
+    `INSERT INTO trip_traces (report_id, device_id, polyline, point_count, distance_m, cell_count, started_at, ended_at, coverage_applied)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      reportDbId,
+      deviceId,
+      geo.encodePolyline(points),
+      points.length,
+      Math.round(distanceM),
+      cells ? cells.length : 0,
+      startedAt ? toMySQLDatetime(startedAt) : null,
+      endedAt ? toMySQLDatetime(endedAt) : null,
+      applyCoverage
+    ]
+  );
+
+  const cleanPasses = applyCoverage
+    ? await applyTripCoverage(connection, points, cells, toMySQLDatetime(endedAt || startedAt), detectedLocationIds)
+    : null;
+
+  return {
+    distanceKm: Math.round(distanceM) / 1000,
+    cells: cells ? cells.length : null,
+    cleanPasses
+  };
+};
+
+/**
+ * Apply coverage for traces stored without it (quarantined reports once approved)
+ */
+exports.applyStoredTraces = async (connection, reportDbId, detectedLocationIds) => {
+  const [traces] = await connection.query(
+    "SELECT id, polyline, started_at, ended_at FROM trip_traces WHERE report_id = ? AND coverage_applied = FALSE",
+    [reportDbId]
+  );
+
+  let cleanPasses = 0;
+  for (const trace of traces) {
+    const points = geo.decodePolyline(trace.polyline);
+    const drivenAt = toMySQLDatetime(trace.ended_at || trace.started_at);
+    const cells = exports.cellsAlong(points);
+    cleanPasses += await applyTripCoverage(connection, points, cells, drivenAt, detectedLocationIds);
+    await connection.query(
+      "UPDATE trip_traces SET coverage_applied = TRUE, cell_count = ? WHERE id = ?",
+      [cells.length, trace.id]
+    );
+  }
+  return { traces: traces.length, cleanPasses };
+};
+
+/**
+ * Bump coverage cells for one trip. Repaired locations the trip drove over
+ * without detecting anything again get a clean pass recorded as evidence the
+ * repair held. Returns the number of clean passes recorded.
+ */
+async function applyTripCoverage(connection, points, cells, drivenAt, detectedLocationIds) {
+  for (let i = 0; i < cells.length; i += config.insertChunk) {
+    await connection.query(
+      `INSERT INTO road_coverage (cell_id, center_latitude, center_longitude, pass_count, first_driven_at, last_driven_at)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE pass_count = pass_count + 1,
+         last_driven_at = GREATEST(last_driven_at, VALUES(last_driven_at))`,
+      [cells.slice(i, i + config.insertChunk).map(c => [c.id, c.latitude, c.longitude, 1, drivenAt, drivenAt])]
+    );
+  }
+
+  const lats = points.map(p => p[1]);
+  const lngs = points.map(p => p[0]);
+  const pad = geo.boundingBox(lats[0], lngs[0], config.passRadiusM / 1000);
+  const [repaired] = await connection.query(
+    `SELECT id, latitude, longitude FROM aggregated_locations
+     WHERE status IN (?)
+       AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?`,
+    [
+      REPAIRED_STATUSES,
+      Math.min(...lats) - (lats[0] - pad.minLat), Math.max(...lats) + (pad.maxLat - lats[0]),
+      Math.min(...lngs) - (lngs[0] - pad.minLng), Math.max(...lngs) + (pad.maxLng - lngs[0])
+    ]
+  );
+
+  const detected = new Set(detectedLocationIds);
+  const cleanIds = repaired
+    .filter(l => !detected.has(l.id))
+    .filter(l => geo.pointToPolylineMeters([parseFloat(l.longitude), parseFloat(l.latitude)], points) <= config.passRadiusM)
+    .map(l => l.id);
+
+  if (cleanIds.length) {
+    await connection.query(
+      `UPDATE aggregated_locations
+       SET clean_passes_since_repair = clean_passes_since_repair + 1, last_clean_pass_at = ?
+       WHERE id IN (?)`,
+      [drivenAt, cleanIds]
+    );
+  }
+  return cleanIds.length;
+}
+
+/**
+ * Coverage cells and open issues inside a bounding box.
+ * Each cell is classified as:
+ *   clean      - driven at least minPasses times with no open issues
+ *   issues     - has open (unverified) aggregated locations
+ *   unverified - driven, but not often enough to call it clean
+ * Cells with issues but no trace coverage are included; anything else
+ * missing from the result has never been driven and is unknown. At most
+ * healthMaxRows cells and issues are read; truncated says when more exist.
+ */
+exports.roadHealth = async (connection, bbox) => {
+  // One extra row tells whether the result was cut short
+  const [coverage] = await connection.query(
+    `SELECT cell_id, center_latitude, center_longitude, pass_count, last_driven_at
+     FROM road_coverage
+     WHERE center_latitude BETWEEN ? AND ? AND center_longitude BETWEEN ? AND ?
+     LIMIT ?`,
+    [bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng, config.healthMaxRows + 1]
+  );
+
+  const [issues] = await connection.query(
+    `SELECT id, latitude, longitude, highest_severity FROM aggregated_locations
+     WHERE status NOT IN ('verified', 'fixed')
+       AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+     LIMIT ?`,
+    [bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng, config.healthMaxRows + 1]
+  );
+  const truncated = coverage.length > config.healthMaxRows || issues.length > config.healthMaxRows;
+  coverage.length = Math.min(coverage.length, config.healthMaxRows);
+  issues.length = Math.min(issues.length, config.healthMaxRows);
+
+  const penalty = { Low: 5, Medium: 15, High: 30 };
+  const cells = new Map();
+  for (const row of coverage) {
+    cells.set(row.cell_id, {
+      cellId: row.cell_id,
+      latitude: parseFloat(row.center_latitude),
+      longitude: parseFloat(row.center_longitude),
+      passes: row.pass_count,
+      lastDrivenAt: row.last_driven_at,
+      openIssues: 0,
+      penalty: 0
+    });
+  }
+  for (const issue of issues) {
+    const cell = cellOf(parseFloat(issue.latitude), parseFloat(issue.longitude));
+    if (!cells.has(cell.id)) {
+      cells.set(cell.id, {
+        cellId: cell.id,
+        latitude: cell.latitude,
+        longitude: cell.longitude,
+        passes: 0,
+        lastDrivenAt: null,
+        openIssues: 0,
+        penalty: 0
+      });
+    }
+    const entry = cells.get(cell.id);
+    entry.openIssues++;
+    entry.penalty += penalty[issue.highest_severity] || penalty.Medium;
+  }
+
+  const result = [...cells.values()].map(({ penalty: p, ...cell }) => {
+    let state = "unverified";
+    if (cell.openIssues > 0) state = "issues";
+    else if (cell.passes >= config.minPasses) state = "clean";
+    return {
+      ...cell,
+      state,
+      healthScore: state === "unverified" ? null : Math.max(0, 100 - p)
+    };
+  });
+
+  const summary = result.reduce((acc, c) => ({ ...acc, [c.state]: acc[c.state] + 1 }), { clean: 0, issues: 0, unverified: 0 });
+
+  return { cellSizeDeg: config.cellDeg, minPasses: config.minPasses, summary, cells: result, truncated };
+};
+
+exports.config = config;
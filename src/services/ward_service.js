@@ -0,0 +1,346 @@
+/**
+ * Ward and zone boundaries.
+ *
+ * Boundaries are imported as GeoJSON polygons and stored with their bounding
+ * box. Aggregated locations get the ward containing their centre point when
+ * they are created; a backfill covers rows created before the import.
+ */
+
+const NAME_PROPERTIES = ["name", "Name", "NAME", "ward", "ward_name", "WARD_NAME", "WARD"];
+const ZONE_PROPERTIES = ["zone", "Zone", "ZONE", "zone_name", "ZONE_NAME"];
+const CODE_PROPERTIES = ["code", "ward_no", "ward_number", "WARD_NO", "id"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const pick = (properties, preferred, fallbacks) => {
+  for (const key of preferred ? [preferred] : fallbacks) {
+    const value = properties[key];
+    if (value !== undefined && value !== null && String(value).trim() !== "") return String(value).trim();
+  }
+  return null;
+};
+
+// Polygon / MultiPolygon geometry as a list of polygons (each a list of [lng, lat] rings)
+const polygonsOf = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  return null;
+};
+
+const bboxOf = (polygons) => {
+  const bbox = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  for (const polygon of polygons) {
+    for (const [lng, lat] of polygon[0]) {
+      bbox.minLat = Math.min(bbox.minLat, lat);
+      bbox.maxLat = Math.max(bbox.maxLat, lat);
+      bbox.minLng = Math.min(bbox.minLng, lng);
+      bbox.maxLng = Math.max(bbox.maxLng, lng);
+    }
+  }
+  return bbox;
+};
+
+// Ray casting; points exactly on an edge may fall either side
+const insideRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether [lng, lat] lies inside any polygon, outside its holes
+ */
+const containsPoint = (polygons, lng, lat) => polygons.some(([outer, ...holes]) =>
+  insideRing(lng, lat, outer) && !holes.some(hole => insideRing(lng, lat, hole))
+);
+
+/**
+ * Parse a GeoJSON FeatureCollection of ward polygons.
+ * nameProperty / zoneProperty override which feature properties hold the
+ * ward name and zone. Throws with status 400 on anything unusable.
+ */
+exports.parseBoundaries = (geojson, { nameProperty, zoneProperty } = {}) => {
+  if (!geojson || geojson.type !== "FeatureCollection" || !Array.isArray(geojson.features)) {
+    throw badRequest("Expected a GeoJSON FeatureCollection");
+  }
+
+  const wards = new Map();
+  geojson.features.forEach((feature, index) => {
+    if (!feature || typeof feature !== "object" || Array.isArray(feature)) {
+      throw badRequest(`Feature ${index} is not a GeoJSON Feature`);
+    }
+    const properties = feature.properties || {};
+    const name = pick(properties, nameProperty, NAME_PROPERTIES);
+    if (!name) {
+      throw badRequest(`Feature ${index} has no ward name${nameProperty ? ` in "${nameProperty}"` : ""}`);
+    }
+
+    const polygons = polygonsOf(feature.geometry);
+    const valid = polygons && polygons.every(polygon => polygon.every(ring =>
+      Array.isArray(ring) && ring.length >= 4 &&
+      ring.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+    ));
+    if (!valid) {
+      throw badRequest(`Feature ${index} (${name}) is not a valid Polygon or MultiPolygon`);
+    }
+
+    // Several features with the same name in the same zone form one ward
+    const zone = pick(properties, zoneProperty, ZONE_PROPERTIES);
+    const key = JSON.stringify([zone, name]);
+    const existing = wards.get(key);
+    if (existing) {
+      existing.polygons.push(...polygons);
+    } else {
+      wards.set(key, {
+        name,
+        code: pick(properties, null, CODE_PROPERTIES),
+        zone,
+        polygons
+      });
+    }
+  });
+
+  if (wards.size === 0) throw badRequest("FeatureCollection contains no features");
+  return [...wards.values()];
+};
+
+/**
+ * Insert or update wards by (zone, name). With replace, wards missing from
+ * the import are deleted (their locations lose the ward link).
+ */
+exports.importBoundaries = async (connection, wards, { replace = false } = {}) => {
+  const importedIds = [];
+  for (const ward of wards) {
+    const bbox = bboxOf(ward.polygons);
+    const geometry = JSON.stringify({ type: "MultiPolygon", coordinates: ward.polygons });
+    // zone may be NULL, which a unique key does not match, so look the ward up first
+    const [existing] = await connection.query(
+      "SELECT id FROM wards WHERE name = ? AND zone <=> ? LIMIT 1",
+      [ward.name, ward.zone]
+    );
+
+    if (existing.length > 0) {
+      await connection.query(
+        `UPDATE wards SET code = ?, geometry = ?, bbox_min_lat = ?, bbox_max_lat = ?, bbox_min_lng = ?, bbox_max_lng = ?
+         WHERE id = ?`,
+        [ward.code, geometry, bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng, existing[0].id]
+      );
+      importedIds.push(existing[0].id);
+    } else {
+      const [result] = await connection.query(
+        `INSERT INTO wards (name, code, zone, geometry, bbox_min_lat, bbox_max_lat, bbox_min_lng, bbox_max_lng)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [ward.name, ward.code, ward.zone, geometry, bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng]
+      );
+      importedIds.push(result.insertId);
+    }
+  }
+
+  let removed = 0;
+  if (replace) {
+    await connection.query(
+      "UPDATE aggregated_locations SET ward = NULL WHERE ward_id IS NOT NULL AND ward_id NOT IN (?)",
+      [importedIds]
+    );
+    const [result] = await connection.query("DELETE FROM wards WHERE id NOT IN (?)", [importedIds]);
+    removed = result.affectedRows;
+  }
+  return { imported: wards.length, removed };
+};
+
+const loadWards = async (connection, bbox) => {
+  const [rows] = bbox
+    ? await connection.query(
+      `SELECT id, name, geometry FROM wards
+       WHERE bbox_min_lat <= ? AND bbox_max_lat >= ? AND bbox_min_lng <= ? AND bbox_max_lng >= ?`,
+      [bbox.maxLat, bbox.minLat, bbox.maxLng, bbox.minLng]
+    )
+    : await connection.query("SELECT id, name, geometry FROM wards");
+
+  return rows.map(row => {
+    const geometry = typeof row.geometry === "string" ? JSON.parse(row.geometry) : row.geometry;
+    return { id: row.id, name: row.name, polygons: geometry.coordinates, bbox: bboxOf(geometry.coordinates) };
+  });
+};
+
+/**
+ * Ward containing a point, or null
+ */
+exports.findWard = async (connection, lat, lng) => {
+  const candidates = await loadWards(connection, { minLat: lat, maxLat: lat, minLng: lng, maxLng: lng });
+  return candidates.find(w => containsPoint(w.polygons, lng, lat)) || null;
+};
+
+/**
+ * Assign a newly created location to the ward containing it.
+ * Leaves the row alone when no ward matches.
+ */
+exports.assignLocation = async (connection, locationId, lat, lng) => {
+  const ward = await exports.findWard(connection, lat, lng);
+  if (!ward) return null;
+  await connection.query(
+    "UPDATE aggregated_locations SET ward_id = ?, ward = ? WHERE id = ?",
+    [ward.id, ward.name, locationId]
+  );
+  return ward;
+};
+
+/**
+ * Backfill ward assignment for existing locations.
+ * onlyMissing limits it to locations without a ward link. Locations whose
+ * polygon-derived ward no longer matches anything are cleared; wards typed
+ * in by hand (no ward_id) are kept when no polygon contains them.
+ */
+exports.assignAll = async (connection, { onlyMissing = false } = {}) => {
+  const wards = await loadWards(connection);
+  const [locations] = await connection.query(
+    `SELECT id, latitude, longitude, ward_id FROM aggregated_locations
+     ${onlyMissing ? "WHERE ward_id IS NULL" : ""}`
+  );
+
+  const byWard = new Map();
+  const cleared = [];
+  let unmatched = 0;
+  for (const location of locations) {
+    const lat = parseFloat(location.latitude);
+    const lng = parseFloat(location.longitude);
+    const ward = wards.find(w =>
+      lat >= w.bbox.minLat && lat <= w.bbox.maxLat && lng >= w.bbox.minLng && lng <= w.bbox.maxLng &&
+      containsPoint(w.polygons, lng, lat)
+    );
+
+    if (ward) {
+      if (ward.id === location.ward_id) continue;
+      if (!byWard.has(ward.id)) byWard.set(ward.id, { ward, ids: [] });
+      byWard.get(ward.id).ids.push(location.id);
+    } else {
+      unmatched++;
+      if (location.ward_id) cleared.push(location.id);
+    }
+  }
+
+  let assigned = 0;
+  for (const { ward, ids } of byWard.values()) {
+    await connection.query(
+      "UPDATE aggregated_locations SET ward_id = ?, ward = ? WHERE id IN (?)",
+      [ward.id, ward.name, ids]
+    );
+    assigned += ids.length;
+  }
+  if (cleared.length) {
+    await connection.query(
+      "UPDATE aggregated_locations SET ward_id = NULL, ward = NULL WHERE id IN (?)",
+      [cleared]
+    );
+  }
+
+  return { wards: wards.length, checked: locations.length, assigned, unmatched, cleared: cleared.length };
+};
+
+/**
+ * ward / zone filters for queries on aggregated_locations (alias al)
+ */
+exports.filterFromQuery = (query, alias = "al") => {
+  let clause = "";
+  const params = [];
+  if (query.ward === "Unknown") {
+    clause += ` AND ${alias}.ward IS NULL`;
+  } else if (query.ward) {
+    clause += ` AND ${alias}.ward = ?`;
+    params.push(query.ward);
+  }
+  if (query.zone) {
+    clause += ` AND ${alias}.ward_id IN (SELECT id FROM wards WHERE zone = ?)`;
+    params.push(query.zone);
+  }
+  return { clause, params };
+};
+
+/**
+ * Per-ward rollup of locations: counts by status and severity.
+ * Locations without a ward are grouped under "Unknown".
+ */
+exports.rollup = async (connection, { zone } = {}) => {
+  const [rows] = await connection.query(
+    `SELECT
+       COALESCE(al.ward, 'Unknown') as ward,
+       w.id as ward_id,
+       w.zone,
+       COUNT(*) as total_locations,
+       SUM(al.status NOT IN ('verified', 'fixed')) as open_locations,
+       SUM(al.status = 'pending') as pending,
+       SUM(al.status IN ('assigned', 'in_progress')) as in_progress,
+       SUM(al.status = 'pending_verification') as pending_verification,
+       SUM(al.status IN ('verified', 'fixed')) as repaired,
+       SUM(al.highest_severity = 'High' AND al.status NOT IN ('verified', 'fixed')) as open_high_severity,
+       SUM(al.total_potholes) as total_potholes,
+       SUM(al.total_patchy) as total_patchy
+     FROM aggregated_locations al
+     LEFT JOIN wards w ON al.ward_id = w.id
+     ${zone ? "WHERE w.zone = ?" : ""}
+     GROUP BY COALESCE(al.ward, 'Unknown'), w.id, w.zone
+     ORDER BY open_locations DESC`,
+    zone ? [zone] : []
+  );
+
+  return rows.map(r => ({
+    ward: r.ward,
+    wardId: r.ward_id,
+    zone: r.zone,
+    totalLocations: r.total_locations,
+    openLocations: Number(r.open_locations),
+    pending: Number(r.pending),
+    inProgress: Number(r.in_progress),
+    pendingVerification: Number(r.pending_verification),
+    repaired: Number(r.repaired),
+    openHighSeverity: Number(r.open_high_severity),
+    totalPotholes: Number(r.total_potholes),
+    totalPatchy: Number(r.total_patchy)
+  }));
+};
+
+/**
+ * Ward boundaries as a GeoJSON FeatureCollection, each feature carrying its rollup
+ */
+exports.boundariesWithRollup = async (connection, { zone } = {}) => {
+  const [rows] = await connection.query(
+    `SELECT id, name, code, zone, geometry FROM wards ${zone ? "WHERE zone = ?" : ""} ORDER BY name`,
+    zone ? [zone] : []
+  );
+  const rollups = new Map((await exports.rollup(connection, { zone })).map(r => [r.wardId, r]));
+
+  return {
+    type: "FeatureCollection",
+    features: rows.map(row => {
+      const stats = rollups.get(row.id);
+      return {
+        type: "Feature",
+        id: row.id,
+        geometry: typeof row.geometry === "string" ? JSON.parse(row.geometry) : row.geometry,
+        properties: {
+          name: row.name,
+          code: row.code,
+          zone: row.zone,
+          totalLocations: stats ? stats.totalLocations : 0,
+          openLocations: stats ? stats.openLocations : 0,
+          openHighSeverity: stats ? stats.openHighSeverity : 0,
+          inProgress: stats ? stats.inProgress : 0,
+          repaired: stats ? stats.repaired : 0
+        }
+      };
+    })
+  };
+};
+
+exports.containsPoint = containsPoint;
@@ -0,0 +1,160 @@
+const corroboration = require("./corroboration_service");
+
+/**
+ * Repair warranty and recurrence.
+ *
+ * A verified repair is under warranty for WARRANTY_DAYS after verification.
+ * When fresh detections at the location arrive inside that window from
+ * enough distinct devices, the repair is taken to have failed: the location
+ * is reopened with a warranty rework job for the contractor who did the
+ * original work, and a warranty claim links the two. Rework jobs point at
+ * the assignment they redo (work_assignments.warranty_of) and are not paid.
+ */
+
+const config = {
+  warrantyDays: parseInt(process.env.WARRANTY_DAYS) || 180,
+  // Distinct devices needed since verification before a location reopens
+  minDevices: parseInt(process.env.WARRANTY_RECURRENCE_DEVICES) || corroboration.config.mediumDevices,
+  minDetections: parseInt(process.env.WARRANTY_RECURRENCE_DETECTIONS) || 2,
+  // Rework due date, days after the claim is opened
+  reworkDueDays: parseInt(process.env.WARRANTY_REWORK_DUE_DAYS) || 7
+};
+
+const CLAIM_STATUSES = ["open", "resolved"];
+
+/**
+ * Verified locations among locationIds whose repair has failed within the
+ * warranty window: fresh, corroborated detections since verification.
+ * Returns [{ locationId, assignmentId, contractorId, contractorName,
+ * verifiedAt, detections, devices, firstDetectedAt }]
+ */
+exports.findRecurrences = async (connection, locationIds) => {
+  if (!Array.isArray(locationIds) || locationIds.length === 0) return [];
+
+  const [rows] = await connection.query(
+    `SELECT al.id as location_id, al.verified_at,
+            wa.id as assignment_id, wa.contractor_id, c.company_name as contractor_name,
+            COUNT(*) as detections,
+            COUNT(DISTINCT d.device_id) as devices,
+            MIN(d.at) as first_detected_at
+     FROM aggregated_locations al
+     JOIN work_assignments wa ON wa.id = (
+       SELECT id FROM work_assignments
+       WHERE aggregated_location_id = al.id AND status = 'verified'
+       ORDER BY id DESC LIMIT 1
+     )
+     LEFT JOIN contractors c ON wa.contractor_id = c.id
+     JOIN (
+       SELECT pd.aggregated_location_id, r.device_id, pd.timestamp as at
+       FROM pothole_detections pd JOIN reports r ON pd.report_id = r.id
+       WHERE pd.aggregated_location_id IN (?) AND r.review_status IN ('clear', 'approved')
+       UNION ALL
+       SELECT ra.aggregated_location_id, r.device_id, ra.start_timestamp as at
+       FROM road_anomalies ra JOIN reports r ON ra.report_id = r.id
+       WHERE ra.aggregated_location_id IN (?) AND r.review_status IN ('clear', 'approved')
+     ) d ON d.aggregated_location_id = al.id AND d.at > al.verified_at
+     WHERE al.id IN (?)
+       AND al.status = 'verified'
+       AND al.verified_at >= NOW() - INTERVAL ? DAY
+     GROUP BY al.id, al.verified_at, wa.id, wa.contractor_id, c.company_name
+     HAVING devices >= ? AND detections >= ?`,
+    [locationIds, locationIds, locationIds, config.warrantyDays, config.minDevices, config.minDetections]
+  );
+
+  return rows.map(r => ({
+    locationId: r.location_id,
+    assignmentId: r.assignment_id,
+    contractorId: r.contractor_id,
+    contractorName: r.contractor_name,
+    verifiedAt: r.verified_at,
+    detections: Number(r.detections),
+    devices: Number(r.devices),
+    firstDetectedAt: r.first_detected_at
+  }));
+};
+
+/**
+ * Reason recorded with the reopen event
+ */
+exports.describe = (recurrence) =>
+  `Recurred within warranty: ${recurrence.detections} detection(s) from ${recurrence.devices} device(s) ` +
+  `since verification of assignment ${recurrence.assignmentId}`;
+
+/**
+ * Due date (YYYY-MM-DD) for a rework job opened now
+ */
+exports.reworkDueDate = () =>
+  new Date(Date.now() + config.reworkDueDays * 24 * 3600 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Record the claim for a reopened location against the original work
+ */
+exports.openClaim = async (connection, recurrence, reworkAssignmentId) => {
+  const [result] = await connection.query(
+    `INSERT INTO warranty_claims
+     (aggregated_location_id, original_assignment_id, rework_assignment_id, contractor_id,
+      detections, devices, first_detected_at, verified_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      recurrence.locationId,
+      recurrence.assignmentId,
+      reworkAssignmentId,
+      recurrence.contractorId,
+      recurrence.detections,
+      recurrence.devices,
+      recurrence.firstDetectedAt,
+      recurrence.verifiedAt
+    ]
+  );
+  return result.insertId;
+};
+
+/**
+ * Close the claim whose rework assignment has just been verified
+ */
+exports.resolve = async (connection, reworkAssignmentId) => {
+  await connection.query(
+    `UPDATE warranty_claims SET status = 'resolved', resolved_at = NOW()
+     WHERE rework_assignment_id = ? AND status = 'open'`,
+    [reworkAssignmentId]
+  );
+};
+
+/**
+ * Warranty claims, newest first. Options: { status, contractorId, limit }
+ */
+exports.claims = async (connection, { status = null, contractorId = null, limit = 100 } = {}) => {
+  if (status && !CLAIM_STATUSES.includes(status)) {
+    const error = new Error(`status must be one of: ${CLAIM_STATUSES.join(", ")}`);
+    error.status = 400;
+    throw error;
+  }
+
+  let where = "WHERE 1=1";
+  const params = [];
+  if (status) {
+    where += " AND wc.status = ?";
+    params.push(status);
+  }
+  if (contractorId) {
+    where += " AND wc.contractor_id = ?";
+    params.push(contractorId);
+  }
+
+  const [rows] = await connection.query(
+    `SELECT wc.*, c.company_name as contractor_name,
+            al.grid_id, al.latitude, al.longitude, al.road_name, al.ward, al.highest_severity,
+            rw.status as rework_status, rw.due_date as rework_due_date
+     FROM warranty_claims wc
+     LEFT JOIN contractors c ON wc.contractor_id = c.id
+     LEFT JOIN aggregated_locations al ON wc.aggregated_location_id = al.id
+     LEFT JOIN work_assignments rw ON wc.rework_assignment_id = rw.id
+     ${where}
+     ORDER BY wc.created_at DESC, wc.id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows;
+};
+
+exports.config = config;
@@ -0,0 +1,242 @@
+const geo = require("../utils/geo");
+
+/**
+ * Daily work plans for a contractor's open jobs.
+ *
+ * All jobs are first ordered into one round trip from the depot (nearest
+ * neighbour, then 2-opt), and that tour is cut into days of at most
+ * `capacity` jobs. Each day is then re-optimised as its own depot round trip.
+ * Days holding the most urgent deadline come first. Distances are
+ * straight-line Haversine, so travel figures are estimates, not road routes.
+ */
+
+const config = {
+  defaultCapacity: parseInt(process.env.WORK_PLAN_DEFAULT_CAPACITY) || 8,
+  maxCapacity: 50,
+  maxJobs: 500,
+  // Stop 2-opt after this many full passes even if still improving
+  maxTwoOptPasses: 50
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Read { depotLat?, depotLng?, capacity?, startDate?, returnToDepot? } from a
+ * query. fallbackDepot ({ lat, lng } or null) is used when no depot is given.
+ * Throws with status 400.
+ */
+exports.parseOptions = (query = {}, fallbackDepot = null) => {
+  let depot = fallbackDepot;
+  if (query.depotLat !== undefined || query.depotLng !== undefined) {
+    const lat = parseFloat(query.depotLat);
+    const lng = parseFloat(query.depotLng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw badRequest("depotLat and depotLng must be valid coordinates");
+    }
+    depot = { lat, lng };
+  }
+  if (!depot) throw badRequest("depotLat and depotLng are required (no service area centre on file)");
+
+  const capacity = query.capacity === undefined ? config.defaultCapacity : parseInt(query.capacity);
+  if (!(capacity >= 1 && capacity <= config.maxCapacity)) {
+    throw badRequest(`capacity must be between 1 and ${config.maxCapacity} jobs per day`);
+  }
+
+  const startDate = query.startDate ? new Date(`${query.startDate}T00:00:00Z`) : new Date();
+  if (isNaN(startDate.getTime())) throw badRequest("startDate must be a date (YYYY-MM-DD)");
+
+  return { depot, capacity, startDate, returnToDepot: query.returnToDepot !== "false" };
+};
+
+/**
+ * Pairwise Haversine distances in km
+ */
+const distanceMatrix = (points) =>
+  points.map(a => points.map(b => geo.haversineKm(a.lat, a.lng, b.lat, b.lng)));
+
+/**
+ * Length of a route over matrix indices; closed adds the leg back to the start
+ */
+const routeLength = (route, matrix, closed) => {
+  let total = 0;
+  for (let i = 1; i < route.length; i++) total += matrix[route[i - 1]][route[i]];
+  if (closed && route.length > 1) total += matrix[route[route.length - 1]][route[0]];
+  return total;
+};
+
+/**
+ * Greedy route from index 0 over the given indices
+ */
+const nearestNeighbour = (indices, matrix) => {
+  const route = [0];
+  const remaining = new Set(indices);
+  while (remaining.size > 0) {
+    const last = route[route.length - 1];
+    let next = null;
+    for (const candidate of remaining) {
+      if (next === null || matrix[last][candidate] < matrix[last][next]) next = candidate;
+    }
+    route.push(next);
+    remaining.delete(next);
+  }
+  return route;
+};
+
+/**
+ * Improve a route starting at index 0 (the depot) by reversing segments while
+ * that shortens it. closed treats the route as a round trip.
+ */
+const twoOpt = (route, matrix, closed) => {
+  const best = route.slice();
+  const n = best.length;
+  // Leg from position a to position b; past the end it is the return leg (or nothing)
+  const leg = (a, b) => (b < n ? matrix[best[a]][best[b]] : closed ? matrix[best[a]][best[0]] : 0);
+
+  for (let pass = 0; pass < config.maxTwoOptPasses; pass++) {
+    let improved = false;
+    for (let i = 1; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        // Replace edges (i-1, i) and (j, j+1) with (i-1, j) and (i, j+1)
+        const before = leg(i - 1, i) + leg(j, j + 1);
+        const after = matrix[best[i - 1]][best[j]] + leg(i, j + 1);
+        if (after < before - 1e-9) {
+          for (let a = i, b = j; a < b; a++, b--) [best[a], best[b]] = [best[b], best[a]];
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return best;
+};
+
+/**
+ * Optimised visiting order of jobs (matrix indices) from the depot (index 0)
+ */
+const optimise = (indices, matrix, closed) => twoOpt(nearestNeighbour(indices, matrix), matrix, closed);
+
+const deadlineOf = (job) => {
+  const deadlines = [job.slaDueAt, job.dueDate].filter(Boolean).map(d => new Date(d).getTime());
+  return deadlines.length ? Math.min(...deadlines) : Infinity;
+};
+
+/**
+ * GeoJSON for one day: the route line plus depot and stop points
+ */
+const dayGeoJson = (depot, stops, returnToDepot) => {
+  const path = [depot, ...stops, ...(returnToDepot ? [depot] : [])];
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: path.map(p => [p.lng, p.lat]) },
+        properties: { kind: "route" }
+      },
+      {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [depot.lng, depot.lat] },
+        properties: { kind: "depot" }
+      },
+      ...stops.map(stop => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [stop.lng, stop.lat] },
+        properties: {
+          kind: "stop",
+          sequence: stop.sequence,
+          assignmentId: stop.assignmentId,
+          locationId: stop.locationId,
+          severity: stop.severity,
+          status: stop.status
+        }
+      }))
+    ]
+  };
+};
+
+/**
+ * Plan jobs ({ assignmentId, locationId, lat, lng, severity, status,
+ * dueDate, slaDueAt, roadName }) into days.
+ * Returns { depot, capacity, totalJobs, totalDistanceKm, days: [...] }
+ */
+exports.plan = (jobs, { depot, capacity, startDate, returnToDepot }) => {
+  const points = [depot, ...jobs];
+  const matrix = distanceMatrix(points);
+
+  // Route first, then cut into days of `capacity` consecutive stops
+  const tour = optimise(jobs.map((_, i) => i + 1), matrix, true).slice(1);
+  const chunks = [];
+  for (let i = 0; i < tour.length; i += capacity) chunks.push(tour.slice(i, i + capacity));
+
+  // Most urgent day first
+  chunks.sort((a, b) =>
+    Math.min(...a.map(i => deadlineOf(points[i]))) - Math.min(...b.map(i => deadlineOf(points[i]))));
+
+  const days = chunks.map((chunk, dayIndex) => {
+    const route = optimise(chunk, matrix, returnToDepot);
+    const stops = route.slice(1).map((index, position) => {
+      const job = points[index];
+      return {
+        sequence: position + 1,
+        ...job,
+        legKm: round(matrix[route[position]][index])
+      };
+    });
+    const distanceKm = routeLength(route, matrix, returnToDepot);
+    const date = new Date(startDate.getTime() + dayIndex * 24 * 3600 * 1000);
+
+    return {
+      day: dayIndex + 1,
+      date: date.toISOString().slice(0, 10),
+      jobs: stops.length,
+      travelDistanceKm: round(distanceKm),
+      returnLegKm: returnToDepot && route.length > 1 ? round(matrix[route[route.length - 1]][0]) : 0,
+      stops,
+      route: dayGeoJson(depot, stops, returnToDepot)
+    };
+  });
+
+  return {
+    depot,
+    capacity,
+    returnToDepot,
+    totalJobs: jobs.length,
+    totalDistanceKm: round(days.reduce((sum, d) => sum + d.travelDistanceKm, 0)),
+    days
+  };
+};
+
+/**
+ * Open jobs of a contractor in the shape plan() takes
+ */
+exports.loadJobs = async (connection, contractorId) => {
+  const [rows] = await connection.query(
+    `SELECT wa.id, wa.aggregated_location_id, wa.status, wa.due_date, wa.sla_due_at,
+            al.latitude, al.longitude, al.highest_severity, al.road_name
+     FROM work_assignments wa
+     JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+     WHERE wa.contractor_id = ? AND wa.status IN ('assigned', 'in_progress')
+     ORDER BY wa.sla_due_at IS NULL, wa.sla_due_at, wa.assigned_at
+     LIMIT ?`,
+    [contractorId, config.maxJobs]
+  );
+  return rows.map(r => ({
+    assignmentId: r.id,
+    locationId: r.aggregated_location_id,
+    lat: parseFloat(r.latitude),
+    lng: parseFloat(r.longitude),
+    severity: r.highest_severity,
+    status: r.status,
+    dueDate: r.due_date,
+    slaDueAt: r.sla_due_at,
+    roadName: r.road_name
+  }));
+};
+
+exports.config = config;
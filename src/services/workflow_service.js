@@ -0,0 +1,292 @@
+const db = require("../config/db");
+const events = require("./event_service");
+const sla = require("./sla_service");
+const proof = require("./proof_service");
+const warranty = require("./warranty_service");
+const costing = require("./costing_service");
+
+/**
+ * Repair workflow: the single place where aggregated_locations.status and
+ * work_assignments.status change.
+ *
+ * Every change is an action on a location and its active assignment (the
+ * newest one not yet verified). An action lists the roles allowed to take it,
+ * the statuses it may start from on both rows, the statuses it leaves them in
+ * and any extra guards. The location status mirrors its active assignment;
+ * 'completed' (assignment) and 'fixed' (location) are legacy spellings of
+ * "awaiting verification" that are accepted but never written.
+ *
+ * 'reopen' is the only way back from 'verified': a failed repair under
+ * warranty gets a new rework assignment linked to the one it redoes.
+ */
+
+const TRANSITIONS = {
+  assign: {
+    roles: ["admin", "system"],
+    location: { from: ["pending"], to: "assigned" },
+    // null: the location must not have an active assignment
+    assignment: { from: [null], to: "assigned" }
+  },
+  reassign: {
+    roles: ["admin", "system"],
+    location: { from: ["assigned", "in_progress"], to: "assigned" },
+    assignment: { from: ["assigned", "in_progress"], to: "assigned" }
+  },
+  start: {
+    roles: ["contractor", "admin"],
+    location: { from: ["assigned"], to: "in_progress" },
+    assignment: { from: ["assigned"], to: "in_progress" },
+    guards: ["ownAssignment"]
+  },
+  complete: {
+    roles: ["contractor", "admin"],
+    location: { from: ["assigned", "in_progress"], to: "pending_verification" },
+    assignment: { from: ["assigned", "in_progress"], to: "pending_verification" },
+    guards: ["ownAssignment", "proofSubmitted"]
+  },
+  verify: {
+    roles: ["admin"],
+    location: { from: ["pending_verification", "fixed"], to: "verified" },
+    assignment: { from: ["pending_verification", "completed"], to: "verified" }
+  },
+  reject: {
+    roles: ["admin"],
+    location: { from: ["pending_verification", "fixed"], to: "in_progress" },
+    assignment: { from: ["pending_verification", "completed"], to: "in_progress" }
+  },
+  reopen: {
+    roles: ["system"],
+    location: { from: ["verified"], to: "assigned" },
+    assignment: { from: [null], to: "assigned" }
+  }
+};
+
+// Target status accepted by the status-update endpoints -> action
+const STATUS_ACTIONS = {
+  assigned: "reassign",
+  in_progress: "start",
+  pending_verification: "complete",
+  completed: "complete",
+  verified: "verify"
+};
+
+const GUARDS = {
+  // Contractors may only move their own jobs
+  ownAssignment: ({ assignment, actor }) =>
+    actor.role !== "contractor" || (assignment && assignment.contractor_id === actor.contractorId)
+      ? null
+      : "This job is not assigned to you",
+  // A job is only complete once a proof-of-work package is waiting for review,
+  // whoever moves it
+  proofSubmitted: ({ submission }) =>
+    submission
+      ? null
+      : "Submit the completion package (photos, GPS, materials) to complete this job"
+};
+
+// work_assignments columns callers may set through fields
+const FIELD_COLUMNS = ["contractor_id", "due_date", "notes", "admin_notes", "warranty_of"];
+
+const workflowError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Action for a requested target status, or null when there is none
+ */
+exports.actionForStatus = (status) => STATUS_ACTIONS[status] || null;
+
+/**
+ * Load a location and its active assignment, locking both rows.
+ * With assignmentId, that assignment is used and its location loaded.
+ */
+const load = async (connection, { locationId, assignmentId }) => {
+  let assignment = null;
+
+  if (assignmentId) {
+    const [rows] = await connection.query(
+      "SELECT * FROM work_assignments WHERE id = ? FOR UPDATE",
+      [assignmentId]
+    );
+    if (rows.length === 0) throw workflowError(404, "Assignment not found");
+    assignment = rows[0];
+    locationId = assignment.aggregated_location_id;
+  }
+
+  const [locations] = await connection.query(
+    "SELECT id, status FROM aggregated_locations WHERE id = ? FOR UPDATE",
+    [locationId]
+  );
+  if (locations.length === 0) throw workflowError(404, "Location not found");
+
+  if (!assignment) {
+    const [rows] = await connection.query(
+      `SELECT * FROM work_assignments
+       WHERE aggregated_location_id = ? AND status <> 'verified'
+       ORDER BY id DESC LIMIT 1 FOR UPDATE`,
+      [locationId]
+    );
+    assignment = rows[0] || null;
+  }
+
+  const submission = assignment ? await proof.pendingSubmission(connection, assignment.id) : null;
+
+  return { location: locations[0], assignment, submission };
+};
+
+/**
+ * Throws 403 when the role may not take the action and 409 when the current
+ * statuses or a guard forbid it
+ */
+exports.check = (action, { location, assignment, submission = null }, actor) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw workflowError(409, `Unknown workflow action '${action}'`);
+
+  const details = {
+    action,
+    locationId: location.id,
+    locationStatus: location.status,
+    assignmentStatus: assignment ? assignment.status : null
+  };
+
+  if (!transition.roles.includes(actor.role)) {
+    throw workflowError(403, `Role '${actor.role}' may not ${action} work`, details);
+  }
+  if (!transition.location.from.includes(location.status)) {
+    throw workflowError(
+      409,
+      `Cannot ${action} location ${location.id} while it is '${location.status}'`,
+      { ...details, allowedFrom: transition.location.from }
+    );
+  }
+
+  const assignmentStatus = assignment ? assignment.status : null;
+  if (!transition.assignment.from.includes(assignmentStatus)) {
+    const message = assignment
+      ? `Cannot ${action} assignment ${assignment.id} while it is '${assignment.status}'`
+      : `Location ${location.id} has no active assignment to ${action}`;
+    throw workflowError(409, message, { ...details, allowedFrom: transition.assignment.from });
+  }
+
+  for (const name of transition.guards || []) {
+    const failure = GUARDS[name]({ location, assignment, submission, actor });
+    if (failure) throw workflowError(409, failure, details);
+  }
+};
+
+/**
+ * Apply an action inside the caller's transaction.
+ *
+ * actor is { id, role, contractorId? }. fields are extra work_assignments
+ * columns to set, limited to FIELD_COLUMNS; assign and reopen need at least
+ * contractor_id, reopen also warranty_of. reason is kept with the status
+ * events.
+ *
+ * Returns { action, locationId, assignmentId, location: {from, to}, assignment: {from, to} }
+ */
+exports.transition = async (connection, action, { locationId, assignmentId, actor, fields = {}, reason = null }) => {
+  const unknown = Object.keys(fields).filter(column => !FIELD_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown work assignment field(s): ${unknown.join(", ")}`);
+  }
+
+  const current = await load(connection, { locationId, assignmentId });
+  exports.check(action, current, actor);
+
+  const transition = TRANSITIONS[action];
+  const { location, assignment } = current;
+
+  await connection.query(
+    `UPDATE aggregated_locations
+     SET status = ?${transition.location.to === "verified" ? ", verified_at = NOW()" : ""}
+     WHERE id = ?`,
+    [transition.location.to, location.id]
+  );
+
+  let id;
+  if (action === "assign" || action === "reopen") {
+    const [result] = await connection.query(
+      `INSERT INTO work_assignments (aggregated_location_id, contractor_id, assigned_by, due_date, notes, warranty_of, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        location.id, fields.contractor_id, actor.id || null, fields.due_date || null, fields.notes || null,
+        fields.warranty_of || null, transition.assignment.to
+      ]
+    );
+    id = result.insertId;
+  } else {
+    const sets = ["status = ?"];
+    const params = [transition.assignment.to];
+    if (action === "complete") sets.push("completed_at = NOW()");
+    if (action === "verify") sets.push("completed_at = COALESCE(completed_at, NOW())");
+    if (action === "reject") sets.push("completed_at = NULL");
+    // A new contractor starts a fresh SLA window and escalation chain
+    if (action === "reassign") sets.push("assigned_at = NOW()", "sla_status = NULL", "escalation_level = 0");
+    for (const [column, value] of Object.entries(fields)) {
+      sets.push(`${column} = ?`);
+      params.push(value);
+    }
+    await connection.query(
+      `UPDATE work_assignments SET ${sets.join(", ")} WHERE id = ?`,
+      [...params, assignment.id]
+    );
+    id = assignment.id;
+  }
+
+  // Reviewing the work settles the contractor's completion package
+  if (action === "verify" || action === "reject") {
+    await proof.settle(connection, id, action === "verify" ? "accepted" : "rejected", actor.id, reason);
+  }
+  if (action === "verify" && assignment.warranty_of) {
+    await warranty.resolve(connection, id);
+  }
+
+  // The SLA deadline and the cost estimate are fixed at (re)assignment,
+  // counted from the reset assigned_at on reassign
+  if (action === "assign" || action === "reassign" || action === "reopen") {
+    await sla.setDeadlines(connection, { assignmentId: id });
+    await costing.setEstimate(connection, id);
+  }
+
+  const result = {
+    action,
+    locationId: location.id,
+    assignmentId: id,
+    location: { from: location.status, to: transition.location.to },
+    assignment: { from: assignment ? assignment.status : null, to: transition.assignment.to }
+  };
+  await events.recordTransition(connection, result, actor, reason);
+  return result;
+};
+
+/**
+ * Apply a single action in its own transaction
+ */
+exports.run = async (action, options) => {
+  const connection = await db.promise().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await exports.transition(connection, action, options);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Response for a workflow error thrown by check/transition, or null when the
+ * error is something else
+ */
+exports.errorResponse = (error) => {
+  if (![403, 404, 409].includes(error.status) || !error.details) return null;
+  return { status: error.status, body: { message: error.message, ...error.details } };
+};
+
+exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,6 @@
+// Helper function to convert ISO datetime to MySQL format
+exports.toMySQLDatetime = (isoString) => {
+  if (!isoString) return new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const date = new Date(isoString);
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+};
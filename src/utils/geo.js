@@ -0,0 +1,189 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+exports.haversineKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Great-circle distance between two points in metres
+ */
+exports.haversineMeters = (lat1, lng1, lat2, lng2) => {
+  return exports.haversineKm(lat1, lng1, lat2, lng2) * 1000;
+};
+
+/**
+ * Lat/lng box that fully contains a circle of radiusKm around a point.
+ * Used as a cheap index-friendly pre-filter before exact distance checks.
+ */
+exports.boundingBox = (lat, lng, radiusKm) => {
+  const dLat = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const cosLat = Math.max(Math.cos(toRadians(lat)), 0.01);
+  const dLng = dLat / cosLat;
+  return {
+    minLat: lat - dLat,
+    maxLat: lat + dLat,
+    minLng: lng - dLng,
+    maxLng: lng + dLng
+  };
+};
+
+/**
+ * Project [lng, lat] to local planar metres around an origin [lng, lat].
+ * Equirectangular approximation - accurate enough over a few kilometres.
+ */
+exports.toLocalXY = (point, origin) => {
+  const metresPerDegLat = 110540;
+  const metresPerDegLng = 111320 * Math.cos(toRadians(origin[1]));
+  return [(point[0] - origin[0]) * metresPerDegLng, (point[1] - origin[1]) * metresPerDegLat];
+};
+
+/**
+ * Length in metres of a polyline given as [[lng, lat], ...]
+ */
+exports.polylineLengthMeters = (line) => {
+  let total = 0;
+  for (let i = 1; i < line.length; i++) {
+    total += exports.haversineMeters(line[i - 1][1], line[i - 1][0], line[i][1], line[i][0]);
+  }
+  return total;
+};
+
+/**
+ * Shortest distance in metres from a [lng, lat] point to a polyline
+ */
+exports.pointToPolylineMeters = (point, line) => {
+  return exports.projectOntoPolyline(point, line).offsetM;
+};
+
+/**
+ * Closest position on a polyline to a [lng, lat] point.
+ * Returns { offsetM, alongM }: the distance from the line and how far along
+ * the line (from its first point) the closest position lies.
+ */
+exports.projectOntoPolyline = (point, line) => {
+  const p = exports.toLocalXY(point, point);
+  if (line.length === 1) {
+    return { offsetM: exports.haversineMeters(point[1], point[0], line[0][1], line[0][0]), alongM: 0 };
+  }
+
+  let best = { offsetM: Infinity, alongM: 0 };
+  let travelled = 0;
+  for (let i = 1; i < line.length; i++) {
+    const a = exports.toLocalXY(line[i - 1], point);
+    const b = exports.toLocalXY(line[i], point);
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq));
+    const x = a[0] + t * dx - p[0];
+    const y = a[1] + t * dy - p[1];
+    const offsetM = Math.sqrt(x * x + y * y);
+    const stepM = exports.haversineMeters(line[i - 1][1], line[i - 1][0], line[i][1], line[i][0]);
+    if (offsetM < best.offsetM) best = { offsetM, alongM: travelled + t * stepM };
+    travelled += stepM;
+  }
+  return best;
+};
+
+/**
+ * Initial bearing in degrees (0 = north, clockwise) from one point to another
+ */
+exports.bearingDeg = (lat1, lng1, lat2, lng2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+/**
+ * Point at a given distance (metres) along a polyline, as [lng, lat]
+ */
+exports.pointAlongPolyline = (line, distanceM) => {
+  let remaining = distanceM;
+  for (let i = 1; i < line.length; i++) {
+    const step = exports.haversineMeters(line[i - 1][1], line[i - 1][0], line[i][1], line[i][0]);
+    if (remaining <= step && step > 0) {
+      const t = remaining / step;
+      return [
+        line[i - 1][0] + (line[i][0] - line[i - 1][0]) * t,
+        line[i - 1][1] + (line[i][1] - line[i - 1][1]) * t
+      ];
+    }
+    remaining -= step;
+  }
+  return line[line.length - 1];
+};
+
+/**
+ * Decode a Google encoded polyline into [[lng, lat], ...]
+ */
+exports.decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    const deltas = [];
+    for (let k = 0; k < 2; k++) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        if (index >= encoded.length) throw new Error("Truncated polyline");
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      deltas.push(result & 1 ? ~(result >> 1) : result >> 1);
+    }
+    lat += deltas[0];
+    lng += deltas[1];
+    points.push([lng / factor, lat / factor]);
+  }
+  return points;
+};
+
+/**
+ * Encode [[lng, lat], ...] as a Google encoded polyline
+ */
+exports.encodePolyline = (points, precision = 5) => {
+  const factor = 10 ** precision;
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let out = "";
+    while (v >= 0x20) {
+      out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return out + String.fromCharCode(v + 63);
+  };
+
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = "";
+  for (const [lng, lat] of points) {
+    const iLat = Math.round(lat * factor);
+    const iLng = Math.round(lng * factor);
+    encoded += encodeValue(iLat - prevLat) + encodeValue(iLng - prevLng);
+    prevLat = iLat;
+    prevLng = iLng;
+  }
+  return encoded;
+};
+
+exports.EARTH_RADIUS_KM = EARTH_RADIUS_KM;
+exports.toRadians = toRadians;
@@ -0,0 +1,74 @@
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Encode a position as a geohash string (same algorithm as MySQL ST_GeoHash)
+ */
+exports.encode = (lat, lng, precision = 9) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coord = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+/**
+ * Cell size in degrees for a geohash precision
+ */
+exports.cellSize = (precision) => {
+  const lngBits = Math.ceil((precision * 5) / 2);
+  const latBits = Math.floor((precision * 5) / 2);
+  return { latDeg: 180 / 2 ** latBits, lngDeg: 360 / 2 ** lngBits };
+};
+
+/**
+ * Geohash cells covering a bounding box, at the finest precision that needs
+ * no more than maxCells cells. Returns [] when even one-character cells are
+ * too many or the box crosses the antimeridian.
+ */
+exports.cover = (bbox, maxCells = 16) => {
+  if (bbox.minLng > bbox.maxLng) return [];
+  const minLat = Math.max(bbox.minLat, -90);
+  const maxLat = Math.min(bbox.maxLat, 90);
+  const minLng = Math.max(bbox.minLng, -180);
+  const maxLng = Math.min(bbox.maxLng, 180);
+
+  for (let precision = 9; precision >= 1; precision--) {
+    const { latDeg, lngDeg } = exports.cellSize(precision);
+    const rowStart = Math.floor((minLat + 90) / latDeg);
+    const rowEnd = Math.min(Math.floor((maxLat + 90) / latDeg), 180 / latDeg - 1);
+    const colStart = Math.floor((minLng + 180) / lngDeg);
+    const colEnd = Math.min(Math.floor((maxLng + 180) / lngDeg), 360 / lngDeg - 1);
+    if ((rowEnd - rowStart + 1) * (colEnd - colStart + 1) > maxCells) continue;
+
+    const cells = [];
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        cells.push(exports.encode(-90 + (row + 0.5) * latDeg, -180 + (col + 0.5) * lngDeg, precision));
+      }
+    }
+    return cells;
+  }
+  return [];
+};
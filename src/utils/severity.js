@@ -0,0 +1,10 @@
+const severityOrder = { Low: 1, Medium: 2, High: 3 };
+
+// The more severe of two severity labels (either may be empty)
+const higherSeverity = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return severityOrder[b] > severityOrder[a] ? b : a;
+};
+
+module.exports = { severityOrder, higherSeverity };
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const plausibility = require("../src/services/plausibility_service");
+
+// Connection stand-in: no previous detections, no duplicate payloads
+const connection = { query: async () => [[]] };
+
+const report = (anomalies, extra = {}) => ({
+  report_id: "r-1",
+  device_id: "device-1",
+  reported_at: new Date().toISOString(),
+  anomalies,
+  ...extra
+});
+
+test("detections without a timestamp are flagged", async () => {
+  const { reasons } = await plausibility.evaluate(connection, report([
+    { type: "pothole", latitude: 12.97, longitude: 77.59 },
+    { type: "pothole", latitude: 28.61, longitude: 77.2 }
+  ]));
+  assert.ok(reasons.includes("2 detection(s) without a valid timestamp"));
+});
+
+test("an unparseable timestamp is flagged", async () => {
+  const { reasons } = await plausibility.evaluate(connection, report([
+    { type: "road_anomaly", start_latitude: 12.97, start_longitude: 77.59, start_timestamp: "not a date" }
+  ]));
+  assert.ok(reasons.includes("1 detection(s) without a valid timestamp"));
+});
+
+test("timed detections still get the speed check", async () => {
+  const now = Date.now();
+  const { reasons } = await plausibility.evaluate(connection, report([
+    { type: "pothole", latitude: 12.97, longitude: 77.59, timestamp: new Date(now - 60000).toISOString() },
+    { type: "pothole", latitude: 28.61, longitude: 77.2, timestamp: new Date(now).toISOString() }
+  ]));
+  assert.ok(reasons.some(r => r.startsWith("Impossible travel speed")));
+});
+
+test("a plausible report is clear", async () => {
+  const now = Date.now();
+  const { reasons } = await plausibility.evaluate(connection, report([
+    { type: "pothole", latitude: 12.97, longitude: 77.59, timestamp: new Date(now - 60000).toISOString() },
+    { type: "pothole", latitude: 12.975, longitude: 77.59, timestamp: new Date(now).toISOString() }
+  ]));
+  assert.deepStrictEqual(reasons, []);
+});
+
+test("a trace driven impossibly fast is flagged", async () => {
+  const now = Date.now();
+  const trace = { started_at: new Date(now - 60000).toISOString(), ended_at: new Date(now).toISOString() };
+  const points = [[77.59, 12.97], [77.59, 13.0], [77.59, 13.03]];
+  const { reasons } = await plausibility.evaluate(connection, report([], { trace }), points);
+  assert.ok(reasons.some(r => r.startsWith("Impossible average speed along the trace")));
+});